@@ -9,60 +9,7 @@ function createProctoringRouter(pool) {
     constructor(dbPool) {
       this.pool = dbPool;
       this.activeSessions = new Map();
-      this.initialize();
-    }
-
-    async initialize() {
-      try {
-        // Create proctoring sessions table
-        await this.pool.execute(`
-          CREATE TABLE IF NOT EXISTS proctoring_sessions (
-            id INT AUTO_INCREMENT PRIMARY KEY,
-            session_id VARCHAR(100) UNIQUE NOT NULL,
-            user_email VARCHAR(255) NOT NULL,
-            user_name VARCHAR(255) NOT NULL,
-            assessment_id VARCHAR(50) NOT NULL,
-            proctoring_level ENUM('basic', 'standard', 'advanced') DEFAULT 'basic',
-            status ENUM('active', 'completed', 'terminated', 'paused') DEFAULT 'active',
-            start_time TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-            end_time TIMESTAMP NULL,
-            violation_count INT DEFAULT 0,
-            strict_mode BOOLEAN DEFAULT FALSE,
-            settings JSON,
-            metadata JSON,
-            created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-            updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
-            INDEX idx_session_id (session_id),
-            INDEX idx_user_email (user_email),
-            INDEX idx_assessment_id (assessment_id),
-            INDEX idx_status (status),
-            INDEX idx_start_time (start_time)
-          )
-        `);
-
-        // Create violation logs table
-        await this.pool.execute(`
-          CREATE TABLE IF NOT EXISTS proctoring_violations (
-            id INT AUTO_INCREMENT PRIMARY KEY,
-            session_id VARCHAR(100) NOT NULL,
-            violation_type ENUM('tab_switch', 'window_blur', 'multiple_faces', 'no_face', 'suspicious_audio', 'right_click', 'copy_paste', 'fullscreen_exit', 'browser_dev_tools', 'external_monitor') NOT NULL,
-            severity ENUM('low', 'medium', 'high', 'critical') DEFAULT 'medium',
-            description TEXT,
-            evidence JSON,
-            auto_flagged BOOLEAN DEFAULT FALSE,
-            timestamp TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-            INDEX idx_session_id (session_id),
-            INDEX idx_violation_type (violation_type),
-            INDEX idx_severity (severity),
-            INDEX idx_timestamp (timestamp),
-            FOREIGN KEY (session_id) REFERENCES proctoring_sessions(session_id) ON DELETE CASCADE
-          )
-        `);
-
-        console.log('📹 Proctoring tables initialized successfully');
-      } catch (error) {
-        console.error('❌ Failed to initialize proctoring tables:', error);
-      }
+      // proctoring_sessions and proctoring_violations are created by the server's schema migrations
     }
 
     async startSession(sessionData) {
@@ -10,6 +10,7 @@ const cors = require('cors');
 const bcrypt = require('bcrypt');
 const jwt = require('jsonwebtoken');
 const rateLimit = require('express-rate-limit');
+const crypto = require('crypto');
 const createProctoringRouter = require('./proctoring-module');
 
 const app = express();
@@ -79,6 +80,7 @@ const dbConfig = {
   waitForConnections: true,
   connectionLimit: 10,
   queueLimit: 0,
+  decimalNumbers: true, // Return DECIMAL scores as numbers rather than strings
   ssl: false
   // Removed: acquireTimeout and timeout (invalid options)
 };
@@ -151,46 +153,343 @@ async function authenticateAdmin(req, res, next) {
   }
 }
 
+// Resolve the admin behind an optional Bearer token without rejecting the request,
+// so public endpoints can tailor their response for authenticated admins
+function getAdminFromRequest(req) {
+  const token = req.header('Authorization')?.replace('Bearer ', '');
+  if (!token) {
+    return null;
+  }
+  
+  try {
+    return jwt.verify(token, JWT_SECRET);
+  } catch (error) {
+    return null;
+  }
+}
+
+// Candidate delivery view of a question: never ships the answer key or explanations
+function toCandidateQuestion(question) {
+  const {
+    correct, correct_answer, answer_key, tolerance, originalOrder, optionIds, explanation, sourcePoints,
+    ...candidateQuestion
+  } = question;
+  return candidateQuestion;
+}
+
+// Question types shared by quiz JSON and bucket questions. Choice types keep the key in
+// `correct` as option indices (an array for multiple-select); numeric questions keep a
+// number plus `tolerance`, and text questions a list of accepted answers.
+const QUESTION_TYPES = ['single', 'multiple', 'true_false', 'numeric', 'text'];
+const TRUE_FALSE_OPTIONS = ['True', 'False'];
+const TRUE_FALSE_OPTION_IDS = ['true', 'false'];
+
+// Questions stored before types existed are single-choice
+function getQuestionType(question) {
+  return QUESTION_TYPES.includes(question.type) ? question.type : 'single';
+}
+
+// Only single and multiple-select options are shuffled; true/false keeps its order
+function hasShuffleableOptions(question) {
+  return ['single', 'multiple'].includes(getQuestionType(question)) &&
+    Array.isArray(question.options) && question.options.length > 0;
+}
+
+// Choice questions give each option a stable ID (`optionIds`, parallel to `options`).
+// Answers are stored as option IDs, so they keep pointing at the same option however the
+// options were shuffled for the candidate or reordered later by an admin.
+function hasOptionIds(question) {
+  return ['single', 'multiple', 'true_false'].includes(getQuestionType(question));
+}
+
+// Option IDs of a question. Questions saved before option IDs existed get IDs from
+// their option positions, which stay in place until the options are next edited.
+function getOptionIds(question) {
+  if (getQuestionType(question) === 'true_false') {
+    return TRUE_FALSE_OPTION_IDS;
+  }
+  const options = Array.isArray(question.options) ? question.options : [];
+  return isValidOptionIds(question.optionIds, options) ? question.optionIds : options.map((_, index) => `o${index}`);
+}
+
+function isValidOptionIds(optionIds, options) {
+  return Array.isArray(optionIds) && optionIds.length === options.length &&
+    optionIds.every(id => typeof id === 'string' && id.trim() !== '') && new Set(optionIds).size === optionIds.length;
+}
+
+// Option IDs for a new or edited list of options. An option keeps the ID of a previous option
+// with the same text; the remaining options take over the IDs of the previous options that
+// were edited or removed, in order, and any extra options get new IDs.
+function assignOptionIds(options, previous = {}) {
+  const previousOptions = hasOptionIds(previous) && Array.isArray(previous.options) ? previous.options : [];
+  const previousIds = previousOptions.length > 0 ? getOptionIds(previous) : [];
+  const used = new Set();
+  
+  const ids = options.map(option => {
+    const match = previousOptions.findIndex((text, index) => text === option && !used.has(previousIds[index]));
+    if (match === -1) {
+      return null;
+    }
+    used.add(previousIds[match]);
+    return previousIds[match];
+  });
+  const unmatchedIds = previousIds.filter(id => !used.has(id));
+  return ids.map(id => {
+    if (id) {
+      return id;
+    }
+    let assigned = unmatchedIds.shift();
+    while (!assigned || used.has(assigned)) {
+      assigned = crypto.randomBytes(4).toString('hex');
+    }
+    used.add(assigned);
+    return assigned;
+  });
+}
+
+// Option index of an answer given as an option ID, or null when it matches no option.
+// Answers stored before option IDs existed are option indices and are passed through.
+function toOptionIndex(question, answer) {
+  const index = getOptionIds(question).indexOf(answer);
+  if (index !== -1) {
+    return index;
+  }
+  const legacyIndex = typeof answer === 'number' || /^\d+$/.test(answer) ? Number(answer) : -1;
+  return Number.isInteger(legacyIndex) && legacyIndex >= 0 && legacyIndex < getOptionIds(question).length ?
+    legacyIndex : null;
+}
+
+// Validate the type-specific fields of a question and return them normalized
+// ({ type, options, correct, ... }), or { error } describing what is wrong.
+// `previous` is the stored question being replaced, whose option IDs are carried over.
+function normalizeQuestionAnswer(input, previous = {}) {
+  const type = input.type === undefined || input.type === null || input.type === '' ? 'single' : input.type;
+  if (!QUESTION_TYPES.includes(type)) {
+    return { error: `Question type must be one of: ${QUESTION_TYPES.join(', ')}` };
+  }
+  const hasValue = value => value !== undefined && value !== null && value !== '';
+  
+  if (type === 'true_false') {
+    const correct = input.correct === true ? 0 : input.correct === false ? 1 : Number(input.correct);
+    if (!hasValue(input.correct) || (correct !== 0 && correct !== 1)) {
+      return { error: 'True/false questions need a correct answer of 0 (True) or 1 (False)' };
+    }
+    return { type, options: TRUE_FALSE_OPTIONS, correct };
+  }
+  
+  if (type === 'numeric') {
+    const correct = Number(input.correct);
+    const tolerance = hasValue(input.tolerance) ? Number(input.tolerance) : 0;
+    if (!hasValue(input.correct) || !Number.isFinite(correct)) {
+      return { error: 'Numeric questions need a numeric correct answer' };
+    }
+    if (!Number.isFinite(tolerance) || tolerance < 0) {
+      return { error: 'Tolerance must be a number of zero or more' };
+    }
+    return { type, options: [], correct, tolerance };
+  }
+  
+  if (type === 'text') {
+    const accepted = (Array.isArray(input.correct) ? input.correct : [input.correct])
+      .filter(value => typeof value === 'string' || typeof value === 'number')
+      .map(value => String(value).trim())
+      .filter(Boolean);
+    if (accepted.length === 0) {
+      return { error: 'Text questions need at least one accepted answer' };
+    }
+    return { type, options: [], correct: [...new Set(accepted)], caseSensitive: !!input.caseSensitive };
+  }
+  
+  const options = input.options;
+  if (!Array.isArray(options) || options.length < 2) {
+    return { error: 'Options must be an array with at least 2 items' };
+  }
+  const isOptionIndex = value => Number.isInteger(value) && value >= 0 && value < options.length;
+  const optionIds = isValidOptionIds(input.optionIds, options) ? input.optionIds : assignOptionIds(options, previous);
+  
+  if (type === 'multiple') {
+    const correct = Array.isArray(input.correct) ?
+      [...new Set(input.correct.filter(hasValue).map(Number))].sort((a, b) => a - b) : [];
+    if (correct.length === 0 || !correct.every(isOptionIndex)) {
+      return { error: 'Multiple-select questions need one or more valid correct option indices' };
+    }
+    return { type, options, optionIds, correct, partialCredit: !!input.partialCredit };
+  }
+  
+  const correct = Number(input.correct);
+  if (!hasValue(input.correct) || !isOptionIndex(correct)) {
+    return { error: 'Correct answer index is invalid' };
+  }
+  return { type, options, optionIds, correct };
+}
+
+// Build a quiz question from admin input, keeping any extra fields (points, explanation, ...).
+// `existing` supplies fields to keep when an edit replaces a stored question; `previous`
+// is the stored question whose option IDs carry over (the existing one unless given).
+function buildQuizQuestion(input, existing = {}, previous = existing) {
+  const text = typeof input.question === 'string' ? input.question.trim() : '';
+  if (!text) {
+    return { error: 'Question text is required' };
+  }
+  const normalized = normalizeQuestionAnswer(input, previous);
+  if (normalized.error) {
+    return normalized;
+  }
+  const { type, options, optionIds, correct, tolerance, partialCredit, caseSensitive, ...kept } = { ...existing, ...input };
+  return { question: { ...kept, question: text, ...normalized } };
+}
+
+// Validate every question of a quiz, reporting the first invalid one by number.
+// `previousQuestions` are the questions being replaced, matched by ID (or by position
+// for questions sent without one).
+function normalizeQuizQuestions(questions, previousQuestions = []) {
+  const normalized = [];
+  for (let i = 0; i < questions.length; i++) {
+    const input = questions[i] || {};
+    const previous = hasQuestionId(input) ?
+      previousQuestions.find(question => question && String(question.id) === String(input.id)) :
+      previousQuestions[i];
+    const built = buildQuizQuestion(input, {}, previous || {});
+    if (built.error) {
+      return { error: `Question ${i + 1}: ${built.error}` };
+    }
+    normalized.push(built.question);
+  }
+  return { questions: assignQuestionIds(normalized) };
+}
+
+// Persistent ID of a question inside a quiz's questions JSON. The question routes, the admin
+// editors and attempt answers address quiz questions by this ID instead of array position.
+function generateQuestionId() {
+  return `q_${crypto.randomBytes(6).toString('hex')}`;
+}
+
+function hasQuestionId(question) {
+  return question.id !== undefined && question.id !== null && String(question.id).trim() !== '';
+}
+
+// Give every question without an ID (or with a duplicate one) a new ID, and write out the
+// option IDs of choice questions so they no longer depend on option positions
+function assignQuestionIds(questions) {
+  const seen = new Set();
+  return questions.map(question => {
+    if (!question || typeof question !== 'object') {
+      return question;
+    }
+    let id = hasQuestionId(question) ? String(question.id) : null;
+    while (!id || seen.has(id)) {
+      id = generateQuestionId();
+    }
+    seen.add(id);
+    return hasOptionIds(question) && getQuestionType(question) !== 'true_false' ?
+      { ...question, id, optionIds: getOptionIds(question) } : { ...question, id };
+  });
+}
+
+// Type and answer key of a bucket question row, in the quiz question shape
+function getBucketAnswerKey(row) {
+  const answerKey = safeJSONParse(row.answer_key, null);
+  return {
+    type: row.question_type || 'single',
+    ...(answerKey && typeof answerKey === 'object' ? answerKey : { correct: row.correct_answer })
+  };
+}
+
+// Validate a bucket question's answer fields (snake_case request body) into column values.
+// Option IDs are kept in the answer_key JSON; `previousRow` is the row being replaced.
+function toBucketAnswerColumns(body, previousRow = null) {
+  const normalized = normalizeQuestionAnswer({
+    type: body.question_type,
+    options: body.options,
+    optionIds: body.option_ids,
+    correct: body.correct_answer,
+    tolerance: body.tolerance,
+    partialCredit: body.partial_credit,
+    caseSensitive: body.case_sensitive
+  }, previousRow ? { options: safeJSONParse(previousRow.options, []), ...getBucketAnswerKey(previousRow) } : {});
+  if (normalized.error) {
+    return normalized;
+  }
+  const { type, options, ...answerKey } = normalized;
+  return {
+    question_type: type,
+    options: JSON.stringify(options),
+    correct_answer: type === 'single' || type === 'true_false' ? answerKey.correct : null,
+    answer_key: JSON.stringify(answerKey)
+  };
+}
+
+// Random seed recorded with each attempt so its paper can be rebuilt later
+function generateAttemptSeed() {
+  return crypto.randomBytes(8).toString('hex');
+}
+
+// Deterministic random number generator (mulberry32) for one use within an attempt, such as
+// the question order or one question's option order. Keying each use separately keeps them
+// independent, so e.g. adaptive picks made later in an attempt cannot shift its option orders.
+function createSeededRandom(seed, key) {
+  let state = crypto.createHash('sha256').update(`${seed}:${key}`).digest().readUInt32LE(0);
+  return () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+// Seeded random source when there is a seed, Math.random otherwise
+function getRandomSource(seed, key) {
+  return seed ? createSeededRandom(seed, key) : Math.random;
+}
+
 // Utility function to shuffle array (Fisher-Yates algorithm)
-function shuffleArray(array) {
+function shuffleArray(array, random = Math.random) {
   const shuffled = [...array];
   for (let i = shuffled.length - 1; i > 0; i--) {
-    const j = Math.floor(Math.random() * (i + 1));
+    const j = Math.floor(random() * (i + 1));
     [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
   }
   return shuffled;
 }
 
 // Utility function to randomize question options
-function randomizeQuestionOptions(question) {
-  if (!question.options || !Array.isArray(question.options)) {
+function randomizeQuestionOptions(question, random = Math.random) {
+  if (!hasShuffleableOptions(question)) {
     return question;
   }
 
-  const correctAnswer = question.options[question.correct];
-  const shuffledOptions = shuffleArray(question.options);
-  const newCorrectIndex = shuffledOptions.indexOf(correctAnswer);
+  // Shuffle option positions rather than option text so duplicate options stay distinct
+  const optionOrder = shuffleArray(question.options.map((_, index) => index), random);
+  const shuffledOptions = optionOrder.map(index => question.options[index]);
+  const newCorrectIndex = Array.isArray(question.correct) ?
+    question.correct.map(index => optionOrder.indexOf(Number(index))).sort((a, b) => a - b) :
+    optionOrder.indexOf(question.correct);
 
   return {
     ...question,
     options: shuffledOptions,
     correct: newCorrectIndex,
-    originalOrder: question.options // Keep track of original order for admin reference
+    originalOrder: question.options, // Keep track of original order for admin reference
+    optionOrder: optionOrder // Original option index for each shuffled position
   };
 }
 
-// Utility function to randomize questions and their options
-function randomizeQuiz(questions, randomizeQuestions = true, randomizeOptions = true, questionLimit = null) {
-  let processedQuestions = [...questions];
+// Utility function to randomize questions and their options.
+// With a seed the same questions always come out in the same order with the same options.
+function randomizeQuiz(questions, randomizeQuestions = true, randomizeOptions = true, questionLimit = null, seed = null) {
+  // Remember each question's stored position so submitted answers can be graded
+  let processedQuestions = questions.map((question, index) => ({ ...question, sourceIndex: index }));
 
   // Randomize options within each question
   if (randomizeOptions) {
-    processedQuestions = processedQuestions.map(randomizeQuestionOptions);
+    processedQuestions = processedQuestions.map(question =>
+      randomizeQuestionOptions(question, getRandomSource(seed, `options:${question.sourceIndex}`)));
   }
 
   // Randomize question order
   if (randomizeQuestions) {
-    processedQuestions = shuffleArray(processedQuestions);
+    processedQuestions = shuffleArray(processedQuestions, getRandomSource(seed, 'questions'));
   }
 
   // Limit number of questions if specified
@@ -201,1005 +500,4437 @@ function randomizeQuiz(questions, randomizeQuestions = true, randomizeOptions =
   return processedQuestions;
 }
 
-// Helper function to update bucket question counts
-async function updateBucketCounts(bucketId) {
-  try {
-    const [counts] = await pool.execute(`
-      SELECT 
-        COUNT(*) as total,
-        SUM(CASE WHEN difficulty = 'easy' THEN 1 ELSE 0 END) as easy,
-        SUM(CASE WHEN difficulty = 'medium' THEN 1 ELSE 0 END) as medium,
-        SUM(CASE WHEN difficulty = 'hard' THEN 1 ELSE 0 END) as hard
-      FROM questions 
-      WHERE bucket_id = ? AND is_active = TRUE
-    `, [bucketId]);
-    
-    if (counts.length > 0) {
-      await pool.execute(`
-        UPDATE question_buckets 
-        SET total_questions = ?, easy_count = ?, medium_count = ?, hard_count = ?
-        WHERE id = ?
-      `, [counts[0].total, counts[0].easy, counts[0].medium, counts[0].hard, bucketId]);
-    }
-  } catch (error) {
-    console.error('Error updating bucket counts:', error);
-  }
+// Questions of a quiz row loaded with withQuizQuestions (or, in migration 2, the old
+// questions JSON column)
+function getQuizQuestions(quiz) {
+  const questions = safeJSONParse(quiz.questions, []);
+  return Array.isArray(questions) ? questions : [];
 }
 
-// FIX 3: Improved Database initialization with better error handling
-async function initializeDatabase() {
-  let connection;
-  try {
-    console.log('🔄 Attempting database connection...');
-    connection = await pool.getConnection();
-    console.log('✅ MySQL connection successful!');
-    
-    // Create database if it doesn't exist
-    console.log('📊 Creating database if not exists...');
-    await connection.execute(`CREATE DATABASE IF NOT EXISTS \`${DATABASE_NAME}\``);
-    console.log('📊 Database created/verified:', DATABASE_NAME);
-    
-    // Release connection and create new pool with database
-    connection.release();
-    console.log('🔗 Reconnecting with database specified...');
-    
-    // Close the old pool and create new one with database
-    await pool.end();
-    
-    const dbConfigWithDatabase = {
-      ...dbConfig,
-      database: DATABASE_NAME
-    };
-    
-    pool = mysql.createPool(dbConfigWithDatabase);
-    
-    // Get new connection with database specified
-    connection = await pool.getConnection();
-    console.log('🎯 Connected to database:', DATABASE_NAME);
-    
-    // Verify we can use the database
-    const [dbCheck] = await connection.execute('SELECT DATABASE() as current_db');
-    console.log('📋 Current database:', dbCheck[0].current_db);
-    
-    if (dbCheck[0].current_db !== DATABASE_NAME) {
-      throw new Error(`Database selection failed. Expected: ${DATABASE_NAME}, Got: ${dbCheck[0].current_db}`);
-    }
-    
-    // Create quizzes table
-    await connection.execute(`
-      CREATE TABLE IF NOT EXISTS quizzes (
-        id VARCHAR(50) PRIMARY KEY,
-        name VARCHAR(255) NOT NULL,
-        description TEXT,
-        questions JSON NOT NULL,
-        points_per_question INT DEFAULT 1,
-        is_custom BOOLEAN DEFAULT TRUE,
-        randomization_settings JSON DEFAULT NULL,
-        proctoring_settings JSON DEFAULT NULL,
-        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
-        INDEX idx_created_at (created_at)
-      )
-    `);
-    console.log('📋 Quizzes table created/verified');
-    
-    // Create results table
-    await connection.execute(`
-      CREATE TABLE IF NOT EXISTS assessment_results (
-        id INT AUTO_INCREMENT PRIMARY KEY,
-        name VARCHAR(255) NOT NULL,
-        email VARCHAR(255) NOT NULL,
-        assessment_track VARCHAR(255) NOT NULL,
-        track_id VARCHAR(50) NOT NULL,
-        login_date_time DATETIME NOT NULL,
-        completion_time DATETIME NOT NULL,
-        max_score INT NOT NULL,
-        achieved_score INT NOT NULL,
-        total_questions INT NOT NULL,
-        duration_seconds INT NOT NULL,
-        answers JSON,
-        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-        INDEX idx_email (email),
-        INDEX idx_track_id (track_id),
-        INDEX idx_completion_time (completion_time),
-        INDEX idx_created_at (created_at)
-      )
-    `);
-    console.log('📊 Results table created/verified');
-    
-    // Create admin users table
-    await connection.execute(`
-      CREATE TABLE IF NOT EXISTS admin_users (
-        id INT AUTO_INCREMENT PRIMARY KEY,
-        username VARCHAR(50) UNIQUE NOT NULL,
-        password_hash VARCHAR(255) NOT NULL,
-        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
-      )
-    `);
-    console.log('👥 Admin users table created/verified');
-    
-    // Create coding challenges table
-    await connection.execute(`
-      CREATE TABLE IF NOT EXISTS coding_challenges (
-        id INT AUTO_INCREMENT PRIMARY KEY,
-        title VARCHAR(255) NOT NULL,
-        description TEXT NOT NULL,
-        difficulty ENUM('easy', 'medium', 'hard') NOT NULL DEFAULT 'easy',
-        time_limit INT NOT NULL DEFAULT 30,
-        starter_code TEXT NOT NULL,
-        solution_code TEXT,
-        is_active BOOLEAN DEFAULT TRUE,
-        created_by VARCHAR(50) NOT NULL,
-        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
-        INDEX idx_difficulty (difficulty),
-        INDEX idx_created_at (created_at),
-        INDEX idx_is_active (is_active)
-      )
-    `);
-    console.log('💻 Coding challenges table created/verified');
-    
-    // Create coding test cases table
-    await connection.execute(`
-      CREATE TABLE IF NOT EXISTS coding_test_cases (
-        id INT AUTO_INCREMENT PRIMARY KEY,
-        challenge_id INT NOT NULL,
-        input TEXT NOT NULL,
-        expected_output TEXT NOT NULL,
-        is_hidden BOOLEAN DEFAULT FALSE,
-        order_index INT NOT NULL DEFAULT 0,
-        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-        FOREIGN KEY (challenge_id) REFERENCES coding_challenges(id) ON DELETE CASCADE,
-        INDEX idx_challenge_id (challenge_id),
-        INDEX idx_order_index (order_index)
-      )
-    `);
-    console.log('🧪 Coding test cases table created/verified');
-    
-    // Create coding submissions table
-    await connection.execute(`
-      CREATE TABLE IF NOT EXISTS coding_submissions (
-        id INT AUTO_INCREMENT PRIMARY KEY,
-        challenge_id INT NOT NULL,
-        user_name VARCHAR(255) NOT NULL,
-        code TEXT NOT NULL,
-        score INT NOT NULL DEFAULT 0,
-        passed_tests INT NOT NULL DEFAULT 0,
-        total_tests INT NOT NULL DEFAULT 0,
-        quality_score INT DEFAULT 0,
-        complexity_score INT DEFAULT 0,
-        time_spent INT DEFAULT 0,
-        analysis_data JSON,
-        submitted_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-        FOREIGN KEY (challenge_id) REFERENCES coding_challenges(id) ON DELETE CASCADE,
-        INDEX idx_challenge_id (challenge_id),
-        INDEX idx_user_name (user_name),
-        INDEX idx_submitted_at (submitted_at),
-        INDEX idx_score (score),
-        INDEX idx_quality_score (quality_score),
-        INDEX idx_complexity_score (complexity_score)
-      )
-    `);
-    console.log('📝 Coding submissions table created/verified');
+// Read a quiz's randomization settings with defaults for missing or malformed JSON
+function getRandomizationSettings(quiz) {
+  return {
+    randomizeQuestions: false,
+    randomizeOptions: false,
+    questionLimit: null,
+    ...safeJSONParse(quiz.randomization_settings, {})
+  };
+}
 
-    // Create question buckets table
-    await connection.execute(`
-      CREATE TABLE IF NOT EXISTS question_buckets (
-        id INT AUTO_INCREMENT PRIMARY KEY,
-        name VARCHAR(255) NOT NULL,
-        description TEXT,
-        subject VARCHAR(100) NOT NULL,
-        total_questions INT DEFAULT 0,
-        easy_count INT DEFAULT 0,
-        medium_count INT DEFAULT 0,
-        hard_count INT DEFAULT 0,
-        is_active BOOLEAN DEFAULT TRUE,
-        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
-        INDEX idx_subject (subject),
-        INDEX idx_is_active (is_active),
-        INDEX idx_created_at (created_at),
-        UNIQUE KEY unique_name_subject (name, subject)
-      )
-    `);
-    console.log('🪣 Question buckets table created/verified');
+// Assessment-level settings stored next to randomization/proctoring settings.
+// A null or 0 time limit means the quiz is untimed. Untimed attempts with no
+// autosave activity for abandonAfterMinutes are closed from their saved answers.
+const DEFAULT_ASSESSMENT_SETTINGS = {
+  timeLimitMinutes: 10,
+  graceSeconds: 30,
+  abandonAfterMinutes: 120
+};
 
-    // Create questions table
-    await connection.execute(`
-      CREATE TABLE IF NOT EXISTS questions (
-        id INT AUTO_INCREMENT PRIMARY KEY,
-        bucket_id INT NOT NULL,
-        question_text TEXT NOT NULL,
-        options JSON NOT NULL,
-        correct_answer INT NOT NULL,
-        difficulty ENUM('easy', 'medium', 'hard') NOT NULL,
-        points INT DEFAULT 1,
-        explanation TEXT,
-        tags JSON,
-        is_active BOOLEAN DEFAULT TRUE,
-        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
-        FOREIGN KEY (bucket_id) REFERENCES question_buckets(id) ON DELETE CASCADE,
-        INDEX idx_bucket_id (bucket_id),
-        INDEX idx_difficulty (difficulty),
-        INDEX idx_is_active (is_active),
-        INDEX idx_created_at (created_at)
-      )
-    `);
-    console.log('❓ Questions table created/verified');
+// Quiz scoring policy, kept in assessment settings as `scoringPolicy`.
+// wrongAnswerPenalty is the fraction of a question's points deducted for a wrong answer;
+// skipped questions are penalized the same way only when penalizeSkipped is set.
+// partialCredit decides whether multiple-select questions earn partial credit:
+// as set on each question, always, or never. floorAtZero keeps totals from going negative.
+const DEFAULT_SCORING_POLICY = {
+  wrongAnswerPenalty: 0,
+  penalizeSkipped: false,
+  partialCredit: 'per_question',
+  floorAtZero: true
+};
+const PARTIAL_CREDIT_MODES = ['per_question', 'always', 'never'];
 
-    // Create quiz bucket mappings table
-    await connection.execute(`
-      CREATE TABLE IF NOT EXISTS quiz_bucket_mappings (
-        id INT AUTO_INCREMENT PRIMARY KEY,
-        quiz_id VARCHAR(50) NOT NULL,
-        bucket_id INT NOT NULL,
-        easy_count INT DEFAULT 0,
-        medium_count INT DEFAULT 0,
-        hard_count INT DEFAULT 0,
-        total_questions INT DEFAULT 0,
-        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-        FOREIGN KEY (quiz_id) REFERENCES quizzes(id) ON DELETE CASCADE,
-        FOREIGN KEY (bucket_id) REFERENCES question_buckets(id) ON DELETE CASCADE,
-        INDEX idx_quiz_id (quiz_id),
-        INDEX idx_bucket_id (bucket_id),
-        UNIQUE KEY unique_quiz_bucket (quiz_id, bucket_id)
-      )
-    `);
-    console.log('🔗 Quiz bucket mappings table created/verified');
-    
-    // Insert default admin user if not exists
-    const adminPassword = await bcrypt.hash('ltimindtree2024', 10);
-    await connection.execute(`
-      INSERT IGNORE INTO admin_users (username, password_hash) 
-      VALUES ('admin', ?)
-    `, [adminPassword]);
-    console.log('🔑 Default admin user ensured');
-    
-    // Insert default quizzes if table is empty
-    const [quizCount] = await connection.execute('SELECT COUNT(*) as count FROM quizzes');
-    if (quizCount[0].count === 0) {
-      await insertDefaultQuizzes(connection);
-      console.log('📚 Default quizzes inserted');
-    } else {
-      console.log('📚 Existing quizzes found:', quizCount[0].count);
-    }
-    
-    // Insert default coding challenges if table is empty
-    const [codingCount] = await connection.execute('SELECT COUNT(*) as count FROM coding_challenges');
-    if (codingCount[0].count === 0) {
-      await insertDefaultCodingChallenges(connection);
-      console.log('💻 Default coding challenges inserted');
-    } else {
-      console.log('💻 Existing coding challenges found:', codingCount[0].count);
-    }
+function getScoringPolicy(quiz) {
+  const { scoringPolicy } = getAssessmentSettings(quiz);
+  return {
+    ...DEFAULT_SCORING_POLICY,
+    ...(scoringPolicy && typeof scoringPolicy === 'object' ? scoringPolicy : {})
+  };
+}
 
-    // Insert default question buckets if table is empty
-    const [bucketCount] = await connection.execute('SELECT COUNT(*) as count FROM question_buckets');
-    if (bucketCount[0].count === 0) {
-      await insertDefaultQuestionBuckets(connection);
-      console.log('🪣 Default question buckets inserted');
-    } else {
-      console.log('🪣 Existing question buckets found:', bucketCount[0].count);
+// Validate a scoring policy sent from the admin settings modal
+function validateScoringPolicy(input = {}) {
+  const policy = { ...DEFAULT_SCORING_POLICY, ...input };
+  const penalty = Number(policy.wrongAnswerPenalty || 0);
+  
+  if (!Number.isFinite(penalty) || penalty < 0 || penalty > 1) {
+    return { error: 'Wrong answer penalty must be a fraction of the question points between 0 and 1' };
+  }
+  if (!PARTIAL_CREDIT_MODES.includes(policy.partialCredit)) {
+    return { error: `Partial credit must be one of: ${PARTIAL_CREDIT_MODES.join(', ')}` };
+  }
+  
+  return {
+    policy: {
+      wrongAnswerPenalty: penalty,
+      penalizeSkipped: !!policy.penalizeSkipped,
+      partialCredit: policy.partialCredit,
+      floorAtZero: policy.floorAtZero !== false
     }
-    
-    connection.release();
-    console.log('✅ Database initialized successfully');
-    
-  } catch (error) {
-    if (connection) {
-      connection.release();
+  };
+}
+
+// Adaptive mode: each answer moves the next question's difficulty up (correct) or
+// down (wrong or skipped); every question is worth the quiz's points per question times
+// the (whole number) weight of its difficulty
+const DIFFICULTY_LEVELS = ['easy', 'medium', 'hard'];
+const DEFAULT_ADAPTIVE_SETTINGS = {
+  enabled: false,
+  questionCount: 10,
+  startDifficulty: 'medium',
+  weights: { easy: 1, medium: 2, hard: 3 }
+};
+
+function getAdaptiveSettings(quiz) {
+  const { adaptive } = getAssessmentSettings(quiz);
+  const settings = adaptive && typeof adaptive === 'object' ? adaptive : {};
+  return {
+    ...DEFAULT_ADAPTIVE_SETTINGS,
+    ...settings,
+    weights: { ...DEFAULT_ADAPTIVE_SETTINGS.weights, ...(settings.weights || {}) }
+  };
+}
+
+// Validate adaptive mode settings sent from the admin settings modal
+function validateAdaptiveSettings(input = {}) {
+  const settings = { ...DEFAULT_ADAPTIVE_SETTINGS, ...input };
+  const questionCount = Number(settings.questionCount);
+  
+  if (!Number.isInteger(questionCount) || questionCount < 1 || questionCount > 200) {
+    return { error: 'Adaptive question count must be a whole number between 1 and 200' };
+  }
+  if (!DIFFICULTY_LEVELS.includes(settings.startDifficulty)) {
+    return { error: `Adaptive start difficulty must be one of: ${DIFFICULTY_LEVELS.join(', ')}` };
+  }
+  
+  const weights = {};
+  for (const level of DIFFICULTY_LEVELS) {
+    const weight = Number((settings.weights || {})[level] === undefined ?
+      DEFAULT_ADAPTIVE_SETTINGS.weights[level] : settings.weights[level]);
+    // Whole numbers only: result scores are stored as integers
+    if (!Number.isInteger(weight) || weight < 1 || weight > 100) {
+      return { error: `Adaptive weight for ${level} questions must be a whole number between 1 and 100` };
     }
-    console.error('❌ Database initialization error:', error.message);
-    console.error('💡 Troubleshooting tips:');
-    console.error('   1. Check if MySQL service is running');
-    console.error('   2. Verify your password by connecting manually');
-    console.error('   3. Check if .env file has the correct password');
-    throw error; // Re-throw to prevent server startup with broken DB
+    weights[level] = weight;
   }
+  
+  return {
+    adaptive: {
+      enabled: !!settings.enabled,
+      questionCount,
+      startDifficulty: settings.startDifficulty,
+      weights
+    }
+  };
 }
 
-// Enhanced Proctoring Module Initialization
-async function initializeProctoringModule() {
-  try {
-    console.log('📹 Initializing proctoring module...');
-    
-    // Import the proctoring module
-    const proctoringModule = createProctoringRouter(pool);
-    proctoringRouter = proctoringModule.router;
-    proctoringManager = proctoringModule.proctoringManager;
+// Retake rules: how many attempts a candidate gets, how long they wait between them
+// and which attempt's score counts (best, latest or the average of all attempts)
+const DEFAULT_RETAKE_POLICY = {
+  maxAttempts: null,
+  cooldownMinutes: 0,
+  countedAttempt: 'latest'
+};
+const COUNTED_ATTEMPT_MODES = ['best', 'latest', 'average'];
+
+function getRetakePolicy(quiz) {
+  const { retakePolicy } = getAssessmentSettings(quiz);
+  return {
+    ...DEFAULT_RETAKE_POLICY,
+    ...(retakePolicy && typeof retakePolicy === 'object' ? retakePolicy : {})
+  };
+}
+
+// Validate retake rules sent from the admin settings modal
+function validateRetakePolicy(input = {}) {
+  const policy = { ...DEFAULT_RETAKE_POLICY, ...input };
+  const maxAttempts = policy.maxAttempts === null || policy.maxAttempts === '' ? null : Number(policy.maxAttempts);
+  const cooldownMinutes = Number(policy.cooldownMinutes || 0);
+  
+  if (maxAttempts !== null && (!Number.isInteger(maxAttempts) || maxAttempts < 1 || maxAttempts > 100)) {
+    return { error: 'Maximum attempts must be a whole number between 1 and 100, or empty for unlimited' };
+  }
+  if (!Number.isInteger(cooldownMinutes) || cooldownMinutes < 0 || cooldownMinutes > 525600) {
+    return { error: 'Retake cooldown must be a whole number of minutes (at most one year)' };
+  }
+  if (!COUNTED_ATTEMPT_MODES.includes(policy.countedAttempt)) {
+    return { error: `Counted attempt must be one of: ${COUNTED_ATTEMPT_MODES.join(', ')}` };
+  }
+  
+  return { policy: { maxAttempts, cooldownMinutes, countedAttempt: policy.countedAttempt } };
+}
+
+// The score that counts for a candidate's results on one quiz (ordered oldest first).
+// Returns { resultId, achievedScore, maxScore } where resultId is the result that stands
+// for the candidate; for averages that is the latest attempt.
+function getCountedScore(results, countedAttempt) {
+  const latest = results[results.length - 1];
+  
+  if (countedAttempt === 'best') {
+    const best = results.reduce((top, result) =>
+      result.achieved_score / (result.max_score || 1) > top.achieved_score / (top.max_score || 1) ? result : top);
+    return { resultId: best.id, achievedScore: best.achieved_score, maxScore: best.max_score };
+  }
+  if (countedAttempt === 'average') {
+    const average = field => roundScore(results.reduce((sum, result) => sum + Number(result[field]), 0) / results.length);
+    return { resultId: latest.id, achievedScore: average('achieved_score'), maxScore: average('max_score') };
+  }
+  return { resultId: latest.id, achievedScore: latest.achieved_score, maxScore: latest.max_score };
+}
+
+// Scheduling: a quiz can open and close at wall-clock times in a time zone, and invited
+// candidates can be given a "must start by" time (startWindowMinutes after the invitation
+// unless the invitation sets one). Attempts started before the close time may finish.
+const DEFAULT_SCHEDULE = {
+  opensAt: null,
+  closesAt: null,
+  timezone: 'Asia/Kolkata',
+  startWindowMinutes: null
+};
+const LOCAL_DATE_TIME_PATTERN = /^(\d{4})-(\d{2})-(\d{2})T(\d{2}):(\d{2})$/;
+
+function isValidTimeZone(timeZone) {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+// Convert a wall-clock time ("2025-03-01T09:30") in a time zone to a Date
+function zonedTimeToUtc(localDateTime, timeZone) {
+  const match = LOCAL_DATE_TIME_PATTERN.exec(localDateTime || '');
+  if (!match) return null;
+  
+  const [, year, month, day, hour, minute] = match.map(Number);
+  const wallClock = Date.UTC(year, month - 1, day, hour, minute);
+  const offsetAt = instant => {
+    const parts = {};
+    new Intl.DateTimeFormat('en-US', {
+      timeZone, hourCycle: 'h23', year: 'numeric', month: '2-digit', day: '2-digit',
+      hour: '2-digit', minute: '2-digit', second: '2-digit'
+    }).formatToParts(new Date(instant)).forEach(part => { parts[part.type] = Number(part.value); });
+    return Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second) - instant;
+  };
+  
+  // Apply the zone offset twice so times next to a DST change land on the right side
+  let instant = wallClock - offsetAt(wallClock);
+  instant = wallClock - offsetAt(instant);
+  return new Date(instant);
+}
+
+function getQuizSchedule(quiz) {
+  const { schedule } = getAssessmentSettings(quiz);
+  return { ...DEFAULT_SCHEDULE, ...(schedule && typeof schedule === 'object' ? schedule : {}) };
+}
+
+// Where a quiz stands against its availability window right now
+function getQuizAvailability(quiz, now = new Date()) {
+  const schedule = getQuizSchedule(quiz);
+  const opensAt = schedule.opensAt ? zonedTimeToUtc(schedule.opensAt, schedule.timezone) : null;
+  const closesAt = schedule.closesAt ? zonedTimeToUtc(schedule.closesAt, schedule.timezone) : null;
+  
+  return {
+    status: opensAt && now < opensAt ? 'upcoming' : closesAt && now >= closesAt ? 'closed' : 'open',
+    opensAt: opensAt ? opensAt.toISOString() : null,
+    closesAt: closesAt ? closesAt.toISOString() : null,
+    timezone: schedule.timezone
+  };
+}
+
+// Candidate-facing refusal for a quiz outside its window, or null when it is open
+function getAvailabilityError(availability) {
+  if (availability.status === 'upcoming') {
+    return { error: `This assessment opens at ${availability.opensAt}`, availability };
+  }
+  if (availability.status === 'closed') {
+    return { error: 'This assessment has closed', availability };
+  }
+  return null;
+}
+
+// Validate a schedule sent from the admin settings modal
+function validateSchedule(input = {}) {
+  const schedule = { ...DEFAULT_SCHEDULE, ...input };
+  const opensAt = schedule.opensAt || null;
+  const closesAt = schedule.closesAt || null;
+  const startWindow = schedule.startWindowMinutes === null || schedule.startWindowMinutes === '' ?
+    null : Number(schedule.startWindowMinutes);
+  
+  if (!isValidTimeZone(schedule.timezone)) {
+    return { error: `Unknown time zone "${schedule.timezone}"` };
+  }
+  if (opensAt && !LOCAL_DATE_TIME_PATTERN.test(opensAt)) {
+    return { error: 'Open time must look like 2025-03-01T09:30' };
+  }
+  if (closesAt && !LOCAL_DATE_TIME_PATTERN.test(closesAt)) {
+    return { error: 'Close time must look like 2025-03-01T17:30' };
+  }
+  if (opensAt && closesAt && zonedTimeToUtc(closesAt, schedule.timezone) <= zonedTimeToUtc(opensAt, schedule.timezone)) {
+    return { error: 'Close time must be after the open time' };
+  }
+  if (startWindow !== null && (!Number.isInteger(startWindow) || startWindow < 1)) {
+    return { error: 'Start window must be a whole number of minutes, or empty for none' };
+  }
+  
+  return { schedule: { opensAt, closesAt, timezone: schedule.timezone, startWindowMinutes: startWindow } };
+}
+
+// Answer review: after their attempt is graded, candidates can go back over each question
+// with their answer, the correct answer and the explanation. Review is off by default and
+// opens right after submission, once the quiz has closed, or when an admin releases it,
+// so the key does not reach candidates who have not sat the quiz yet.
+const DEFAULT_REVIEW_POLICY = {
+  mode: 'never',
+  released: false
+};
+const REVIEW_MODES = ['never', 'after_submission', 'after_close', 'manual'];
+
+function getReviewPolicy(quiz) {
+  const { reviewPolicy } = getAssessmentSettings(quiz);
+  return {
+    ...DEFAULT_REVIEW_POLICY,
+    ...(reviewPolicy && typeof reviewPolicy === 'object' ? reviewPolicy : {})
+  };
+}
+
+// Validate review settings sent from the admin settings modal against the quiz schedule
+function validateReviewPolicy(input = {}, schedule = DEFAULT_SCHEDULE) {
+  const policy = { ...DEFAULT_REVIEW_POLICY, ...input };
+  
+  if (!REVIEW_MODES.includes(policy.mode)) {
+    return { error: `Review mode must be one of: ${REVIEW_MODES.join(', ')}` };
+  }
+  if (policy.mode === 'after_close' && !schedule.closesAt) {
+    return { error: 'Review after the quiz closes needs a close time in the schedule' };
+  }
+  
+  return { policy: { mode: policy.mode, released: !!policy.released } };
+}
+
+// Whether candidates can review their graded attempts right now
+function getReviewAvailability(quiz, now = new Date()) {
+  const policy = getReviewPolicy(quiz);
+  
+  if (policy.mode === 'after_submission') {
+    return { mode: policy.mode, available: true };
+  }
+  if (policy.mode === 'after_close') {
+    const availability = getQuizAvailability(quiz, now);
+    return availability.status === 'closed' ?
+      { mode: policy.mode, available: true } :
+      { mode: policy.mode, available: false, opensAt: availability.closesAt,
+        message: `Answer review opens when the assessment closes at ${availability.closesAt}` };
+  }
+  if (policy.mode === 'manual') {
+    return policy.released ?
+      { mode: policy.mode, available: true } :
+      { mode: policy.mode, available: false, message: 'Answer review opens once the assessment coordinator releases it' };
+  }
+  return { mode: 'never', available: false, message: 'Answer review is not available for this assessment' };
+}
+
+// Pass mark and grade bands, as percentages of the maximum score. The outcome (pass or
+// fail) and the grade are worked out when an attempt is graded and stored with the result;
+// results of quizzes without a pass mark have no outcome.
+const DEFAULT_GRADING_SCHEME = {
+  passMark: null,
+  bands: []
+};
+const RESULT_OUTCOMES = ['pass', 'fail', 'ungraded'];
+
+function getGradingScheme(quiz) {
+  const { gradingScheme } = getAssessmentSettings(quiz);
+  return {
+    ...DEFAULT_GRADING_SCHEME,
+    ...(gradingScheme && typeof gradingScheme === 'object' ? gradingScheme : {})
+  };
+}
+
+// Validate a pass mark and grade bands sent from the admin settings modal.
+// Bands are stored highest first.
+function validateGradingScheme(input = {}) {
+  const scheme = { ...DEFAULT_GRADING_SCHEME, ...input };
+  const passMark = scheme.passMark === null || scheme.passMark === '' ? null : Number(scheme.passMark);
+  
+  if (passMark !== null && (!Number.isFinite(passMark) || passMark < 0 || passMark > 100)) {
+    return { error: 'Pass mark must be a percentage between 0 and 100, or empty for none' };
+  }
+  if (!Array.isArray(scheme.bands)) {
+    return { error: 'Grade bands must be an array' };
+  }
+  
+  const bands = [];
+  for (const band of scheme.bands) {
+    const name = band && typeof band.name === 'string' ? band.name.trim() : '';
+    const minPercent = Number(band && band.minPercent);
+    if (!name || name.length > 50) {
+      return { error: 'Every grade band needs a name of at most 50 characters' };
+    }
+    if (!Number.isFinite(minPercent) || minPercent < 0 || minPercent > 100) {
+      return { error: `Grade band "${name}" needs a minimum percentage between 0 and 100` };
+    }
+    if (bands.some(existing => existing.name.toLowerCase() === name.toLowerCase())) {
+      return { error: `Grade band "${name}" is listed twice` };
+    }
+    if (bands.some(existing => existing.minPercent === minPercent)) {
+      return { error: `Two grade bands start at ${minPercent}%` };
+    }
+    bands.push({ name, minPercent });
+  }
+  bands.sort((a, b) => b.minPercent - a.minPercent);
+  
+  return { scheme: { passMark, bands } };
+}
+
+// Percentage, outcome and grade of a score under a grading scheme
+function getResultOutcome(achievedScore, maxScore, scheme = DEFAULT_GRADING_SCHEME) {
+  const percentage = maxScore > 0 ? roundScore((Number(achievedScore) / maxScore) * 100) : 0;
+  const band = (scheme.bands || []).find(entry => percentage >= entry.minPercent);
+  return {
+    percentage,
+    outcome: scheme.passMark === null || scheme.passMark === undefined ? null :
+      percentage >= scheme.passMark ? 'pass' : 'fail',
+    grade: band ? band.name : null
+  };
+}
+
+// Candidate access: which email domains may take a quiz, and whether only invited
+// candidates may. A quiz without its own domain list uses the global list from
+// app_settings; an empty global list allows any domain.
+const DEFAULT_ACCESS_POLICY = {
+  mode: 'open',
+  allowedDomains: []
+};
+const ACCESS_MODES = ['open', 'invitation_only'];
+const DEFAULT_GLOBAL_ACCESS = { allowedDomains: [] };
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const DOMAIN_PATTERN = /^[a-z0-9]([a-z0-9-]*[a-z0-9])?(\.[a-z0-9]([a-z0-9-]*[a-z0-9])?)+$/;
+
+function getAccessPolicy(quiz) {
+  const { accessPolicy } = getAssessmentSettings(quiz);
+  return {
+    ...DEFAULT_ACCESS_POLICY,
+    ...(accessPolicy && typeof accessPolicy === 'object' ? accessPolicy : {})
+  };
+}
+
+// Normalise a list of domains ("@Example.com" becomes "example.com"). Returns { domains } or { error }.
+function validateAllowedDomains(input) {
+  if (!Array.isArray(input)) {
+    return { error: 'Allowed domains must be an array' };
+  }
+  
+  const domains = [];
+  for (const entry of input) {
+    const domain = String(entry || '').trim().toLowerCase().replace(/^@/, '');
+    if (!domain) {
+      continue;
+    }
+    if (domain.length > 253 || !DOMAIN_PATTERN.test(domain)) {
+      return { error: `"${entry}" is not a valid email domain` };
+    }
+    if (!domains.includes(domain)) {
+      domains.push(domain);
+    }
+  }
+  return { domains };
+}
+
+// Validate a quiz's access policy sent from the admin settings modal
+function validateAccessPolicy(input = {}) {
+  const policy = { ...DEFAULT_ACCESS_POLICY, ...input };
+  
+  if (!ACCESS_MODES.includes(policy.mode)) {
+    return { error: `Access mode must be one of: ${ACCESS_MODES.join(', ')}` };
+  }
+  const allowed = validateAllowedDomains(policy.allowedDomains);
+  if (allowed.error) {
+    return { error: allowed.error };
+  }
+  
+  return { policy: { mode: policy.mode, allowedDomains: allowed.domains } };
+}
+
+function getEmailDomain(email) {
+  return EMAIL_PATTERN.test(email) ? email.split('@').pop().toLowerCase() : null;
+}
+
+// Emails are compared without regard to case or surrounding spaces
+function normalizeEmail(email) {
+  return String(email || '').trim().toLowerCase();
+}
+
+async function getGlobalAccessSettings(connection = pool) {
+  const [rows] = await connection.execute(
+    "SELECT value FROM app_settings WHERE setting_key = 'candidate_access'"
+  );
+  const settings = rows.length > 0 ? safeJSONParse(rows[0].value, {}) : {};
+  return { ...DEFAULT_GLOBAL_ACCESS, ...settings };
+}
+
+// The quiz's mode and the domains it accepts once the global fallback is applied ([] = any)
+function getEffectiveAccess(quiz, globalAccess) {
+  const policy = getAccessPolicy(quiz);
+  return {
+    mode: policy.mode,
+    allowedDomains: policy.allowedDomains.length > 0 ? policy.allowedDomains : globalAccess.allowedDomains
+  };
+}
+
+// Whether a candidate may start the quiz; null when they may, otherwise { status, error }
+async function checkCandidateAccess(quiz, email) {
+  const domain = getEmailDomain(email);
+  if (!domain) {
+    return { status: 400, error: 'Please enter a valid email address' };
+  }
+  
+  const access = getEffectiveAccess(quiz, await getGlobalAccessSettings());
+  if (access.allowedDomains.length > 0 && !access.allowedDomains.includes(domain)) {
+    return {
+      status: 403,
+      error: `Email addresses from @${domain} cannot take this assessment. ` +
+        `Please use an address from: ${access.allowedDomains.map(allowed => `@${allowed}`).join(', ')}`,
+      allowedDomains: access.allowedDomains
+    };
+  }
+  
+  if (access.mode === 'invitation_only') {
+    const [invitations] = await pool.execute(
+      'SELECT id FROM quiz_participants WHERE quiz_id = ? AND LOWER(email) = ?',
+      [quiz.id, normalizeEmail(email)]
+    );
+    if (invitations.length === 0) {
+      return {
+        status: 403,
+        error: `This assessment is by invitation only and ${email} has not been invited. ` +
+          'Please use the email address your invitation was sent to.',
+        invitationOnly: true
+      };
+    }
+  }
+  
+  return null;
+}
+
+// SQL conditions for the result filters shared by the results list and statistics:
+// ?quizId=, ?outcome=pass|fail|ungraded, ?grade= and ?delivery=retry. Returns { where, params } or { error }.
+function getResultFilters(query) {
+  const conditions = [];
+  const params = [];
+  
+  if (query.quizId) {
+    conditions.push('track_id = ?');
+    params.push(String(query.quizId));
+  }
+  if (query.outcome) {
+    if (!RESULT_OUTCOMES.includes(query.outcome)) {
+      return { error: `Outcome must be one of: ${RESULT_OUTCOMES.join(', ')}` };
+    }
+    conditions.push(query.outcome === 'ungraded' ? 'outcome IS NULL' : 'outcome = ?');
+    if (query.outcome !== 'ungraded') {
+      params.push(query.outcome);
+    }
+  }
+  if (query.grade) {
+    conditions.push('grade = ?');
+    params.push(String(query.grade));
+  }
+  if (query.delivery) {
+    if (query.delivery !== 'retry') {
+      return { error: 'Delivery must be: retry' };
+    }
+    conditions.push('(delivery_attempts > 1 OR late_submission_at IS NOT NULL)');
+  }
+  
+  return { where: conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '', params };
+}
+
+// How often in-progress attempts are checked for expiry or abandonment
+const ATTEMPT_SWEEP_INTERVAL_MS = 60 * 1000;
+
+function getAssessmentSettings(quiz) {
+  return {
+    ...DEFAULT_ASSESSMENT_SETTINGS,
+    ...safeJSONParse(quiz.assessment_settings, {})
+  };
+}
+
+// Freeze the question subset, question order and option order for one attempt.
+// Each layout entry points at a stored question and, when options were shuffled,
+// lists the original option index shown at each position.
+function buildAttemptLayout(questions, randomizationSettings, seed = null) {
+  const { randomizeQuestions, randomizeOptions } = randomizationSettings;
+  const questionLimit = parseInt(randomizationSettings.questionLimit) || null;
+  
+  return randomizeQuiz(questions, randomizeQuestions, randomizeOptions, questionLimit, seed)
+    .map(question => {
+      const entry = { sourceIndex: question.sourceIndex, optionOrder: question.optionOrder || null };
+      if (hasQuestionId(question)) {
+        entry.questionId = String(question.id);
+      }
+      return entry;
+    });
+}
+
+// Point layout entries at the current position of their question. Entries carrying a
+// question ID follow the question when others are added or deleted; entries whose
+// question no longer exists are dropped.
+function resolveLayout(layout, questions) {
+  return (Array.isArray(layout) ? layout : []).map(entry => {
+    if (!entry.questionId) {
+      return questions[entry.sourceIndex] ? entry : null;
+    }
+    const sourceIndex = questions.findIndex(question => question && String(question.id) === entry.questionId);
+    return sourceIndex === -1 ? null : { ...entry, sourceIndex };
+  }).filter(Boolean);
+}
+
+// Layout entries whose stored question still exists
+function getLiveLayout(attempt, questions) {
+  return resolveLayout(safeJSONParse(attempt.question_layout, []), questions);
+}
+
+// Key of an entry's answer in an attempt's stored answers: its question ID, or the
+// question's position for attempts built before question IDs existed
+function getAnswerKey(entry) {
+  return entry.questionId || entry.sourceIndex;
+}
+
+// Unanswered: nothing selected, typed or entered
+function isBlankAnswer(answer) {
+  return answer === null || answer === undefined ||
+    (typeof answer === 'string' && answer.trim() === '') ||
+    (Array.isArray(answer) && answer.length === 0);
+}
+
+// Longest typed answer kept for text questions
+const MAX_TEXT_ANSWER_LENGTH = 1000;
+
+// Convert an answer as given in the attempt to its stored form: option positions become
+// option IDs (a list in option order for multiple-select); typed answers are kept as is
+function toStoredAnswer(entry, answer, question) {
+  if (isBlankAnswer(answer)) {
+    return null;
+  }
+  if (Array.isArray(answer)) {
+    const optionIds = getOptionIds(question);
+    const stored = answer.map(item => toStoredAnswer(entry, item, question)).filter(item => item !== null);
+    return stored.length === 0 ? null :
+      [...new Set(stored)].sort((a, b) => optionIds.indexOf(a) - optionIds.indexOf(b));
+  }
+  if (!hasOptionIds(question)) {
+    return typeof answer === 'string' ? answer.trim().slice(0, MAX_TEXT_ANSWER_LENGTH) : answer;
+  }
+  const position = Number(answer);
+  const optionId = getOptionIds(question)[entry.optionOrder ? entry.optionOrder[position] : position];
+  return optionId === undefined ? null : optionId;
+}
+
+// Convert a stored answer (or an answer key of option indices) back to the option
+// positions the candidate sees in the attempt
+function toDeliveredAnswer(entry, answer, question) {
+  if (isBlankAnswer(answer)) {
+    return null;
+  }
+  if (Array.isArray(answer)) {
+    return answer.map(item => toDeliveredAnswer(entry, item, question)).filter(item => item !== null);
+  }
+  if (!hasOptionIds(question)) {
+    return answer;
+  }
+  const index = toOptionIndex(question, answer);
+  if (index === null || !entry.optionOrder) {
+    return index;
+  }
+  const position = entry.optionOrder.indexOf(index);
+  return position === -1 ? null : position;
+}
+
+// Scores are kept to two decimals since partial credit can award fractions of a point
+function roundScore(value) {
+  return Math.round(value * 100) / 100;
+}
+
+// Fraction of a question's points earned by a stored answer, from 0 to 1
+function scoreAnswer(question, answer) {
+  if (isBlankAnswer(answer)) {
+    return 0;
+  }
+  
+  switch (getQuestionType(question)) {
+    case 'multiple': {
+      // All-or-nothing unless the question allows partial credit, where each
+      // wrong selection cancels out a right one
+      const correct = (Array.isArray(question.correct) ? question.correct : [question.correct]).map(Number);
+      const selected = [...new Set((Array.isArray(answer) ? answer : [answer])
+        .map(item => toOptionIndex(question, item)).filter(index => index !== null))];
+      const hits = selected.filter(index => correct.includes(index)).length;
+      const misses = selected.length - hits;
+      if (!question.partialCredit) {
+        return hits === correct.length && misses === 0 ? 1 : 0;
+      }
+      return Math.max(0, (hits - misses) / correct.length);
+    }
+    case 'numeric': {
+      const value = Number(answer);
+      const tolerance = Number(question.tolerance) || 0;
+      return Number.isFinite(value) && Math.abs(value - Number(question.correct)) <= tolerance + 1e-9 ? 1 : 0;
+    }
+    case 'text': {
+      const normalize = value => {
+        const text = String(value).trim().replace(/\s+/g, ' ');
+        return question.caseSensitive ? text : text.toLowerCase();
+      };
+      const accepted = (Array.isArray(question.correct) ? question.correct : [question.correct]).map(normalize);
+      return accepted.includes(normalize(answer)) ? 1 : 0;
+    }
+    default:
+      return toOptionIndex(question, answer) === Number(question.correct) ? 1 : 0;
+  }
+}
+
+// Apply the quiz's partial credit mode to a multiple-select question
+function applyPartialCreditPolicy(question, policy) {
+  if (getQuestionType(question) !== 'multiple' || policy.partialCredit === 'per_question') {
+    return question;
+  }
+  return { ...question, partialCredit: policy.partialCredit === 'always' };
+}
+
+// Grade one normalized answer worth `points` under a scoring policy
+function gradeAnswer(question, answer, points, policy) {
+  const fraction = scoreAnswer(applyPartialCreditPolicy(question, policy), answer);
+  const status = isBlankAnswer(answer) ? 'skipped' :
+    fraction === 1 ? 'correct' : fraction > 0 ? 'partial' : 'wrong';
+  
+  const penalized = status === 'wrong' || (status === 'skipped' && policy.penalizeSkipped);
+  const penalty = penalized ? roundScore(points * (Number(policy.wrongAnswerPenalty) || 0)) : 0;
+  const earned = roundScore(points * fraction);
+  return { status, correct: status === 'correct', earned, penalty, awarded: roundScore(earned - penalty) };
+}
+
+// Grade normalized answers against the stored answer key under a scoring policy.
+// Each breakdown item records what was earned, any penalty and the points awarded.
+function gradeAnswers(questions, entries, pointsPerQuestion = 1, policy = DEFAULT_SCORING_POLICY) {
+  let rawScore = 0;
+  let maxScore = 0;
+  let penaltyTotal = 0;
+  const counts = { correct: 0, partial: 0, wrong: 0, skipped: 0 };
+
+  const breakdown = entries.map(({ questionIndex, questionId, answer }) => {
+    const question = questions[questionIndex];
+    const points = question.points || pointsPerQuestion || 1;
+    const { status, earned, penalty, awarded } = gradeAnswer(question, answer, points, policy);
+
+    maxScore += points;
+    rawScore += awarded;
+    penaltyTotal += penalty;
+    counts[status]++;
+
+    return {
+      questionIndex,
+      questionId: questionId || null,
+      type: getQuestionType(question),
+      answer,
+      status,
+      correct: status === 'correct',
+      points,
+      earned,
+      penalty,
+      awarded
+    };
+  });
+
+  rawScore = roundScore(rawScore);
+  return {
+    achievedScore: policy.floorAtZero ? Math.max(0, rawScore) : rawScore,
+    rawScore,
+    maxScore,
+    penaltyTotal: roundScore(penaltyTotal),
+    correctCount: counts.correct,
+    counts,
+    totalQuestions: entries.length,
+    breakdown,
+    policy
+  };
+}
+
+// How a graded score was reached, stored with the result and shown to candidates
+function getScoringSummary(graded) {
+  return {
+    policy: graded.policy,
+    rawScore: graded.rawScore,
+    penaltyTotal: graded.penaltyTotal,
+    flooredAtZero: graded.achievedScore !== graded.rawScore,
+    counts: graded.counts
+  };
+}
+
+// Add a column to an existing table when it is missing, since
+// CREATE TABLE IF NOT EXISTS never alters tables from older installs
+async function ensureColumn(connection, table, column, definition) {
+  const [columns] = await connection.execute(`
+    SELECT COLUMN_NAME FROM INFORMATION_SCHEMA.COLUMNS
+    WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME = ? AND COLUMN_NAME = ?
+  `, [table, column]);
+
+  if (columns.length === 0) {
+    await connection.execute(`ALTER TABLE \`${table}\` ADD COLUMN \`${column}\` ${definition}`);
+    console.log(`🔧 Added missing column ${table}.${column}`);
+  }
+}
+
+// Change an existing column when its current definition no longer fits,
+// e.g. a score column widened from INT to DECIMAL on an older install
+async function ensureColumnDefinition(connection, table, column, definition, needsChange) {
+  const [columns] = await connection.execute(`
+    SELECT DATA_TYPE, IS_NULLABLE FROM INFORMATION_SCHEMA.COLUMNS
+    WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME = ? AND COLUMN_NAME = ?
+  `, [table, column]);
+
+  if (columns.length > 0 && needsChange(columns[0])) {
+    await connection.execute(`ALTER TABLE \`${table}\` MODIFY COLUMN \`${column}\` ${definition}`);
+    console.log(`🔧 Updated column ${table}.${column} to ${definition}`);
+  }
+}
+
+// Helper function to update bucket question counts
+async function updateBucketCounts(bucketId) {
+  try {
+    const [counts] = await pool.execute(`
+      SELECT 
+        COUNT(*) as total,
+        SUM(CASE WHEN difficulty = 'easy' THEN 1 ELSE 0 END) as easy,
+        SUM(CASE WHEN difficulty = 'medium' THEN 1 ELSE 0 END) as medium,
+        SUM(CASE WHEN difficulty = 'hard' THEN 1 ELSE 0 END) as hard
+      FROM questions 
+      WHERE bucket_id = ? AND is_active = TRUE
+    `, [bucketId]);
+    
+    if (counts.length > 0) {
+      await pool.execute(`
+        UPDATE question_buckets 
+        SET total_questions = ?, easy_count = ?, medium_count = ?, hard_count = ?
+        WHERE id = ?
+      `, [counts[0].total, counts[0].easy, counts[0].medium, counts[0].hard, bucketId]);
+    }
+  } catch (error) {
+    console.error('Error updating bucket counts:', error);
+  }
+}
+
+// =================== SCHEMA MIGRATIONS ===================
+// The schema is built by numbered migrations, applied in order at startup (or with
+// `npm run migrate`) and recorded in schema_migrations. To change the schema, append a
+// migration with the next version; never edit one that has already shipped. `down`
+// undoes `up` and is only run from the command line; migrations without one cannot be reverted.
+
+// Version 1 is the schema as it stood before migrations. Installs from that time already
+// have some of these tables, possibly without later columns, so it creates what is missing
+// and adds missing columns; migrations after it can use plain ALTER TABLE.
+async function createBaselineSchema(connection) {
+  // Create quizzes table
+  await connection.execute(`
+    CREATE TABLE IF NOT EXISTS quizzes (
+      id VARCHAR(50) PRIMARY KEY,
+      name VARCHAR(255) NOT NULL,
+      description TEXT,
+      questions JSON NOT NULL,
+      points_per_question INT DEFAULT 1,
+      is_custom BOOLEAN DEFAULT TRUE,
+      randomization_settings JSON DEFAULT NULL,
+      proctoring_settings JSON DEFAULT NULL,
+      assessment_settings JSON DEFAULT NULL,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+      INDEX idx_created_at (created_at)
+    )
+  `);
+  await ensureColumn(connection, 'quizzes', 'assessment_settings', 'JSON DEFAULT NULL');
+  console.log('📋 Quizzes table ready');
+  
+  // Create results table
+  await connection.execute(`
+    CREATE TABLE IF NOT EXISTS assessment_results (
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      name VARCHAR(255) NOT NULL,
+      email VARCHAR(255) NOT NULL,
+      assessment_track VARCHAR(255) NOT NULL,
+      track_id VARCHAR(50) NOT NULL,
+      login_date_time DATETIME NOT NULL,
+      completion_time DATETIME NOT NULL,
+      max_score INT NOT NULL,
+      achieved_score DECIMAL(10,2) NOT NULL,
+      total_questions INT NOT NULL,
+      duration_seconds INT NOT NULL,
+      answers JSON,
+      client_reported_score DECIMAL(10,2) DEFAULT NULL,
+      score_flagged BOOLEAN DEFAULT FALSE,
+      attempt_id INT DEFAULT NULL,
+      time_expired BOOLEAN DEFAULT FALSE,
+      abandoned BOOLEAN DEFAULT FALSE,
+      scoring JSON,
+      section_scores JSON,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      INDEX idx_attempt_id (attempt_id),
+      INDEX idx_email (email),
+      INDEX idx_track_id (track_id),
+      INDEX idx_completion_time (completion_time),
+      INDEX idx_created_at (created_at)
+    )
+  `);
+  await ensureColumn(connection, 'assessment_results', 'client_reported_score', 'DECIMAL(10,2) DEFAULT NULL');
+  // Partial credit awards fractions of a point
+  await ensureColumnDefinition(connection, 'assessment_results', 'achieved_score', 'DECIMAL(10,2) NOT NULL',
+    column => column.DATA_TYPE !== 'decimal');
+  await ensureColumnDefinition(connection, 'assessment_results', 'client_reported_score', 'DECIMAL(10,2) DEFAULT NULL',
+    column => column.DATA_TYPE !== 'decimal');
+  await ensureColumn(connection, 'assessment_results', 'score_flagged', 'BOOLEAN DEFAULT FALSE');
+  await ensureColumn(connection, 'assessment_results', 'attempt_id', 'INT DEFAULT NULL');
+  await ensureColumn(connection, 'assessment_results', 'time_expired', 'BOOLEAN DEFAULT FALSE');
+  await ensureColumn(connection, 'assessment_results', 'abandoned', 'BOOLEAN DEFAULT FALSE');
+  await ensureColumn(connection, 'assessment_results', 'scoring', 'JSON');
+  await ensureColumn(connection, 'assessment_results', 'section_scores', 'JSON');
+  await ensureColumn(connection, 'assessment_results', 'random_seed', 'VARCHAR(32) NULL');
+  console.log('📊 Results table ready');
+  
+  // Create attempts table (one row per candidate sitting, holding the frozen question layout)
+  await connection.execute(`
+    CREATE TABLE IF NOT EXISTS assessment_attempts (
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      attempt_token VARCHAR(64) UNIQUE NOT NULL,
+      quiz_id VARCHAR(50) NOT NULL,
+      name VARCHAR(255) NOT NULL,
+      email VARCHAR(255) NOT NULL,
+      status ENUM('in_progress', 'submitted') DEFAULT 'in_progress',
+      question_layout JSON NOT NULL,
+      question_set JSON,
+      current_section INT DEFAULT 0,
+      section_state JSON,
+      adaptive_state JSON,
+      random_seed VARCHAR(32) NULL,
+      randomization JSON,
+      answers JSON,
+      answer_times JSON,
+      current_index INT DEFAULT 0,
+      started_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      deadline_at TIMESTAMP NULL,
+      last_activity_at TIMESTAMP NULL,
+      submitted_at TIMESTAMP NULL,
+      result_id INT DEFAULT NULL,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+      FOREIGN KEY (quiz_id) REFERENCES quizzes(id) ON DELETE CASCADE,
+      INDEX idx_quiz_email (quiz_id, email),
+      INDEX idx_status (status),
+      INDEX idx_started_at (started_at)
+    )
+  `);
+  await ensureColumn(connection, 'assessment_attempts', 'deadline_at', 'TIMESTAMP NULL');
+  await ensureColumn(connection, 'assessment_attempts', 'answer_times', 'JSON');
+  // Sectioned attempts snapshot the questions drawn for them and track section progress
+  await ensureColumn(connection, 'assessment_attempts', 'question_set', 'JSON');
+  await ensureColumn(connection, 'assessment_attempts', 'current_section', 'INT DEFAULT 0');
+  await ensureColumn(connection, 'assessment_attempts', 'section_state', 'JSON');
+  await ensureColumn(connection, 'assessment_attempts', 'adaptive_state', 'JSON');
+  // The seed and randomization settings an attempt was built with, to rebuild its paper
+  await ensureColumn(connection, 'assessment_attempts', 'random_seed', 'VARCHAR(32) NULL');
+  await ensureColumn(connection, 'assessment_attempts', 'randomization', 'JSON');
+  console.log('📝 Assessment attempts table ready');
+  
+  // Create admin users table
+  await connection.execute(`
+    CREATE TABLE IF NOT EXISTS admin_users (
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      username VARCHAR(50) UNIQUE NOT NULL,
+      password_hash VARCHAR(255) NOT NULL,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+  console.log('👥 Admin users table ready');
+  
+  // Create coding challenges table
+  await connection.execute(`
+    CREATE TABLE IF NOT EXISTS coding_challenges (
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      title VARCHAR(255) NOT NULL,
+      description TEXT NOT NULL,
+      difficulty ENUM('easy', 'medium', 'hard') NOT NULL DEFAULT 'easy',
+      time_limit INT NOT NULL DEFAULT 30,
+      starter_code TEXT NOT NULL,
+      solution_code TEXT,
+      is_active BOOLEAN DEFAULT TRUE,
+      created_by VARCHAR(50) NOT NULL,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+      INDEX idx_difficulty (difficulty),
+      INDEX idx_created_at (created_at),
+      INDEX idx_is_active (is_active)
+    )
+  `);
+  console.log('💻 Coding challenges table ready');
+  
+  // Create coding test cases table
+  await connection.execute(`
+    CREATE TABLE IF NOT EXISTS coding_test_cases (
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      challenge_id INT NOT NULL,
+      input TEXT NOT NULL,
+      expected_output TEXT NOT NULL,
+      is_hidden BOOLEAN DEFAULT FALSE,
+      order_index INT NOT NULL DEFAULT 0,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (challenge_id) REFERENCES coding_challenges(id) ON DELETE CASCADE,
+      INDEX idx_challenge_id (challenge_id),
+      INDEX idx_order_index (order_index)
+    )
+  `);
+  console.log('🧪 Coding test cases table ready');
+  
+  // Create coding submissions table
+  await connection.execute(`
+    CREATE TABLE IF NOT EXISTS coding_submissions (
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      challenge_id INT NOT NULL,
+      user_name VARCHAR(255) NOT NULL,
+      code TEXT NOT NULL,
+      score INT NOT NULL DEFAULT 0,
+      passed_tests INT NOT NULL DEFAULT 0,
+      total_tests INT NOT NULL DEFAULT 0,
+      quality_score INT DEFAULT 0,
+      complexity_score INT DEFAULT 0,
+      time_spent INT DEFAULT 0,
+      analysis_data JSON,
+      submitted_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (challenge_id) REFERENCES coding_challenges(id) ON DELETE CASCADE,
+      INDEX idx_challenge_id (challenge_id),
+      INDEX idx_user_name (user_name),
+      INDEX idx_submitted_at (submitted_at),
+      INDEX idx_score (score),
+      INDEX idx_quality_score (quality_score),
+      INDEX idx_complexity_score (complexity_score)
+    )
+  `);
+  console.log('📝 Coding submissions table ready');
+
+  // Create question buckets table
+  await connection.execute(`
+    CREATE TABLE IF NOT EXISTS question_buckets (
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      name VARCHAR(255) NOT NULL,
+      description TEXT,
+      subject VARCHAR(100) NOT NULL,
+      total_questions INT DEFAULT 0,
+      easy_count INT DEFAULT 0,
+      medium_count INT DEFAULT 0,
+      hard_count INT DEFAULT 0,
+      is_active BOOLEAN DEFAULT TRUE,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+      INDEX idx_subject (subject),
+      INDEX idx_is_active (is_active),
+      INDEX idx_created_at (created_at),
+      UNIQUE KEY unique_name_subject (name, subject)
+    )
+  `);
+  console.log('🪣 Question buckets table ready');
+
+  // Create questions table
+  await connection.execute(`
+    CREATE TABLE IF NOT EXISTS questions (
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      bucket_id INT NOT NULL,
+      question_text TEXT NOT NULL,
+      question_type ENUM('single', 'multiple', 'true_false', 'numeric', 'text') NOT NULL DEFAULT 'single',
+      options JSON NOT NULL,
+      correct_answer INT NULL,
+      answer_key JSON,
+      difficulty ENUM('easy', 'medium', 'hard') NOT NULL,
+      points INT DEFAULT 1,
+      explanation TEXT,
+      tags JSON,
+      is_active BOOLEAN DEFAULT TRUE,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+      FOREIGN KEY (bucket_id) REFERENCES question_buckets(id) ON DELETE CASCADE,
+      INDEX idx_bucket_id (bucket_id),
+      INDEX idx_difficulty (difficulty),
+      INDEX idx_is_active (is_active),
+      INDEX idx_created_at (created_at)
+    )
+  `);
+  await ensureColumn(connection, 'questions', 'question_type',
+    "ENUM('single', 'multiple', 'true_false', 'numeric', 'text') NOT NULL DEFAULT 'single'");
+  await ensureColumn(connection, 'questions', 'answer_key', 'JSON');
+  // Only single-choice and true/false keys fit in correct_answer; other types use answer_key
+  await ensureColumnDefinition(connection, 'questions', 'correct_answer', 'INT NULL',
+    column => column.IS_NULLABLE === 'NO');
+  console.log('❓ Questions table ready');
+
+  // Create quiz bucket mappings table
+  await connection.execute(`
+    CREATE TABLE IF NOT EXISTS quiz_bucket_mappings (
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      quiz_id VARCHAR(50) NOT NULL,
+      bucket_id INT NOT NULL,
+      easy_count INT DEFAULT 0,
+      medium_count INT DEFAULT 0,
+      hard_count INT DEFAULT 0,
+      total_questions INT DEFAULT 0,
+      section_name VARCHAR(255) DEFAULT NULL,
+      section_order INT DEFAULT NULL,
+      instructions TEXT,
+      time_limit_minutes INT DEFAULT NULL,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (quiz_id) REFERENCES quizzes(id) ON DELETE CASCADE,
+      FOREIGN KEY (bucket_id) REFERENCES question_buckets(id) ON DELETE CASCADE,
+      INDEX idx_quiz_id (quiz_id),
+      INDEX idx_bucket_id (bucket_id),
+      UNIQUE KEY unique_quiz_bucket (quiz_id, bucket_id)
+    )
+  `);
+  // A mapping with a section_order is one section of a sectioned assessment
+  await ensureColumn(connection, 'quiz_bucket_mappings', 'section_name', 'VARCHAR(255) DEFAULT NULL');
+  await ensureColumn(connection, 'quiz_bucket_mappings', 'section_order', 'INT DEFAULT NULL');
+  await ensureColumn(connection, 'quiz_bucket_mappings', 'instructions', 'TEXT');
+  await ensureColumn(connection, 'quiz_bucket_mappings', 'time_limit_minutes', 'INT DEFAULT NULL');
+  console.log('🔗 Quiz bucket mappings table ready');
+  
+  // Create quiz questions table (a quiz's questions in order: linked bucket questions or
+  // quiz-local questions; replaces the quizzes.questions JSON column)
+  await connection.execute(`
+    CREATE TABLE IF NOT EXISTS quiz_questions (
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      quiz_id VARCHAR(50) NOT NULL,
+      question_id VARCHAR(64) NOT NULL,
+      position INT NOT NULL DEFAULT 0,
+      bucket_question_id INT NULL,
+      content JSON NULL,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+      FOREIGN KEY (quiz_id) REFERENCES quizzes(id) ON DELETE CASCADE,
+      FOREIGN KEY (bucket_question_id) REFERENCES questions(id) ON DELETE CASCADE,
+      UNIQUE KEY unique_quiz_question (quiz_id, question_id),
+      INDEX idx_quiz_position (quiz_id, position)
+    )
+  `);
+  console.log('🧩 Quiz questions table ready');
+  
+  // Create quiz participants table (invited candidates and their access tokens)
+  await connection.execute(`
+    CREATE TABLE IF NOT EXISTS quiz_participants (
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      quiz_id VARCHAR(50) NOT NULL,
+      name VARCHAR(255) NOT NULL,
+      email VARCHAR(255) NOT NULL,
+      department VARCHAR(255),
+      access_token VARCHAR(255) UNIQUE NOT NULL,
+      invited_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      expires_at TIMESTAMP DEFAULT (CURRENT_TIMESTAMP + INTERVAL 7 DAY),
+      accessed_at TIMESTAMP NULL,
+      completed_at TIMESTAMP NULL,
+      start_by TIMESTAMP NULL,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (quiz_id) REFERENCES quizzes(id) ON DELETE CASCADE,
+      INDEX idx_quiz_id (quiz_id),
+      INDEX idx_email (email),
+      INDEX idx_access_token (access_token),
+      INDEX idx_expires_at (expires_at),
+      UNIQUE KEY unique_quiz_participant (quiz_id, email)
+    )
+  `);
+  // Per-candidate "must start by" time
+  await ensureColumn(connection, 'quiz_participants', 'start_by', 'TIMESTAMP NULL');
+  console.log('📋 Quiz participants table ready');
+  
+  // Create proctoring sessions and violation tables (used by proctoring-module.js)
+  await connection.execute(`
+    CREATE TABLE IF NOT EXISTS proctoring_sessions (
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      session_id VARCHAR(100) UNIQUE NOT NULL,
+      user_email VARCHAR(255) NOT NULL,
+      user_name VARCHAR(255) NOT NULL,
+      assessment_id VARCHAR(50) NOT NULL,
+      proctoring_level ENUM('basic', 'standard', 'advanced') DEFAULT 'basic',
+      status ENUM('active', 'completed', 'terminated', 'paused') DEFAULT 'active',
+      start_time TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      end_time TIMESTAMP NULL,
+      violation_count INT DEFAULT 0,
+      strict_mode BOOLEAN DEFAULT FALSE,
+      settings JSON,
+      metadata JSON,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+      INDEX idx_session_id (session_id),
+      INDEX idx_user_email (user_email),
+      INDEX idx_assessment_id (assessment_id),
+      INDEX idx_status (status),
+      INDEX idx_start_time (start_time)
+    )
+  `);
+  await connection.execute(`
+    CREATE TABLE IF NOT EXISTS proctoring_violations (
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      session_id VARCHAR(100) NOT NULL,
+      violation_type ENUM('tab_switch', 'window_blur', 'multiple_faces', 'no_face', 'suspicious_audio', 'right_click', 'copy_paste', 'fullscreen_exit', 'browser_dev_tools', 'external_monitor') NOT NULL,
+      severity ENUM('low', 'medium', 'high', 'critical') DEFAULT 'medium',
+      description TEXT,
+      evidence JSON,
+      auto_flagged BOOLEAN DEFAULT FALSE,
+      timestamp TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      INDEX idx_session_id (session_id),
+      INDEX idx_violation_type (violation_type),
+      INDEX idx_severity (severity),
+      INDEX idx_timestamp (timestamp),
+      FOREIGN KEY (session_id) REFERENCES proctoring_sessions(session_id) ON DELETE CASCADE
+    )
+  `);
+  console.log('📹 Proctoring tables ready');
+}
+
+const MIGRATIONS = [
+  {
+    version: 1,
+    name: 'baseline_schema',
+    up: createBaselineSchema,
+    // Irreversible: undoing it would drop every table along with all results and participants
+    down: null
+  },
+  {
+    version: 2,
+    name: 'move_quiz_questions_to_table',
+    up: migrateQuizQuestionsToTable,
+    down: async connection => {
+      const [quizzes] = await connection.execute('SELECT id FROM quizzes');
+      for (const quiz of quizzes) {
+        const questions = await loadQuizQuestions(quiz.id, connection);
+        await connection.execute('UPDATE quizzes SET questions = ? WHERE id = ?', [JSON.stringify(questions), quiz.id]);
+      }
+      await connection.execute('DELETE FROM quiz_questions');
+    }
+  },
+  {
+    version: 3,
+    name: 'drop_quizzes_questions_column',
+    up: async connection => {
+      await connection.execute('ALTER TABLE quizzes DROP COLUMN questions');
+    },
+    down: async connection => {
+      await connection.execute('ALTER TABLE quizzes ADD COLUMN questions JSON NULL AFTER description');
+      await connection.execute(`UPDATE quizzes SET questions = '[]'`);
+      await connection.execute('ALTER TABLE quizzes MODIFY COLUMN questions JSON NOT NULL');
+    }
+  },
+  {
+    version: 4,
+    name: 'create_question_versions',
+    up: async connection => {
+      await connection.execute(`
+        CREATE TABLE question_versions (
+          id INT AUTO_INCREMENT PRIMARY KEY,
+          question_key VARCHAR(150) NOT NULL,
+          version INT NOT NULL,
+          content JSON NOT NULL,
+          content_hash CHAR(64) NOT NULL,
+          created_by VARCHAR(50) NULL,
+          created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+          UNIQUE KEY unique_question_version (question_key, version),
+          INDEX idx_question_hash (question_key, content_hash)
+        )
+      `);
+    },
+    down: async connection => {
+      await connection.execute('DROP TABLE question_versions');
+    }
+  },
+  {
+    version: 5,
+    name: 'create_result_regrades',
+    up: async connection => {
+      await connection.execute(`
+        CREATE TABLE result_regrades (
+          id INT AUTO_INCREMENT PRIMARY KEY,
+          quiz_id VARCHAR(50) NOT NULL,
+          question_key VARCHAR(150) NULL,
+          action VARCHAR(20) NOT NULL,
+          details JSON,
+          results_changed INT NOT NULL DEFAULT 0,
+          regraded_by VARCHAR(50) NOT NULL,
+          created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+          INDEX idx_quiz_id (quiz_id)
+        )
+      `);
+      await connection.execute(`
+        CREATE TABLE result_regrade_changes (
+          id INT AUTO_INCREMENT PRIMARY KEY,
+          regrade_id INT NOT NULL,
+          result_id INT NOT NULL,
+          old_achieved_score DECIMAL(10,2) NOT NULL,
+          old_max_score INT NOT NULL,
+          new_achieved_score DECIMAL(10,2) NOT NULL,
+          new_max_score INT NOT NULL,
+          old_breakdown JSON,
+          FOREIGN KEY (regrade_id) REFERENCES result_regrades(id) ON DELETE CASCADE,
+          INDEX idx_result_id (result_id)
+        )
+      `);
+      await connection.execute('ALTER TABLE assessment_results ADD COLUMN regraded_at DATETIME NULL');
+    },
+    down: async connection => {
+      await connection.execute('ALTER TABLE assessment_results DROP COLUMN regraded_at');
+      await connection.execute('DROP TABLE result_regrade_changes');
+      await connection.execute('DROP TABLE result_regrades');
+    }
+  },
+  {
+    version: 6,
+    name: 'add_result_outcomes',
+    up: async connection => {
+      await connection.execute(`
+        ALTER TABLE assessment_results
+          ADD COLUMN percentage DECIMAL(5,2) NULL,
+          ADD COLUMN outcome VARCHAR(10) NULL,
+          ADD COLUMN grade VARCHAR(50) NULL,
+          ADD INDEX idx_outcome (outcome)
+      `);
+      // No quiz had a pass mark yet, so older results only get their percentage
+      await connection.execute(`
+        UPDATE assessment_results SET percentage = ROUND(achieved_score / max_score * 100, 2) WHERE max_score > 0
+      `);
+    },
+    down: async connection => {
+      await connection.execute(`
+        ALTER TABLE assessment_results
+          DROP INDEX idx_outcome,
+          DROP COLUMN percentage,
+          DROP COLUMN outcome,
+          DROP COLUMN grade
+      `);
+    }
+  },
+  {
+    version: 7,
+    name: 'create_certificates',
+    up: async connection => {
+      // Certificates keep their own copy of the result so they stay verifiable if results are cleared
+      await connection.execute(`
+        CREATE TABLE certificates (
+          id INT AUTO_INCREMENT PRIMARY KEY,
+          certificate_id VARCHAR(20) NOT NULL UNIQUE,
+          result_id INT NOT NULL,
+          candidate_name VARCHAR(255) NOT NULL,
+          email VARCHAR(255) NOT NULL,
+          quiz_id VARCHAR(50) NOT NULL,
+          quiz_name VARCHAR(255) NOT NULL,
+          achieved_score DECIMAL(10,2) NOT NULL,
+          max_score INT NOT NULL,
+          percentage DECIMAL(5,2) NOT NULL,
+          grade VARCHAR(50) NULL,
+          completed_at DATETIME NOT NULL,
+          issued_at DATETIME NOT NULL,
+          signature CHAR(64) NOT NULL,
+          revoked_at DATETIME NULL,
+          revoke_reason VARCHAR(255) NULL,
+          INDEX idx_result_id (result_id)
+        )
+      `);
+    },
+    down: async connection => {
+      await connection.execute('DROP TABLE certificates');
+    }
+  },
+  {
+    version: 8,
+    name: 'create_app_settings',
+    up: async connection => {
+      await connection.execute(`
+        CREATE TABLE app_settings (
+          setting_key VARCHAR(100) PRIMARY KEY,
+          value JSON NOT NULL,
+          updated_by VARCHAR(50) NULL,
+          updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP
+        )
+      `);
+      // Keep the LTIMindtree-only rule that used to be hard-coded
+      await connection.execute(
+        'INSERT INTO app_settings (setting_key, value) VALUES (?, ?)',
+        ['candidate_access', JSON.stringify({ allowedDomains: ['ltimindtree.com'] })]
+      );
+    },
+    down: async connection => {
+      await connection.execute('DROP TABLE app_settings');
+    }
+  },
+  {
+    version: 9,
+    name: 'add_result_submission_delivery',
+    up: async connection => {
+      await connection.execute(`
+        ALTER TABLE assessment_results
+          ADD COLUMN submission_key VARCHAR(64) NULL,
+          ADD COLUMN delivery_attempts INT NULL,
+          ADD COLUMN queued_at DATETIME NULL,
+          ADD COLUMN late_submission_at DATETIME NULL,
+          ADD UNIQUE INDEX idx_submission_key (submission_key)
+      `);
+    },
+    down: async connection => {
+      await connection.execute(`
+        ALTER TABLE assessment_results
+          DROP INDEX idx_submission_key,
+          DROP COLUMN submission_key,
+          DROP COLUMN delivery_attempts,
+          DROP COLUMN queued_at,
+          DROP COLUMN late_submission_at
+      `);
+    }
+  },
+  {
+    version: 10,
+    name: 'add_attempt_in_progress_key',
+    up: async connection => {
+      // Only the newest in-progress attempt per quiz and email could ever be resumed;
+      // close the older ones so the unique key can be added
+      await connection.execute(`
+        UPDATE assessment_attempts older
+        JOIN assessment_attempts newer
+          ON newer.quiz_id = older.quiz_id AND newer.email = older.email
+          AND newer.status = 'in_progress' AND newer.id > older.id
+        SET older.status = 'submitted', older.submitted_at = NOW()
+        WHERE older.status = 'in_progress'
+      `);
+      await connection.execute(`
+        ALTER TABLE assessment_attempts
+          ADD COLUMN in_progress_key VARCHAR(310)
+            GENERATED ALWAYS AS (IF(status = 'in_progress', CONCAT(quiz_id, ':', email), NULL)) STORED,
+          ADD UNIQUE INDEX idx_in_progress_key (in_progress_key)
+      `);
+    },
+    down: async connection => {
+      await connection.execute(`
+        ALTER TABLE assessment_attempts
+          DROP INDEX idx_in_progress_key,
+          DROP COLUMN in_progress_key
+      `);
+    }
+  },
+  {
+    version: 11,
+    name: 'restrict_linked_bucket_question_deletes',
+    // Deleting a bucket question used to silently remove it from every quiz linking it
+    up: connection => setQuizQuestionLinkDeleteRule(connection, 'RESTRICT'),
+    down: connection => setQuizQuestionLinkDeleteRule(connection, 'CASCADE')
+  }
+];
+
+async function setQuizQuestionLinkDeleteRule(connection, rule) {
+  const [keys] = await connection.execute(`
+    SELECT CONSTRAINT_NAME FROM information_schema.KEY_COLUMN_USAGE
+    WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME = 'quiz_questions'
+      AND COLUMN_NAME = 'bucket_question_id' AND REFERENCED_TABLE_NAME = 'questions'
+  `);
+  for (const key of keys) {
+    await connection.execute(`ALTER TABLE quiz_questions DROP FOREIGN KEY \`${key.CONSTRAINT_NAME}\``);
+  }
+  await connection.execute(`
+    ALTER TABLE quiz_questions
+      ADD CONSTRAINT fk_quiz_questions_bucket_question
+      FOREIGN KEY (bucket_question_id) REFERENCES questions(id) ON DELETE ${rule}
+  `);
+}
+
+async function ensureMigrationsTable(connection) {
+  await connection.execute(`
+    CREATE TABLE IF NOT EXISTS schema_migrations (
+      version INT PRIMARY KEY,
+      name VARCHAR(255) NOT NULL,
+      applied_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+}
+
+// Run `work` while holding a named lock, so two servers starting at once do not both migrate
+async function withMigrationLock(connection, work) {
+  const [lock] = await connection.execute(`SELECT GET_LOCK('schema_migrations', 60) AS acquired`);
+  if (lock[0].acquired !== 1) {
+    throw new Error('Timed out waiting for another process to finish migrating the database');
+  }
+  try {
+    await ensureMigrationsTable(connection);
+    return await work();
+  } finally {
+    await connection.execute(`SELECT RELEASE_LOCK('schema_migrations')`);
+  }
+}
+
+async function getAppliedMigrations(connection) {
+  const [rows] = await connection.execute('SELECT version, name, applied_at FROM schema_migrations ORDER BY version');
+  return rows;
+}
+
+// Apply every pending migration up to `targetVersion`. Returns the migrations applied.
+async function migrateUp(connection, targetVersion = Infinity) {
+  return withMigrationLock(connection, async () => {
+    const applied = new Set((await getAppliedMigrations(connection)).map(row => row.version));
+    const ran = [];
+    for (const migration of MIGRATIONS) {
+      if (applied.has(migration.version) || migration.version > targetVersion) {
+        continue;
+      }
+      console.log(`🗄️ Applying migration ${migration.version} ${migration.name}...`);
+      await migration.up(connection);
+      await connection.execute(
+        'INSERT INTO schema_migrations (version, name) VALUES (?, ?)',
+        [migration.version, migration.name]
+      );
+      ran.push(migration);
+    }
+    return ran;
+  });
+}
+
+// Undo the last `steps` applied migrations, newest first. Returns the migrations undone.
+async function migrateDown(connection, steps = 1) {
+  return withMigrationLock(connection, async () => {
+    const applied = (await getAppliedMigrations(connection)).reverse().slice(0, steps);
+    // Check every step first, so an irreversible migration stops the command before anything is undone
+    const migrations = applied.map(row => {
+      const migration = MIGRATIONS.find(candidate => candidate.version === row.version);
+      if (!migration) {
+        throw new Error(`Migration ${row.version} ${row.name} is not known to this version of the server`);
+      }
+      if (!migration.down) {
+        throw new Error(`Migration ${migration.version} ${migration.name} cannot be reverted`);
+      }
+      return migration;
+    });
+    const reverted = [];
+    for (const migration of migrations) {
+      console.log(`🗄️ Reverting migration ${migration.version} ${migration.name}...`);
+      await migration.down(connection);
+      await connection.execute('DELETE FROM schema_migrations WHERE version = ?', [migration.version]);
+      reverted.push(migration);
+    }
+    return reverted;
+  });
+}
+
+// Every known migration with whether it has been applied, plus any applied version this
+// server does not know about (the database was migrated by a newer release)
+async function getMigrationStatus(connection = pool) {
+  await ensureMigrationsTable(connection);
+  const applied = await getAppliedMigrations(connection);
+  const appliedByVersion = new Map(applied.map(row => [row.version, row]));
+  const migrations = MIGRATIONS.map(migration => ({
+    version: migration.version,
+    name: migration.name,
+    applied: appliedByVersion.has(migration.version),
+    appliedAt: appliedByVersion.has(migration.version) ? appliedByVersion.get(migration.version).applied_at : null
+  }));
+  const unknown = applied
+    .filter(row => !MIGRATIONS.some(migration => migration.version === row.version))
+    .map(row => ({ version: row.version, name: row.name, appliedAt: row.applied_at }));
+  return {
+    currentVersion: applied.length > 0 ? applied[applied.length - 1].version : 0,
+    latestVersion: MIGRATIONS[MIGRATIONS.length - 1].version,
+    pending: migrations.filter(migration => !migration.applied).length,
+    migrations,
+    unknown
+  };
+}
+
+// Create the database if needed and point the pool at it
+async function connectDatabase() {
+  let connection;
+  try {
+    console.log('🔄 Attempting database connection...');
+    connection = await pool.getConnection();
+    console.log('✅ MySQL connection successful!');
+    
+    // Create database if it doesn't exist
+    console.log('📊 Creating database if not exists...');
+    await connection.execute(`CREATE DATABASE IF NOT EXISTS \`${DATABASE_NAME}\``);
+    console.log('📊 Database created/verified:', DATABASE_NAME);
+    
+    // Release connection and create new pool with database
+    connection.release();
+    connection = null;
+    console.log('🔗 Reconnecting with database specified...');
+    
+    // Close the old pool and create new one with database
+    await pool.end();
+    
+    const dbConfigWithDatabase = {
+      ...dbConfig,
+      database: DATABASE_NAME
+    };
+    
+    pool = mysql.createPool(dbConfigWithDatabase);
+    
+    // Get new connection with database specified
+    connection = await pool.getConnection();
+    console.log('🎯 Connected to database:', DATABASE_NAME);
+    
+    // Verify we can use the database
+    const [dbCheck] = await connection.execute('SELECT DATABASE() as current_db');
+    console.log('📋 Current database:', dbCheck[0].current_db);
+    
+    if (dbCheck[0].current_db !== DATABASE_NAME) {
+      throw new Error(`Database selection failed. Expected: ${DATABASE_NAME}, Got: ${dbCheck[0].current_db}`);
+    }
+  } finally {
+    if (connection) {
+      connection.release();
+    }
+  }
+}
+
+// FIX 3: Improved Database initialization with better error handling
+async function initializeDatabase() {
+  let connection;
+  try {
+    await connectDatabase();
+    connection = await pool.getConnection();
+    
+    // Bring the schema up to date
+    const applied = await migrateUp(connection);
+    console.log(applied.length > 0 ?
+      `🗄️ Applied ${applied.length} migration(s)` : '🗄️ Database schema is up to date');
+    
+    // Insert default admin user if not exists
+    const adminPassword = await bcrypt.hash('ltimindtree2024', 10);
+    await connection.execute(`
+      INSERT IGNORE INTO admin_users (username, password_hash) 
+      VALUES ('admin', ?)
+    `, [adminPassword]);
+    console.log('🔑 Default admin user ensured');
+    
+    // Insert default quizzes if table is empty
+    const [quizCount] = await connection.execute('SELECT COUNT(*) as count FROM quizzes');
+    if (quizCount[0].count === 0) {
+      await insertDefaultQuizzes(connection);
+      console.log('📚 Default quizzes inserted');
+    } else {
+      console.log('📚 Existing quizzes found:', quizCount[0].count);
+    }
+    
+    // Insert default coding challenges if table is empty
+    const [codingCount] = await connection.execute('SELECT COUNT(*) as count FROM coding_challenges');
+    if (codingCount[0].count === 0) {
+      await insertDefaultCodingChallenges(connection);
+      console.log('💻 Default coding challenges inserted');
+    } else {
+      console.log('💻 Existing coding challenges found:', codingCount[0].count);
+    }
+
+    // Insert default question buckets if table is empty
+    const [bucketCount] = await connection.execute('SELECT COUNT(*) as count FROM question_buckets');
+    if (bucketCount[0].count === 0) {
+      await insertDefaultQuestionBuckets(connection);
+      console.log('🪣 Default question buckets inserted');
+    } else {
+      console.log('🪣 Existing question buckets found:', bucketCount[0].count);
+    }
+    
+    connection.release();
+    console.log('✅ Database initialized successfully');
+    
+  } catch (error) {
+    if (connection) {
+      connection.release();
+    }
+    console.error('❌ Database initialization error:', error.message);
+    console.error('💡 Troubleshooting tips:');
+    console.error('   1. Check if MySQL service is running');
+    console.error('   2. Verify your password by connecting manually');
+    console.error('   3. Check if .env file has the correct password');
+    throw error; // Re-throw to prevent server startup with broken DB
+  }
+}
+
+// Enhanced Proctoring Module Initialization
+async function initializeProctoringModule() {
+  try {
+    console.log('📹 Initializing proctoring module...');
+    
+    // Import the proctoring module
+    const proctoringModule = createProctoringRouter(pool);
+    proctoringRouter = proctoringModule.router;
+    proctoringManager = proctoringModule.proctoringManager;
+    
+    // Mount proctoring routes BEFORE other routes
+    app.use('/api/proctoring', proctoringRouter);
+    
+    console.log('📹 Proctoring routes mounted at /api/proctoring');
+    console.log('📹 Available endpoints:');
+    console.log('   - POST /api/proctoring/start');
+    console.log('   - POST /api/proctoring/log'); 
+    console.log('   - POST /api/proctoring/end');
+    console.log('   - GET /api/proctoring/stats');
+    console.log('   - GET /api/proctoring/sessions');
+    console.log('   - GET /api/proctoring/session/:id');
+    
+    // Test the proctoring endpoints
+    try {
+      await proctoringManager.getStatistics('24h');
+      console.log('✅ Proctoring module initialized successfully');
+    } catch (testError) {
+      console.warn('⚠️ Proctoring module loaded but test failed:', testError.message);
+    }
+    
+    return { proctoringRouter, proctoringManager };
+  } catch (error) {
+    console.error('❌ Failed to initialize proctoring module:', error);
+    console.error('Stack trace:', error.stack);
+    
+    // Create dummy endpoints to prevent 404 errors
+    app.get('/api/proctoring/stats', (req, res) => {
+      res.json({
+        totalSessions: 0,
+        activeSessions: 0,
+        flaggedSessions: 0,
+        totalViolations: 0,
+        violationsByType: [],
+        timeframe: '24h'
+      });
+    });
+    
+    app.get('/api/proctoring/sessions', (req, res) => {
+      res.json([]);
+    });
+    
+    console.log('📹 Created dummy proctoring endpoints to prevent errors');
+    return null;
+  }
+}
+
+// Insert default quiz data
+async function insertDefaultQuizzes(connection) {
+  const defaultQuizzes = [
+    {
+      id: 'javascript',
+      name: 'JavaScript Fundamentals',
+      description: 'Test your knowledge of JavaScript basics and ES6+ features',
+      questions: [
+        {
+          question: 'What is the correct way to declare a variable in JavaScript?',
+          options: ['var myVar = 5;', 'variable myVar = 5;', 'v myVar = 5;', 'declare myVar = 5;'],
+          correct: 0
+        },
+        {
+          question: 'Which method is used to add an element to the end of an array?',
+          options: ['append()', 'push()', 'add()', 'insert()'],
+          correct: 1
+        },
+        {
+          question: 'What does "===" operator do in JavaScript?',
+          options: ['Assignment', 'Equality without type checking', 'Strict equality with type checking', 'Not equal'],
+          correct: 2
+        },
+        {
+          question: 'Which of the following is NOT a JavaScript data type?',
+          options: ['Number', 'String', 'Boolean', 'Float'],
+          correct: 3
+        },
+        {
+          question: 'What is the output of: console.log(typeof null)?',
+          options: ['null', 'undefined', 'object', 'boolean'],
+          correct: 2
+        }
+      ],
+      points_per_question: 1,
+      is_custom: false
+    },
+    {
+      id: 'python',
+      name: 'Python Programming',
+      description: 'Assess your Python programming skills and best practices',
+      questions: [
+        {
+          question: 'Which of the following is the correct way to create a list in Python?',
+          options: ['list = []', 'list = ()', 'list = {}', 'list = ""'],
+          correct: 0
+        },
+        {
+          question: 'What is the output of: print(3 ** 2)?',
+          options: ['6', '9', '32', 'Error'],
+          correct: 1
+        },
+        {
+          question: 'Which keyword is used to define a function in Python?',
+          options: ['function', 'def', 'define', 'func'],
+          correct: 1
+        },
+        {
+          question: 'What does the len() function do?',
+          options: ['Returns the length of an object', 'Creates a new list', 'Sorts a list', 'Removes duplicates'],
+          correct: 0
+        },
+        {
+          question: 'Which of the following is used for comments in Python?',
+          options: ['//', '/* */', '#', '<!-- -->'],
+          correct: 2
+        }
+      ],
+      points_per_question: 1,
+      is_custom: false
+    },
+    {
+      id: 'react',
+      name: 'React Development',
+      description: 'Test your React.js knowledge and component-based development',
+      questions: [
+        {
+          question: 'What is JSX in React?',
+          options: ['A JavaScript library', 'A syntax extension for JavaScript', 'A CSS framework', 'A database'],
+          correct: 1
+        },
+        {
+          question: 'Which hook is used to manage state in functional components?',
+          options: ['useEffect', 'useState', 'useContext', 'useReducer'],
+          correct: 1
+        },
+        {
+          question: 'What is the virtual DOM?',
+          options: ['A real DOM element', 'A JavaScript representation of the real DOM', 'A CSS property', 'A React component'],
+          correct: 1
+        },
+        {
+          question: 'How do you pass data from parent to child component?',
+          options: ['Using state', 'Using props', 'Using context', 'Using refs'],
+          correct: 1
+        },
+        {
+          question: 'What is the purpose of useEffect hook?',
+          options: ['To manage state', 'To handle side effects', 'To create components', 'To style components'],
+          correct: 1
+        }
+      ],
+      points_per_question: 1,
+      is_custom: false
+    }
+  ];
+  
+  for (const quiz of defaultQuizzes) {
+    await connection.execute(`
+      INSERT INTO quizzes (id, name, description, points_per_question, is_custom)
+      VALUES (?, ?, ?, ?, ?)
+    `, [quiz.id, quiz.name, quiz.description, quiz.points_per_question, quiz.is_custom]);
+    await saveQuizQuestions(connection, quiz.id, assignQuestionIds(quiz.questions));
+  }
+}
+
+// Migration 2: move questions held in the old quizzes.questions JSON column into
+// quiz_questions, giving each a persistent ID (attempts already in progress keep using
+// positions). The column is emptied so the table is the only copy.
+async function migrateQuizQuestionsToTable(connection) {
+  const [quizzes] = await connection.execute('SELECT id, questions FROM quizzes');
+  let migrated = 0;
+  
+  for (const quiz of quizzes) {
+    const questions = getQuizQuestions(quiz).filter(question => question && typeof question === 'object');
+    if (questions.length === 0) {
+      continue;
+    }
+    
+    await connection.beginTransaction();
+    try {
+      await saveQuizQuestions(connection, quiz.id, assignQuestionIds(questions));
+      await connection.execute(`UPDATE quizzes SET questions = '[]' WHERE id = ?`, [quiz.id]);
+      await connection.commit();
+      migrated++;
+    } catch (error) {
+      await connection.rollback();
+      throw error;
+    }
+  }
+  
+  if (migrated > 0) {
+    console.log(`🧩 Moved the questions of ${migrated} quizzes into quiz_questions`);
+  }
+}
+
+// Insert default coding challenges
+async function insertDefaultCodingChallenges(connection) {
+  const defaultChallenges = [
+    {
+      title: 'Two Sum',
+      description: 'Given an array of integers nums and an integer target, return indices of the two numbers such that they add up to target. You may assume that each input would have exactly one solution, and you may not use the same element twice.',
+      difficulty: 'easy',
+      timeLimit: 30,
+      starterCode: `def solution(nums, target):
+    # Write your code here
+    # Return a list of two indices
+    pass
+
+# Test your solution
+nums = [2, 7, 11, 15]
+target = 9
+print(solution(nums, target))`,
+      solutionCode: `def solution(nums, target):
+    num_map = {}
+    for i, num in enumerate(nums):
+        complement = target - num
+        if complement in num_map:
+            return [num_map[complement], i]
+        num_map[num] = i
+    return []`,
+      testCases: [
+        { input: '[2, 7, 11, 15], 9', expectedOutput: '[0, 1]', isHidden: false },
+        { input: '[3, 2, 4], 6', expectedOutput: '[1, 2]', isHidden: false },
+        { input: '[3, 3], 6', expectedOutput: '[0, 1]', isHidden: true }
+      ]
+    },
+    {
+      title: 'Palindrome Check',
+      description: 'Write a function that checks if a given string is a palindrome. A palindrome is a word, phrase, number, or other sequence of characters that reads the same forward and backward.',
+      difficulty: 'easy',
+      timeLimit: 20,
+      starterCode: `def solution(s):
+    # Write your code here
+    # Return True if palindrome, False otherwise
+    pass
+
+# Test your solution
+print(solution("racecar"))  # Should return True
+print(solution("hello"))    # Should return False`,
+      solutionCode: `def solution(s):
+    cleaned = ''.join(char.lower() for char in s if char.isalnum())
+    return cleaned == cleaned[::-1]`,
+      testCases: [
+        { input: 'racecar', expectedOutput: 'True', isHidden: false },
+        { input: 'hello', expectedOutput: 'False', isHidden: false },
+        { input: 'A man a plan a canal Panama', expectedOutput: 'True', isHidden: true }
+      ]
+    }
+  ];
+
+  for (let challenge of defaultChallenges) {
+    // Insert challenge
+    const [result] = await connection.execute(`
+      INSERT INTO coding_challenges (title, description, difficulty, time_limit, starter_code, solution_code, created_by)
+      VALUES (?, ?, ?, ?, ?, ?, ?)
+    `, [challenge.title, challenge.description, challenge.difficulty, challenge.timeLimit, challenge.starterCode, challenge.solutionCode, 'system']);
+    
+    const challengeId = result.insertId;
+    
+    // Insert test cases
+    for (let i = 0; i < challenge.testCases.length; i++) {
+      const testCase = challenge.testCases[i];
+      await connection.execute(`
+        INSERT INTO coding_test_cases (challenge_id, input, expected_output, is_hidden, order_index)
+        VALUES (?, ?, ?, ?, ?)
+      `, [challengeId, testCase.input, testCase.expectedOutput, testCase.isHidden, i]);
+    }
+  }
+}
+
+// Insert default question buckets and migrate existing quiz questions
+async function insertDefaultQuestionBuckets(connection) {
+  const defaultBuckets = [
+    {
+      name: 'JavaScript Fundamentals',
+      description: 'Basic JavaScript concepts, syntax, and core features',
+      subject: 'Programming'
+    },
+    {
+      name: 'Python Basics',
+      description: 'Python fundamentals, data structures, and syntax',
+      subject: 'Programming'
+    },
+    {
+      name: 'Data Structures',
+      description: 'Arrays, objects, stacks, queues, and basic algorithms',
+      subject: 'Computer Science'
+    },
+    {
+      name: 'Web Development',
+      description: 'HTML, CSS, DOM manipulation, and web technologies',
+      subject: 'Programming'
+    },
+    {
+      name: 'Database Concepts',
+      description: 'SQL, database design, and data management',
+      subject: 'Database'
+    }
+  ];
+
+  // Create default buckets
+  for (let bucket of defaultBuckets) {
+    const [result] = await connection.execute(`
+      INSERT INTO question_buckets (name, description, subject)
+      VALUES (?, ?, ?)
+    `, [bucket.name, bucket.description, bucket.subject]);
     
-    // Mount proctoring routes BEFORE other routes
-    app.use('/api/proctoring', proctoringRouter);
+    const bucketId = result.insertId;
+    
+    // Migrate questions from existing quizzes to appropriate buckets
+    await migrateQuizQuestionsToQuestions(connection, bucketId, bucket.subject);
+  }
+}
+
+// Migrate existing quiz questions to new question system
+async function migrateQuizQuestionsToQuestions(connection, bucketId, subject) {
+  try {
+    const [quizzes] = await connection.execute('SELECT id, name FROM quizzes WHERE is_custom = FALSE');
+    
+    for (let quiz of quizzes) {
+      const questions = await loadQuizQuestions(quiz.id, connection);
+      
+      // Determine bucket based on quiz name/id
+      let targetBucketId = bucketId;
+      if (quiz.id.includes('javascript') || quiz.name.toLowerCase().includes('javascript')) {
+        const [jsBucket] = await connection.execute('SELECT id FROM question_buckets WHERE name = "JavaScript Fundamentals"');
+        if (jsBucket.length > 0) targetBucketId = jsBucket[0].id;
+      } else if (quiz.id.includes('python') || quiz.name.toLowerCase().includes('python')) {
+        const [pythonBucket] = await connection.execute('SELECT id FROM question_buckets WHERE name = "Python Basics"');
+        if (pythonBucket.length > 0) targetBucketId = pythonBucket[0].id;
+      }
+      
+      // Insert questions with difficulty assignment
+      for (let i = 0; i < questions.length; i++) {
+        const q = questions[i];
+        
+        // Auto-assign difficulty based on position (demo logic)
+        let difficulty = 'easy';
+        if (i >= Math.floor(questions.length * 0.6)) difficulty = 'hard';
+        else if (i >= Math.floor(questions.length * 0.3)) difficulty = 'medium';
+        
+        await connection.execute(`
+          INSERT INTO questions (bucket_id, question_text, options, correct_answer, difficulty, points)
+          VALUES (?, ?, ?, ?, ?, ?)
+        `, [
+          targetBucketId,
+          q.question,
+          JSON.stringify(q.options),
+          q.correct,
+          difficulty,
+          1
+        ]);
+      }
+      
+      // Update bucket counts
+      const [counts] = await connection.execute(`
+        SELECT 
+          COUNT(*) as total,
+          SUM(CASE WHEN difficulty = 'easy' THEN 1 ELSE 0 END) as easy,
+          SUM(CASE WHEN difficulty = 'medium' THEN 1 ELSE 0 END) as medium,
+          SUM(CASE WHEN difficulty = 'hard' THEN 1 ELSE 0 END) as hard
+        FROM questions WHERE bucket_id = ?
+      `, [targetBucketId]);
+      
+      if (counts.length > 0) {
+        await connection.execute(`
+          UPDATE question_buckets 
+          SET total_questions = ?, easy_count = ?, medium_count = ?, hard_count = ?
+          WHERE id = ?
+        `, [counts[0].total, counts[0].easy, counts[0].medium, counts[0].hard, targetBucketId]);
+      }
+    }
+  } catch (error) {
+    console.error('Error migrating quiz questions:', error);
+  }
+}
+
+// =================== ROUTES ===================
+
+// Health check endpoint
+app.get('/api/health', (req, res) => {
+  res.json({ status: 'OK', timestamp: new Date().toISOString() });
+});
+
+// Admin login
+app.post('/api/admin/login', async (req, res) => {
+  try {
+    const { username, password } = req.body;
+    
+    const [users] = await pool.execute(
+      'SELECT * FROM admin_users WHERE username = ?',
+      [username]
+    );
+    
+    if (users.length === 0) {
+      return res.status(401).json({ error: 'Invalid credentials' });
+    }
+    
+    const user = users[0];
+    const validPassword = await bcrypt.compare(password, user.password_hash);
+    
+    if (!validPassword) {
+      return res.status(401).json({ error: 'Invalid credentials' });
+    }
+    
+    const token = jwt.sign(
+      { id: user.id, username: user.username },
+      JWT_SECRET,
+      { expiresIn: '24h' }
+    );
+    
+    res.json({ token, username: user.username });
+  } catch (error) {
+    console.error('Admin login error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// =================== QUIZ QUESTION STORAGE ===================
+// A quiz's questions are rows of quiz_questions in quiz order, each with its persistent
+// quiz question ID. A row either links a bucket question (shown as the bucket currently
+// has it, while it is active) or holds a quiz-local question in `content`. In memory both
+// use the quiz question shape; linked questions are marked `linked`.
+
+function fromQuizQuestionRow(row) {
+  if (row.bucket_question_id) {
+    return { ...bucketQuestionToQuizQuestion({ ...row, id: row.bucket_question_id }), id: row.question_id, linked: true };
+  }
+  const content = safeJSONParse(row.content, null);
+  return content ? { ...content, id: row.question_id } : null;
+}
+
+const QUIZ_QUESTION_COLUMNS = `
+  qq.id AS row_id, qq.question_id, qq.content, q.id AS bucket_question_id, q.question_text, q.question_type,
+  q.options, q.correct_answer, q.answer_key, q.difficulty, q.points, q.explanation`;
+const QUIZ_QUESTION_JOIN = `
+  FROM quiz_questions qq
+  LEFT JOIN questions q ON q.id = qq.bucket_question_id
+  WHERE qq.quiz_id = ? AND (qq.bucket_question_id IS NULL OR q.is_active = TRUE)`;
+
+// Load a quiz's questions in order
+async function loadQuizQuestions(quizId, connection = pool) {
+  const [rows] = await connection.execute(`
+    SELECT ${QUIZ_QUESTION_COLUMNS} ${QUIZ_QUESTION_JOIN}
+    ORDER BY qq.position, qq.id
+  `, [quizId]);
+  return rows.map(fromQuizQuestionRow).filter(Boolean);
+}
+
+// A quiz row with its questions loaded, for code that reads them through getQuizQuestions
+async function withQuizQuestions(quiz, connection = pool) {
+  return quiz ? { ...quiz, questions: await loadQuizQuestions(quiz.id, connection) } : quiz;
+}
+
+// Number of questions of every quiz, without loading them
+async function getQuizQuestionCounts() {
+  const [rows] = await pool.execute(`
+    SELECT qq.quiz_id, COUNT(*) AS question_count
+    FROM quiz_questions qq
+    LEFT JOIN questions q ON q.id = qq.bucket_question_id
+    WHERE qq.bucket_question_id IS NULL OR q.is_active = TRUE
+    GROUP BY qq.quiz_id
+  `);
+  const counts = {};
+  rows.forEach(row => {
+    counts[row.quiz_id] = Number(row.question_count);
+  });
+  return counts;
+}
+
+// Store one question at a position. Linked questions only store the link; everything
+// else (including copies of bucket questions) is stored as quiz-local content.
+async function insertQuizQuestion(connection, quizId, question, position) {
+  const { id, linked, ...content } = question;
+  const bucketQuestionId = linked && content.bucketQuestionId ? content.bucketQuestionId : null;
+  await connection.execute(`
+    INSERT INTO quiz_questions (quiz_id, question_id, position, bucket_question_id, content)
+    VALUES (?, ?, ?, ?, ?)
+  `, [quizId, id, position, bucketQuestionId, bucketQuestionId ? null : JSON.stringify(content)]);
+}
+
+// Replace all of a quiz's questions (questions must already have IDs, see assignQuestionIds)
+async function saveQuizQuestions(connection, quizId, questions) {
+  await connection.execute('DELETE FROM quiz_questions WHERE quiz_id = ?', [quizId]);
+  for (let position = 0; position < questions.length; position++) {
+    await insertQuizQuestion(connection, quizId, questions[position], position);
+  }
+}
+
+// Append questions after a quiz's last one, replacing any ID already used in the quiz
+async function appendQuizQuestions(connection, quizId, questions) {
+  const [existing] = await connection.execute(
+    'SELECT question_id, position FROM quiz_questions WHERE quiz_id = ?',
+    [quizId]
+  );
+  const usedIds = new Set(existing.map(row => row.question_id));
+  let position = existing.reduce((last, row) => Math.max(last, row.position + 1), 0);
+  const appended = [];
+  
+  for (const question of questions) {
+    let id = question.id;
+    while (!id || usedIds.has(id)) {
+      id = generateQuestionId();
+    }
+    usedIds.add(id);
+    appended.push({ ...question, id });
+    await insertQuizQuestion(connection, quizId, appended[appended.length - 1], position++);
+  }
+  return { appended, questionCount: existing.length + appended.length };
+}
+
+// Run `work(connection)` in a transaction holding the quiz row lock, so question changes
+// from two admins editing one quiz are applied one at a time. Returns work's result, or
+// { status, error } when the quiz does not exist or work aborts with an error.
+async function withQuizLock(quizId, work) {
+  const connection = await pool.getConnection();
+  try {
+    await connection.beginTransaction();
+    const [quiz] = await connection.execute('SELECT id FROM quizzes WHERE id = ? FOR UPDATE', [quizId]);
+    if (quiz.length === 0) {
+      await connection.rollback();
+      return { status: 404, error: 'Quiz not found' };
+    }
+    
+    const result = await work(connection);
+    if (result.error) {
+      await connection.rollback();
+      return result;
+    }
+    await connection.execute('UPDATE quizzes SET updated_at = CURRENT_TIMESTAMP WHERE id = ?', [quizId]);
+    await connection.commit();
+    return result;
+  } catch (error) {
+    await connection.rollback();
+    throw error;
+  } finally {
+    connection.release();
+  }
+}
+
+// =================== QUESTION VERSIONS ===================
+// Question content is kept as immutable, numbered versions in question_versions: bucket
+// questions under `bucket:<id>`, quiz questions under `quiz:<quizId>:<questionId>`.
+// Admin edits record the content before and after the change, and grading records the
+// version each answer was graded against, so a result keeps pointing at the question
+// as the candidate saw it however often the question is edited afterwards.
+
+// Fields that describe where a question came from or how it was delivered, not its content
+const VERSION_IGNORED_FIELDS = ['id', 'linked', 'bucketQuestionId', 'poolKey', 'optionOrder', 'originalOrder', 'sourcePoints'];
+
+function getQuizQuestionVersionKey(quizId, questionId) {
+  return `quiz:${quizId}:${questionId}`;
+}
+
+// Linked questions and questions drawn from a bucket for an attempt are versions of the
+// bucket question; everything else belongs to its quiz
+function getQuestionVersionKey(quizId, question) {
+  if (question.bucketQuestionId && (question.linked || !question.id)) {
+    return `bucket:${question.bucketQuestionId}`;
+  }
+  return question.id ? getQuizQuestionVersionKey(quizId, question.id) : null;
+}
+
+function toVersionContent(question) {
+  const content = {};
+  Object.keys(question).forEach(key => {
+    if (!VERSION_IGNORED_FIELDS.includes(key) && question[key] !== undefined) {
+      content[key] = question[key];
+    }
+  });
+  // Adaptive snapshots weight points by difficulty; the version holds the question's own points
+  if (question.sourcePoints !== undefined) {
+    if (question.sourcePoints === null) {
+      delete content.points;
+    } else {
+      content.points = question.sourcePoints;
+    }
+  }
+  return content;
+}
+
+// JSON with object keys sorted, so equal content always gives the same hash
+function stableStringify(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(stableStringify).join(',')}]`;
+  }
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort()
+      .filter(key => value[key] !== undefined)
+      .map(key => `${JSON.stringify(key)}:${stableStringify(value[key])}`).join(',')}}`;
+  }
+  return JSON.stringify(value === undefined ? null : value);
+}
+
+function hashQuestionContent(content) {
+  return crypto.createHash('sha256').update(stableStringify(content)).digest('hex');
+}
+
+function isSameQuestionContent(first, second) {
+  return stableStringify(toVersionContent(first)) === stableStringify(toVersionContent(second));
+}
+
+// Store content as the question's next version number. Two requests numbering the same
+// question at once collide on the unique key; the loser takes the following number.
+async function insertQuestionVersion(connection, key, content, hash, createdBy) {
+  for (let tries = 1; ; tries++) {
+    try {
+      const [inserted] = await connection.execute(`
+        INSERT INTO question_versions (question_key, version, content, content_hash, created_by)
+        SELECT ?, COALESCE(MAX(version), 0) + 1, ?, ?, ? FROM question_versions WHERE question_key = ?
+      `, [key, JSON.stringify(content), hash, createdBy, key]);
+      return inserted.insertId;
+    } catch (error) {
+      if (error.code !== 'ER_DUP_ENTRY' || tries >= 3) {
+        throw error;
+      }
+    }
+  }
+}
+
+// The question's latest version, recording `question` as a new one when it differs.
+// Returns the version ID.
+async function recordQuestionVersion(connection, key, question, createdBy = null) {
+  const content = toVersionContent(question);
+  const hash = hashQuestionContent(content);
+  const [latest] = await connection.execute(
+    'SELECT id, content_hash FROM question_versions WHERE question_key = ? ORDER BY version DESC LIMIT 1',
+    [key]
+  );
+  if (latest.length > 0 && latest[0].content_hash === hash) {
+    return latest[0].id;
+  }
+  return insertQuestionVersion(connection, key, content, hash, createdBy);
+}
+
+// The newest version with exactly this content, recorded when there is none. Returns the version ID.
+async function findQuestionVersion(connection, key, question) {
+  const content = toVersionContent(question);
+  const hash = hashQuestionContent(content);
+  const [matches] = await connection.execute(
+    'SELECT id FROM question_versions WHERE question_key = ? AND content_hash = ? ORDER BY version DESC LIMIT 1',
+    [key, hash]
+  );
+  return matches.length > 0 ? matches[0].id : insertQuestionVersion(connection, key, content, hash, null);
+}
+
+// Record an admin edit as a new version. The content before the edit is recorded first,
+// so questions created before versioning still get a version for older results.
+async function recordQuestionEdit(connection, key, before, after, createdBy) {
+  if (before) {
+    await recordQuestionVersion(connection, key, before);
+  }
+  return recordQuestionVersion(connection, key, after, createdBy);
+}
+
+// Version ID of the question behind each layout entry, in layout order
+async function resolveQuestionVersions(connection, quizId, questions, layout) {
+  const versionIds = [];
+  for (const entry of layout) {
+    const question = questions[entry.sourceIndex];
+    const key = question ? getQuestionVersionKey(quizId, question) : null;
+    versionIds.push(key ? await findQuestionVersion(connection, key, question) : null);
+  }
+  return versionIds;
+}
+
+// Fields that changed between two versions of a question
+function diffQuestionContent(before, after) {
+  const fields = [...new Set([...Object.keys(before), ...Object.keys(after)])];
+  return fields
+    .filter(field => stableStringify(before[field]) !== stableStringify(after[field]))
+    .map(field => ({
+      field,
+      before: before[field] === undefined ? null : before[field],
+      after: after[field] === undefined ? null : after[field]
+    }));
+}
+
+// A question's versions, newest first, each with the changes from the version before it
+async function getQuestionHistory(key) {
+  const [rows] = await pool.execute(
+    'SELECT id, version, content, created_by, created_at FROM question_versions WHERE question_key = ? ORDER BY version',
+    [key]
+  );
+  const contents = rows.map(row => safeJSONParse(row.content, {}));
+  return rows.map((row, index) => ({
+    id: row.id,
+    version: row.version,
+    createdBy: row.created_by,
+    createdAt: row.created_at,
+    content: contents[index],
+    changes: index === 0 ? [] : diffQuestionContent(contents[index - 1], contents[index])
+  })).reverse();
+}
+
+// Version numbers for a set of version IDs
+async function getVersionNumbers(versionIds) {
+  const ids = [...new Set(versionIds.filter(Boolean))];
+  if (ids.length === 0) {
+    return {};
+  }
+  const [rows] = await pool.query('SELECT id, version FROM question_versions WHERE id IN (?)', [ids]);
+  const numbers = {};
+  rows.forEach(row => {
+    numbers[row.id] = row.version;
+  });
+  return numbers;
+}
+
+// =================== RE-GRADING ===================
+// Re-grading rescores stored results from their recorded answers after an answer-key
+// correction, for one question or for every question of a quiz:
+//   current_key     grade against the question's current answer key
+//   accept_answers  also give full credit for the listed options (single-choice and true/false)
+//   drop            take the question out of scoring: no points, no penalty, not in the maximum
+// Points and the scoring policy stay as they were when the result was graded.
+
+const REGRADE_ACTIONS = ['current_key', 'accept_answers', 'drop'];
+
+// Current content of each question key: the quiz's questions, then bucket questions, then
+// the last recorded version for questions that have since been deleted
+async function getCurrentQuestions(quizId, keys, connection = pool) {
+  const current = {};
+  (await loadQuizQuestions(quizId, connection)).forEach(question => {
+    current[getQuestionVersionKey(quizId, question)] = question;
+  });
+  
+  const bucketIds = keys.filter(key => !current[key] && key.startsWith('bucket:')).map(key => Number(key.slice(7)));
+  if (bucketIds.length > 0) {
+    const [rows] = await connection.query('SELECT * FROM questions WHERE id IN (?)', [bucketIds]);
+    rows.forEach(row => {
+      current[`bucket:${row.id}`] = bucketQuestionToQuizQuestion(row);
+    });
+  }
+  
+  const missing = keys.filter(key => !current[key]);
+  if (missing.length > 0) {
+    const [rows] = await connection.query(`
+      SELECT v.question_key, v.content FROM question_versions v
+      JOIN (
+        SELECT question_key, MAX(version) AS version FROM question_versions
+        WHERE question_key IN (?) GROUP BY question_key
+      ) latest ON latest.question_key = v.question_key AND latest.version = v.version
+    `, [missing]);
+    rows.forEach(row => {
+      current[row.question_key] = safeJSONParse(row.content, null);
+    });
+  }
+  return current;
+}
+
+// Question key of each breakdown item, from the version it was graded against. Items graded
+// before versions were recorded fall back to their quiz question ID.
+async function getBreakdownKeys(quizId, breakdowns, connection = pool) {
+  const versionIds = [...new Set(breakdowns.flat().map(item => item.versionId).filter(Boolean))];
+  const keysByVersion = {};
+  if (versionIds.length > 0) {
+    const [rows] = await connection.query('SELECT id, question_key FROM question_versions WHERE id IN (?)', [versionIds]);
+    rows.forEach(row => {
+      keysByVersion[row.id] = row.question_key;
+    });
+  }
+  const liveKeys = {};
+  (await loadQuizQuestions(quizId, connection)).forEach(question => {
+    liveKeys[question.id] = getQuestionVersionKey(quizId, question);
+  });
+  
+  return item => keysByVersion[item.versionId] ||
+    (item.questionId ? liveKeys[item.questionId] || getQuizQuestionVersionKey(quizId, item.questionId) : null);
+}
+
+// Validate a re-grade request and resolve the question it targets.
+// Returns { action, questionKey, question, acceptedAnswers } or { status, error }.
+async function resolveRegradeTarget(quizId, body, connection = pool) {
+  const { questionId, bucketQuestionId, acceptedOptions } = body;
+  const action = body.action || 'current_key';
+  if (!REGRADE_ACTIONS.includes(action)) {
+    return { status: 400, error: `Action must be one of: ${REGRADE_ACTIONS.join(', ')}` };
+  }
+  if (!questionId && !bucketQuestionId) {
+    return action === 'current_key' ? { action, questionKey: null } :
+      { status: 400, error: 'Accepting answers or dropping a question needs the question to re-grade' };
+  }
+  
+  let questionKey = bucketQuestionId ? `bucket:${bucketQuestionId}` : getQuizQuestionVersionKey(quizId, questionId);
+  if (questionId) {
+    const live = (await loadQuizQuestions(quizId, connection)).find(question => question.id === questionId);
+    questionKey = live ? getQuestionVersionKey(quizId, live) : questionKey;
+  }
+  const question = (await getCurrentQuestions(quizId, [questionKey], connection))[questionKey];
+  if (!question) {
+    return { status: 404, error: 'Question not found' };
+  }
+  if (action !== 'accept_answers') {
+    return { action, questionKey, question };
+  }
+  
+  if (!['single', 'true_false'].includes(getQuestionType(question))) {
+    return { status: 400, error: 'Extra answers can only be accepted for single-choice and true/false questions; correct the key and re-grade against it instead' };
+  }
+  const optionIds = getOptionIds(question);
+  const indices = Array.isArray(acceptedOptions) ? [...new Set(acceptedOptions.map(Number))] : [];
+  if (indices.length === 0 || indices.some(index => !Number.isInteger(index) || index < 0 || index >= optionIds.length)) {
+    return { status: 400, error: 'Accepted options must be a non-empty list of option indices of the question' };
+  }
+  return { action, questionKey, question, acceptedAnswers: indices.map(index => optionIds[index]) };
+}
+
+// Rescore one breakdown item. Dropped items keep their original points in `droppedPoints`
+// so a later correction can bring them back.
+function regradeItem(item, correction, policy) {
+  const { dropped, droppedPoints, acceptedAnswers, ...base } = item;
+  const points = droppedPoints !== undefined ? droppedPoints :
+    item.points !== undefined ? item.points : correction.question.points || 1;
+  // Re-grading a whole quiz keeps earlier corrections made to single questions
+  const keepAdjustments = correction.questionKey === null;
+  
+  if (correction.action === 'drop' || (keepAdjustments && dropped)) {
+    return { ...base, status: 'dropped', correct: false, points: 0, earned: 0, penalty: 0, awarded: 0, dropped: true, droppedPoints: points };
+  }
+  const accepted = correction.action === 'accept_answers' ? correction.acceptedAnswers :
+    keepAdjustments ? acceptedAnswers : undefined;
+  const answerIndex = Array.isArray(item.answer) || isBlankAnswer(item.answer) ? null :
+    toOptionIndex(correction.question, item.answer);
+  const acceptedIndices = (accepted || []).map(id => toOptionIndex(correction.question, id));
+  const question = answerIndex !== null && acceptedIndices.includes(answerIndex) ?
+    { ...correction.question, correct: answerIndex } : correction.question;
+  
+  return {
+    ...base,
+    ...gradeAnswer(question, item.answer, points, policy),
+    points,
+    ...(accepted ? { acceptedAnswers: accepted } : {})
+  };
+}
+
+// Rescore a stored result. `corrections` maps question keys to { action, question, ... } and
+// `keyOf` gives the key of a breakdown item. Returns the new columns, or null when nothing changes.
+function regradeResult(result, corrections, keyOf, layout) {
+  const breakdown = safeJSONParse(result.answers, []);
+  const scoring = safeJSONParse(result.scoring, null) || {};
+  const policy = { ...DEFAULT_SCORING_POLICY, ...(scoring.policy || {}) };
+  const counts = { ...(scoring.counts || {}) };
+  let maxScore = result.max_score;
+  let changed = false;
+  
+  const items = (Array.isArray(breakdown) ? breakdown : []).map(item => {
+    const correction = corrections[keyOf(item)];
+    if (!correction || !correction.question) {
+      return item;
+    }
+    const regraded = regradeItem(item, correction, policy);
+    if (stableStringify(regraded) === stableStringify(item)) {
+      return item;
+    }
+    changed = true;
+    maxScore += regraded.points - (item.points !== undefined ? item.points : regraded.droppedPoints || regraded.points);
+    if (item.status) {
+      counts[item.status] = Math.max(0, (counts[item.status] || 0) - 1);
+    }
+    counts[regraded.status] = (counts[regraded.status] || 0) + 1;
+    return regraded;
+  });
+  if (!changed) {
+    return null;
+  }
+  
+  const rawScore = roundScore(items.reduce((sum, item) => sum + (item.awarded || 0), 0));
+  const achievedScore = policy.floorAtZero ? Math.max(0, rawScore) : rawScore;
+  const sectionScores = safeJSONParse(result.section_scores, null);
+  return {
+    achievedScore,
+    maxScore,
+    ...getResultOutcome(achievedScore, maxScore, scoring.gradingScheme),
+    breakdown: items,
+    scoring: {
+      ...scoring,
+      rawScore,
+      penaltyTotal: roundScore(items.reduce((sum, item) => sum + (item.penalty || 0), 0)),
+      flooredAtZero: achievedScore !== rawScore,
+      counts
+    },
+    sectionScores: sectionScores && layout ? getSectionScores(sectionScores, layout, items) : sectionScores
+  };
+}
+
+// Work out how a correction changes each result of a quiz. With `forUpdate` the results are
+// locked so they cannot change between planning and applying the re-grade.
+async function planRegrade(quizId, target, connection = pool, forUpdate = false) {
+  const [results] = await connection.execute(
+    `SELECT * FROM assessment_results WHERE track_id = ? ORDER BY completion_time${forUpdate ? ' FOR UPDATE' : ''}`,
+    [quizId]
+  );
+  const breakdowns = results.map(result => safeJSONParse(result.answers, []));
+  const keyOf = await getBreakdownKeys(quizId, breakdowns, connection);
+  
+  let corrections;
+  if (target.questionKey) {
+    corrections = { [target.questionKey]: target };
+  } else {
+    const keys = [...new Set(breakdowns.flat().map(keyOf).filter(Boolean))];
+    const current = keys.length > 0 ? await getCurrentQuestions(quizId, keys, connection) : {};
+    corrections = {};
+    keys.forEach(key => {
+      corrections[key] = { action: 'current_key', questionKey: null, question: current[key] };
+    });
+  }
+  
+  // Section subscores follow the attempt layout
+  const attemptIds = results.filter(result => result.section_scores && result.attempt_id).map(result => result.attempt_id);
+  const layouts = {};
+  if (attemptIds.length > 0) {
+    const [attempts] = await connection.query('SELECT id, question_layout FROM assessment_attempts WHERE id IN (?)', [attemptIds]);
+    attempts.forEach(attempt => {
+      layouts[attempt.id] = safeJSONParse(attempt.question_layout, null);
+    });
+  }
+  
+  const changes = [];
+  results.forEach(result => {
+    const regraded = regradeResult(result, corrections, keyOf, layouts[result.attempt_id]);
+    if (regraded) {
+      changes.push({ result, regraded });
+    }
+  });
+  return { resultsChecked: results.length, changes };
+}
+
+function formatRegradeChange({ result, regraded }) {
+  return {
+    resultId: result.id,
+    name: result.name,
+    email: result.email,
+    completionTime: result.completion_time ? new Date(result.completion_time).toISOString() : null,
+    oldScore: { achievedScore: Number(result.achieved_score), maxScore: result.max_score, outcome: result.outcome, grade: result.grade },
+    newScore: { achievedScore: regraded.achievedScore, maxScore: regraded.maxScore, outcome: regraded.outcome, grade: regraded.grade },
+    scoreChanged: Number(result.achieved_score) !== regraded.achievedScore || result.max_score !== regraded.maxScore
+  };
+}
+
+// How each quiz delivers its questions, keyed by quiz id: { questionCount, sections,
+// drawsFromBlueprint, adaptive, timeLimitMinutes }. Sectioned, adaptive and blueprint quizzes
+// draw per attempt, so their count is what a candidate gets rather than the stored questions.
+async function getQuizDeliverySummaries(quizzes) {
+  const questionCounts = await getQuizQuestionCounts();
+  const [mappingRows] = await pool.execute(`
+    SELECT quiz_id, section_name, section_order, total_questions, time_limit_minutes
+    FROM quiz_bucket_mappings
+    ORDER BY quiz_id, section_order
+  `);
+  const sectionsByQuiz = {};
+  const blueprintSizes = {};
+  mappingRows.forEach(row => {
+    if (row.section_order === null) {
+      blueprintSizes[row.quiz_id] = (blueprintSizes[row.quiz_id] || 0) + row.total_questions;
+      return;
+    }
+    (sectionsByQuiz[row.quiz_id] = sectionsByQuiz[row.quiz_id] || []).push({
+      name: row.section_name,
+      questionCount: row.total_questions,
+      timeLimitMinutes: row.time_limit_minutes
+    });
+  });
+  
+  const summaries = {};
+  for (const quiz of quizzes) {
+    const sections = sectionsByQuiz[quiz.id] || null;
+    const adaptive = !sections && getAdaptiveSettings(quiz).enabled;
+    const drawsFromBlueprint = !sections && !adaptive && isBlueprintQuiz(quiz);
+    
+    summaries[quiz.id] = {
+      questionCount: sections ?
+        sections.reduce((sum, section) => sum + section.questionCount, 0) :
+        adaptive ? getAdaptiveSettings(quiz).questionCount :
+        drawsFromBlueprint ? blueprintSizes[quiz.id] || 0 :
+        questionCounts[quiz.id] || 0,
+      sections,
+      drawsFromBlueprint,
+      adaptive,
+      timeLimitMinutes: sections ?
+        (sections.every(section => section.timeLimitMinutes) ?
+          sections.reduce((sum, section) => sum + section.timeLimitMinutes, 0) : null) :
+        getAssessmentSettings(quiz).timeLimitMinutes
+    };
+  }
+  return summaries;
+}
+
+// List quizzes as summaries with question counts; questions are fetched per quiz
+app.get('/api/quizzes', async (req, res) => {
+  try {
+    const isAdmin = !!getAdminFromRequest(req);
+    const [quizzes] = await pool.execute(`
+      SELECT id, name, description, points_per_question, is_custom, randomization_settings,
+             assessment_settings, created_at, updated_at
+      FROM quizzes ORDER BY created_at DESC
+    `);
+    const delivery = await getQuizDeliverySummaries(quizzes);
+    const globalAccess = await getGlobalAccessSettings();
     
-    console.log('📹 Proctoring routes mounted at /api/proctoring');
-    console.log('📹 Available endpoints:');
-    console.log('   - POST /api/proctoring/start');
-    console.log('   - POST /api/proctoring/log'); 
-    console.log('   - POST /api/proctoring/end');
-    console.log('   - GET /api/proctoring/stats');
-    console.log('   - GET /api/proctoring/sessions');
-    console.log('   - GET /api/proctoring/session/:id');
+    const formattedQuizzes = {};
     
-    // Test the proctoring endpoints
-    try {
-      await proctoringManager.getStatistics('24h');
-      console.log('✅ Proctoring module initialized successfully');
-    } catch (testError) {
-      console.warn('⚠️ Proctoring module loaded but test failed:', testError.message);
+    for (const quiz of quizzes) {
+      // Candidates never see closed quizzes
+      const availability = getQuizAvailability(quiz);
+      if (!isAdmin && availability.status === 'closed') {
+        continue;
+      }
+      
+      const { questionCount, drawsFromBlueprint, adaptive, timeLimitMinutes, sections } = delivery[quiz.id];
+      formattedQuizzes[quiz.id] = {
+        name: quiz.name,
+        description: quiz.description,
+        pointsPerQuestion: quiz.points_per_question || 1,
+        isCustom: quiz.is_custom,
+        questionCount,
+        drawsFromBlueprint,
+        adaptive,
+        availability,
+        // Lets the candidate page check email domains before an attempt is started
+        access: getEffectiveAccess(quiz, globalAccess),
+        timeLimitMinutes,
+        sections,
+        createdAt: quiz.created_at,
+        updatedAt: quiz.updated_at
+      };
     }
     
-    return { proctoringRouter, proctoringManager };
+    console.log(`📤 Returning ${Object.keys(formattedQuizzes).length} quiz summaries`);
+    res.json(formattedQuizzes);
   } catch (error) {
-    console.error('❌ Failed to initialize proctoring module:', error);
-    console.error('Stack trace:', error.stack);
+    console.error('❌ Get quizzes error:', error);
+    res.status(500).json({ error: 'Failed to fetch quizzes', details: error.message });
+  }
+});
+
+// Get specific quiz by ID with randomization options (Admin). Candidates get their
+// questions from an attempt, so other callers only get the quiz summary.
+app.get('/api/quizzes/:id', async (req, res) => {
+  try {
+    const isAdmin = !!getAdminFromRequest(req);
+    const [quizzes] = await pool.execute(
+      'SELECT * FROM quizzes WHERE id = ?',
+      [req.params.id]
+    );
     
-    // Create dummy endpoints to prevent 404 errors
-    app.get('/api/proctoring/stats', (req, res) => {
-      res.json({
-        totalSessions: 0,
-        activeSessions: 0,
-        flaggedSessions: 0,
-        totalViolations: 0,
-        violationsByType: [],
-        timeframe: '24h'
+    if (quizzes.length === 0) {
+      return res.status(404).json({ error: 'Quiz not found' });
+    }
+    
+    const quiz = quizzes[0];
+    
+    if (!isAdmin) {
+      const unavailable = getAvailabilityError(getQuizAvailability(quiz));
+      if (unavailable) {
+        return res.status(403).json(unavailable);
+      }
+      const delivery = (await getQuizDeliverySummaries([quiz]))[quiz.id];
+      return res.json({
+        name: quiz.name,
+        description: quiz.description,
+        questionCount: delivery.questionCount,
+        pointsPerQuestion: quiz.points_per_question,
+        assessmentSettings: getAssessmentSettings(quiz),
+        availability: getQuizAvailability(quiz)
       });
-    });
+    }
     
-    app.get('/api/proctoring/sessions', (req, res) => {
-      res.json([]);
-    });
+    // Get admin-configured randomization settings
+    let randomizationSettings = {
+      randomizeQuestions: false,
+      randomizeOptions: false,
+      questionLimit: null
+    };
     
-    console.log('📹 Created dummy proctoring endpoints to prevent errors');
+    let proctoringSettings = {
+      enabled: false,
+      level: 'basic',
+      strictMode: false
+    };
+    
+    if (quiz.randomization_settings) {
+      try {
+        randomizationSettings = getRandomizationSettings(quiz);
+      } catch (e) {
+        console.warn('Failed to parse randomization settings:', e);
+      }
+    }
+    
+    if (quiz.proctoring_settings) {
+      try {
+        proctoringSettings = { ...proctoringSettings, ...safeJSONParse(quiz.proctoring_settings, {}) };
+      } catch (e) {
+        console.warn('Failed to parse proctoring settings:', e);
+      }
+    }
+    
+    // Use admin settings, but allow override via query parameters for testing
+    const randomizeQuestions = req.query.randomize_questions !== undefined ? 
+      req.query.randomize_questions === 'true' : randomizationSettings.randomizeQuestions;
+    const randomizeOptions = req.query.randomize_options !== undefined ? 
+      req.query.randomize_options === 'true' : randomizationSettings.randomizeOptions;
+    const questionLimit = req.query.question_limit ? 
+      parseInt(req.query.question_limit) : randomizationSettings.questionLimit;
+    const sessionId = req.query.session_id; // For tracking randomized versions
+    
+    console.log(`\n🎲 Quiz ${quiz.id} requested with randomization options:`);
+    console.log(`  Randomize Questions: ${randomizeQuestions}`);
+    console.log(`  Randomize Options: ${randomizeOptions}`);
+    console.log(`  Question Limit: ${questionLimit}`);
+    console.log(`  Session ID: ${sessionId}`);
+    
+    let questions = await loadQuizQuestions(quiz.id);
+    
+    // Apply randomization if requested
+    if (randomizeQuestions || randomizeOptions || questionLimit) {
+      questions = randomizeQuiz(questions, randomizeQuestions, randomizeOptions, questionLimit);
+      console.log(`🎲 Applied randomization - Final question count: ${questions.length}`);
+    }
+    
+    res.json({
+      name: quiz.name,
+      description: quiz.description,
+      questions,
+      pointsPerQuestion: quiz.points_per_question,
+      isCustom: quiz.is_custom,
+      randomizationApplied: {
+        questions: randomizeQuestions,
+        options: randomizeOptions,
+        questionLimit: questionLimit,
+        finalQuestionCount: questions.length
+      },
+      randomizationSettings: randomizationSettings,
+      proctoringSettings: proctoringSettings,
+      assessmentSettings: getAssessmentSettings(quiz),
+      availability: getQuizAvailability(quiz)
+    });
+  } catch (error) {
+    console.error('Get quiz error:', error);
+    res.status(500).json({ error: 'Failed to fetch quiz' });
+  }
+});
+
+// =================== ASSESSMENT ATTEMPT ENDPOINTS ===================
+
+// Load an attempt together with its quiz row
+async function getAttemptWithQuiz(attemptToken) {
+  const [attempts] = await pool.execute(
+    'SELECT * FROM assessment_attempts WHERE attempt_token = ?',
+    [attemptToken]
+  );
+  if (attempts.length === 0) {
+    return null;
+  }
+  
+  const [quizzes] = await pool.execute('SELECT * FROM quizzes WHERE id = ?', [attempts[0].quiz_id]);
+  if (quizzes.length === 0) {
     return null;
   }
+  
+  return { attempt: attempts[0], quiz: await withQuizQuestions(quizzes[0]) };
 }
 
-// Insert default quiz data
-async function insertDefaultQuizzes(connection) {
-  const defaultQuizzes = [
-    {
-      id: 'javascript',
-      name: 'JavaScript Fundamentals',
-      description: 'Test your knowledge of JavaScript basics and ES6+ features',
-      questions: [
-        {
-          question: 'What is the correct way to declare a variable in JavaScript?',
-          options: ['var myVar = 5;', 'variable myVar = 5;', 'v myVar = 5;', 'declare myVar = 5;'],
-          correct: 0
-        },
-        {
-          question: 'Which method is used to add an element to the end of an array?',
-          options: ['append()', 'push()', 'add()', 'insert()'],
-          correct: 1
-        },
-        {
-          question: 'What does "===" operator do in JavaScript?',
-          options: ['Assignment', 'Equality without type checking', 'Strict equality with type checking', 'Not equal'],
-          correct: 2
-        },
-        {
-          question: 'Which of the following is NOT a JavaScript data type?',
-          options: ['Number', 'String', 'Boolean', 'Float'],
-          correct: 3
-        },
-        {
-          question: 'What is the output of: console.log(typeof null)?',
-          options: ['null', 'undefined', 'object', 'boolean'],
-          correct: 2
-        }
-      ],
-      points_per_question: 1,
-      is_custom: false
-    },
-    {
-      id: 'python',
-      name: 'Python Programming',
-      description: 'Assess your Python programming skills and best practices',
-      questions: [
-        {
-          question: 'Which of the following is the correct way to create a list in Python?',
-          options: ['list = []', 'list = ()', 'list = {}', 'list = ""'],
-          correct: 0
-        },
-        {
-          question: 'What is the output of: print(3 ** 2)?',
-          options: ['6', '9', '32', 'Error'],
-          correct: 1
-        },
-        {
-          question: 'Which keyword is used to define a function in Python?',
-          options: ['function', 'def', 'define', 'func'],
-          correct: 1
-        },
-        {
-          question: 'What does the len() function do?',
-          options: ['Returns the length of an object', 'Creates a new list', 'Sorts a list', 'Removes duplicates'],
-          correct: 0
-        },
-        {
-          question: 'Which of the following is used for comments in Python?',
-          options: ['//', '/* */', '#', '<!-- -->'],
-          correct: 2
-        }
-      ],
-      points_per_question: 1,
-      is_custom: false
-    },
-    {
-      id: 'react',
-      name: 'React Development',
-      description: 'Test your React.js knowledge and component-based development',
-      questions: [
-        {
-          question: 'What is JSX in React?',
-          options: ['A JavaScript library', 'A syntax extension for JavaScript', 'A CSS framework', 'A database'],
-          correct: 1
-        },
-        {
-          question: 'Which hook is used to manage state in functional components?',
-          options: ['useEffect', 'useState', 'useContext', 'useReducer'],
-          correct: 1
-        },
-        {
-          question: 'What is the virtual DOM?',
-          options: ['A real DOM element', 'A JavaScript representation of the real DOM', 'A CSS property', 'A React component'],
-          correct: 1
-        },
-        {
-          question: 'How do you pass data from parent to child component?',
-          options: ['Using state', 'Using props', 'Using context', 'Using refs'],
-          correct: 1
-        },
-        {
-          question: 'What is the purpose of useEffect hook?',
-          options: ['To manage state', 'To handle side effects', 'To create components', 'To style components'],
-          correct: 1
-        }
-      ],
-      points_per_question: 1,
-      is_custom: false
+// Questions an attempt was built from: the snapshot taken when it started (or as
+// questions were drawn for it), or the quiz's questions for attempts from before snapshots
+function getAttemptQuestions(attempt, quiz) {
+  const questionSet = safeJSONParse(attempt.question_set, null);
+  return Array.isArray(questionSet) ? questionSet : getQuizQuestions(quiz);
+}
+
+// =================== ASSESSMENT SECTIONS ===================
+// A sectioned quiz has one quiz_bucket_mappings row per section (section_order set).
+// Each attempt draws the section's questions from its bucket; candidates take the
+// sections in order, each with its own timer, and cannot return to a closed section.
+
+async function getQuizSections(quizId) {
+  const [sections] = await pool.execute(`
+    SELECT m.*, b.name AS bucket_name
+    FROM quiz_bucket_mappings m
+    JOIN question_buckets b ON b.id = m.bucket_id
+    WHERE m.quiz_id = ? AND m.section_order IS NOT NULL
+    ORDER BY m.section_order
+  `, [quizId]);
+  return sections;
+}
+
+function formatSection(section) {
+  return {
+    name: section.section_name,
+    instructions: section.instructions || '',
+    timeLimitMinutes: section.time_limit_minutes,
+    bucketId: section.bucket_id,
+    bucketName: section.bucket_name,
+    questionCount: section.total_questions,
+    easyCount: section.easy_count,
+    mediumCount: section.medium_count,
+    hardCount: section.hard_count
+  };
+}
+
+// Bucket question row in the quiz question shape
+function bucketQuestionToQuizQuestion(row) {
+  return {
+    bucketQuestionId: row.id,
+    question: row.question_text,
+    options: safeJSONParse(row.options, []),
+    ...getBucketAnswerKey(row),
+    points: row.points || 1,
+    difficulty: row.difficulty,
+    explanation: row.explanation || ''
+  };
+}
+
+// Draw questions for a bucket mapping (a section or a blueprint entry) from the active
+// questions of its bucket: by difficulty when difficulty counts are set, otherwise the
+// mapping's question count at random.
+// Returns { questions } or { error } when the bucket cannot supply enough questions.
+async function drawBucketQuestions(mapping, random = Math.random) {
+  const [rows] = await pool.execute(
+    'SELECT * FROM questions WHERE bucket_id = ? AND is_active = TRUE',
+    [mapping.bucket_id]
+  );
+  const label = mapping.section_name ? `Section "${mapping.section_name}"` : `Bucket "${mapping.bucket_name}"`;
+  const byDifficulty = (mapping.easy_count || 0) + (mapping.medium_count || 0) + (mapping.hard_count || 0) > 0;
+  let picked = [];
+  
+  if (byDifficulty) {
+    for (const difficulty of ['easy', 'medium', 'hard']) {
+      const wanted = mapping[`${difficulty}_count`] || 0;
+      const available = rows.filter(row => row.difficulty === difficulty);
+      if (available.length < wanted) {
+        return { error: `${label} needs ${wanted} ${difficulty} questions but has ${available.length} active` };
+      }
+      picked.push(...shuffleArray(available, random).slice(0, wanted));
+    }
+    picked = shuffleArray(picked, random);
+  } else {
+    const wanted = mapping.total_questions || 0;
+    if (rows.length < wanted) {
+      return { error: `${label} needs ${wanted} questions but has ${rows.length} active` };
+    }
+    picked = shuffleArray(rows, random).slice(0, wanted);
+  }
+  
+  return { questions: picked.map(bucketQuestionToQuizQuestion) };
+}
+
+// Draw every section for a new attempt. The drawn questions are snapshotted with the
+// attempt; layout entries carry the index of their section.
+async function buildSectionedAttempt(sections, randomizationSettings, seed = null) {
+  const questionSet = [];
+  const layout = [];
+  const sectionState = [];
+  
+  for (let index = 0; index < sections.length; index++) {
+    const drawn = await drawBucketQuestions(sections[index], getRandomSource(seed, `draw:section:${index}`));
+    if (drawn.error) {
+      return drawn;
     }
-  ];
+    
+    drawn.questions.forEach(question => {
+      const delivered = randomizationSettings.randomizeOptions ?
+        randomizeQuestionOptions(question, getRandomSource(seed, `options:${questionSet.length}`)) : question;
+      layout.push({ sourceIndex: questionSet.length, optionOrder: delivered.optionOrder || null, section: index });
+      questionSet.push(question);
+    });
+    
+    sectionState.push({
+      name: sections[index].section_name,
+      instructions: sections[index].instructions || '',
+      timeLimitMinutes: sections[index].time_limit_minutes,
+      questionCount: drawn.questions.length,
+      startedAt: null,
+      deadlineAt: null,
+      closedAt: null
+    });
+  }
   
-  for (const quiz of defaultQuizzes) {
-    await connection.execute(`
-      INSERT INTO quizzes (id, name, description, questions, points_per_question, is_custom)
-      VALUES (?, ?, ?, ?, ?, ?)
-    `, [quiz.id, quiz.name, quiz.description, JSON.stringify(quiz.questions), quiz.points_per_question, quiz.is_custom]);
+  return { questionSet, layout, sectionState };
+}
+
+function startSection(section, now) {
+  section.startedAt = now.toISOString();
+  section.deadlineAt = section.timeLimitMinutes > 0 ?
+    new Date(now.getTime() + section.timeLimitMinutes * 60 * 1000).toISOString() : null;
+}
+
+function getSectionState(attempt) {
+  const sections = safeJSONParse(attempt.section_state, []);
+  return Array.isArray(sections) ? sections : [];
+}
+
+function isLastSection(attempt) {
+  return (attempt.current_section || 0) >= getSectionState(attempt).length - 1;
+}
+
+// True once the current section's deadline plus the quiz's grace period has passed
+function isSectionExpired(attempt, quiz) {
+  const section = getSectionState(attempt)[attempt.current_section || 0];
+  if (!section || !section.deadlineAt) {
+    return false;
   }
+  const { graceSeconds } = getAssessmentSettings(quiz);
+  return Date.now() > new Date(section.deadlineAt).getTime() + (Number(graceSeconds) || 0) * 1000;
 }
 
-// Insert default coding challenges
-async function insertDefaultCodingChallenges(connection) {
-  const defaultChallenges = [
-    {
-      title: 'Two Sum',
-      description: 'Given an array of integers nums and an integer target, return indices of the two numbers such that they add up to target. You may assume that each input would have exactly one solution, and you may not use the same element twice.',
-      difficulty: 'easy',
-      timeLimit: 30,
-      starterCode: `def solution(nums, target):
-    # Write your code here
-    # Return a list of two indices
-    pass
+// Close the current section and open the next one. Returns the reloaded attempt row.
+async function advanceSection(attempt) {
+  const sections = getSectionState(attempt);
+  const current = attempt.current_section || 0;
+  const now = new Date();
+  
+  sections[current].closedAt = now.toISOString();
+  startSection(sections[current + 1], now);
+  
+  // Guard on the current section so two concurrent requests cannot skip a section
+  await pool.execute(`
+    UPDATE assessment_attempts
+    SET current_section = ?, current_index = 0, section_state = ?, last_activity_at = NOW()
+    WHERE id = ? AND status = 'in_progress' AND current_section = ?
+  `, [current + 1, JSON.stringify(sections), attempt.id, current]);
+  
+  const [attempts] = await pool.execute('SELECT * FROM assessment_attempts WHERE id = ?', [attempt.id]);
+  console.log(`➡️ Attempt ${attempt.id} moved to section ${current + 2} of ${sections.length}`);
+  return attempts[0];
+}
 
-# Test your solution
-nums = [2, 7, 11, 15]
-target = 9
-print(solution(nums, target))`,
-      solutionCode: `def solution(nums, target):
-    num_map = {}
-    for i, num in enumerate(nums):
-        complement = target - num
-        if complement in num_map:
-            return [num_map[complement], i]
-        num_map[num] = i
-    return []`,
-      testCases: [
-        { input: '[2, 7, 11, 15], 9', expectedOutput: '[0, 1]', isHidden: false },
-        { input: '[3, 2, 4], 6', expectedOutput: '[1, 2]', isHidden: false },
-        { input: '[3, 3], 6', expectedOutput: '[0, 1]', isHidden: true }
-      ]
-    },
-    {
-      title: 'Palindrome Check',
-      description: 'Write a function that checks if a given string is a palindrome. A palindrome is a word, phrase, number, or other sequence of characters that reads the same forward and backward.',
-      difficulty: 'easy',
-      timeLimit: 20,
-      starterCode: `def solution(s):
-    # Write your code here
-    # Return True if palindrome, False otherwise
-    pass
+// Move past a section whose time ran out. The last section ending closes the attempt
+// instead (see isAttemptExpired).
+async function refreshAttemptSections(attempt, quiz) {
+  while (attempt.status === 'in_progress' && !isLastSection(attempt) && isSectionExpired(attempt, quiz)) {
+    attempt = await advanceSection(attempt);
+  }
+  return attempt;
+}
 
-# Test your solution
-print(solution("racecar"))  # Should return True
-print(solution("hello"))    # Should return False`,
-      solutionCode: `def solution(s):
-    cleaned = ''.join(char.lower() for char in s if char.isalnum())
-    return cleaned == cleaned[::-1]`,
-      testCases: [
-        { input: 'racecar', expectedOutput: 'True', isHidden: false },
-        { input: 'hello', expectedOutput: 'False', isHidden: false },
-        { input: 'A man a plan a canal Panama', expectedOutput: 'True', isHidden: true }
-      ]
+// =================== QUESTION BLUEPRINTS ===================
+// A blueprint quiz keeps bucket mappings without a section (e.g. 5 easy, 3 medium and
+// 2 hard from one bucket plus 4 medium from another) and draws a fresh set of questions
+// for every attempt, so new bucket questions are picked up automatically.
+
+async function getQuizBlueprint(quizId) {
+  const [entries] = await pool.execute(`
+    SELECT m.*, b.name AS bucket_name
+    FROM quiz_bucket_mappings m
+    JOIN question_buckets b ON b.id = m.bucket_id
+    WHERE m.quiz_id = ? AND m.section_order IS NULL
+    ORDER BY m.id
+  `, [quizId]);
+  return entries;
+}
+
+function isBlueprintQuiz(quiz) {
+  return getAssessmentSettings(quiz).questionSource === 'blueprint';
+}
+
+// Draw every blueprint entry for a new attempt. Returns { questions } or { error }.
+async function drawBlueprintQuestions(blueprint, seed = null) {
+  const questions = [];
+  for (const [index, entry] of blueprint.entries()) {
+    const drawn = await drawBucketQuestions(entry, getRandomSource(seed, `draw:blueprint:${index}`));
+    if (drawn.error) {
+      return drawn;
     }
-  ];
+    questions.push(...drawn.questions);
+  }
+  return { questions };
+}
 
-  for (let challenge of defaultChallenges) {
-    // Insert challenge
-    const [result] = await connection.execute(`
-      INSERT INTO coding_challenges (title, description, difficulty, time_limit, starter_code, solution_code, created_by)
-      VALUES (?, ?, ?, ?, ?, ?, ?)
-    `, [challenge.title, challenge.description, challenge.difficulty, challenge.timeLimit, challenge.starterCode, challenge.solutionCode, 'system']);
+// =================== ADAPTIVE ATTEMPTS ===================
+// The pool is the active questions of the quiz's blueprint buckets (or the quiz's own
+// questions when it has no blueprint; questions without a difficulty count as medium).
+// Questions are picked one at a time on the server and appended to the attempt's
+// snapshot, so the candidate only ever sees the question they are answering.
+
+async function getAdaptivePool(quiz) {
+  const blueprint = await getQuizBlueprint(quiz.id);
+  if (blueprint.length === 0) {
+    return getQuizQuestions(quiz).map((question, index) => ({
+      ...question,
+      poolKey: `quiz:${index}`,
+      difficulty: DIFFICULTY_LEVELS.includes(question.difficulty) ? question.difficulty : 'medium'
+    }));
+  }
+  
+  const [rows] = await pool.query(
+    'SELECT * FROM questions WHERE bucket_id IN (?) AND is_active = TRUE',
+    [blueprint.map(entry => entry.bucket_id)]
+  );
+  return rows.map(row => ({ ...bucketQuestionToQuizQuestion(row), poolKey: `bucket:${row.id}` }));
+}
+
+function getAdaptiveState(attempt) {
+  return safeJSONParse(attempt.adaptive_state, null);
+}
+
+// Next unseen question at the wanted difficulty, falling back to the nearest level
+// that still has questions. Returns null when the pool is exhausted.
+function pickAdaptiveQuestion(questionPool, served, difficulty, random = Math.random) {
+  const wanted = DIFFICULTY_LEVELS.indexOf(difficulty);
+  const levels = [...DIFFICULTY_LEVELS].sort((a, b) =>
+    Math.abs(DIFFICULTY_LEVELS.indexOf(a) - wanted) - Math.abs(DIFFICULTY_LEVELS.indexOf(b) - wanted));
+  
+  for (const level of levels) {
+    const available = questionPool.filter(question => question.difficulty === level && !served.includes(question.poolKey));
+    if (available.length > 0) {
+      return available[Math.floor(random() * available.length)];
+    }
+  }
+  return null;
+}
+
+// Points an adaptive question is graded at; questions never reached are priced the same way
+function getAdaptivePoints(quiz, settings, difficulty) {
+  return (quiz.points_per_question || 1) * (settings.weights[difficulty] || 1);
+}
+
+// Snapshot a picked question for the attempt with its weighted points. The snapshot stays on
+// the server; the question's own points are kept to match it to its question version.
+function toAdaptiveQuestion(question, settings, quiz) {
+  const { poolKey, ...snapshot } = question;
+  return {
+    ...snapshot,
+    points: getAdaptivePoints(quiz, settings, question.difficulty),
+    sourcePoints: question.points === undefined ? null : question.points
+  };
+}
+
+// Step up after a fully correct answer, down after a miss; partial credit stays level
+function nextAdaptiveDifficulty(difficulty, fraction) {
+  const index = DIFFICULTY_LEVELS.indexOf(difficulty);
+  if (fraction >= 1) return DIFFICULTY_LEVELS[Math.min(index + 1, DIFFICULTY_LEVELS.length - 1)];
+  if (fraction <= 0) return DIFFICULTY_LEVELS[Math.max(index - 1, 0)];
+  return difficulty;
+}
+
+// Count questions the candidate never reached (time ran out) as skipped, at the weight
+// of the difficulty they would have been served next, so stalling cannot raise the percentage
+function applyAdaptiveRemainder(graded, state, quiz) {
+  const remaining = Math.max(0, state.questionCount - state.served.length);
+  const points = getAdaptivePoints(quiz, getAdaptiveSettings(quiz), state.difficulty);
+  
+  return {
+    ...graded,
+    maxScore: graded.maxScore + remaining * points,
+    totalQuestions: graded.totalQuestions + remaining,
+    counts: { ...graded.counts, skipped: graded.counts.skipped + remaining }
+  };
+}
+
+// Subscore per section from a graded breakdown (items follow the attempt layout)
+function getSectionScores(sections, layout, breakdown) {
+  return sections.map((section, index) => {
+    const items = breakdown.filter((_, position) => layout[position] && layout[position].section === index);
+    return {
+      name: section.name,
+      achievedScore: roundScore(items.reduce((sum, item) => sum + item.awarded, 0)),
+      maxScore: items.reduce((sum, item) => sum + item.points, 0),
+      correctCount: items.filter(item => item.correct).length,
+      totalQuestions: items.length
+    };
+  });
+}
+
+// Candidate view of an attempt: frozen questions without the key, answers by position
+// Sectioned attempts only deliver the questions of the current section.
+function formatAttempt(attempt, quiz) {
+  const questions = getAttemptQuestions(attempt, quiz);
+  const layout = getLiveLayout(attempt, questions);
+  const storedAnswers = safeJSONParse(attempt.answers, {});
+  const answerTimes = safeJSONParse(attempt.answer_times, {});
+  const sections = getSectionState(attempt);
+  const currentSection = attempt.current_section || 0;
+  const adaptiveState = getAdaptiveState(attempt);
+  
+  return {
+    attemptId: attempt.attempt_token,
+    quizId: quiz.id,
+    name: quiz.name,
+    description: quiz.description,
+    pointsPerQuestion: quiz.points_per_question || 1,
+    proctoringSettings: safeJSONParse(quiz.proctoring_settings, {}),
+    status: attempt.status,
+    startedAt: new Date(attempt.started_at).toISOString(),
+    deadlineAt: attempt.deadline_at ? new Date(attempt.deadline_at).toISOString() : null,
+    serverTime: new Date().toISOString(),
+    currentIndex: attempt.current_index || 0,
+    currentSection: sections.length > 0 ? currentSection : null,
+    sections: sections.map((section, index) => ({
+      name: section.name,
+      instructions: section.instructions,
+      timeLimitMinutes: section.timeLimitMinutes,
+      questionCount: section.questionCount,
+      startedAt: section.startedAt,
+      deadlineAt: section.deadlineAt,
+      status: index < currentSection ? 'closed' : index === currentSection ? 'current' : 'upcoming'
+    })),
+    // Adaptive attempts never reveal difficulty (or the weighted points that follow from it),
+    // which would hint at earlier answers
+    adaptive: adaptiveState ? {
+      questionNumber: adaptiveState.served.length,
+      questionCount: adaptiveState.questionCount,
+      complete: adaptiveState.served.length >= adaptiveState.questionCount
+    } : null,
+    questions: layout
+      .map((entry, position) => ({ entry, position }))
+      .filter(({ entry, position }) => isPositionOpen(attempt, entry, position, layout))
+      .map(({ entry, position }) => {
+        const question = questions[entry.sourceIndex];
+        const options = entry.optionOrder && Array.isArray(question.options) ?
+          entry.optionOrder.map(index => question.options[index]) : question.options;
+        const delivered = { ...toCandidateQuestion({ ...question, options }), position };
+        if (adaptiveState) {
+          delete delivered.difficulty;
+          delivered.points = quiz.points_per_question || 1;
+        }
+        return delivered;
+      }),
+    answers: layout.map(entry =>
+      toDeliveredAnswer(entry, storedAnswers[getAnswerKey(entry)], questions[entry.sourceIndex])),
+    answeredAt: layout.map(entry => answerTimes[getAnswerKey(entry)] || null)
+  };
+}
+
+// Randomization settings an attempt was built with (older attempts fall back to the quiz's)
+function getAttemptRandomization(attempt, quiz) {
+  return safeJSONParse(attempt.randomization, null) || getRandomizationSettings(quiz);
+}
+
+// Rebuild an attempt's layout from its seed, replayed from the attempt's question snapshot.
+// Attempts from before snapshots are rebuilt from the quiz's current questions, so editing
+// the quiz afterwards can break their replay.
+// Returns null for attempts started before seeds were recorded.
+function regenerateAttemptLayout(attempt, quiz) {
+  if (!attempt.random_seed) {
+    return null;
+  }
+  
+  const seed = attempt.random_seed;
+  const settings = getAttemptRandomization(attempt, quiz);
+  const questions = getAttemptQuestions(attempt, quiz);
+  const sections = getSectionState(attempt);
+  if (sections.length === 0 && !attempt.adaptive_state) {
+    return buildAttemptLayout(questions, settings, seed);
+  }
+  
+  // Sectioned and adaptive attempts are delivered in the order their questions were drawn
+  const sectionOf = sections.flatMap((section, index) => new Array(section.questionCount).fill(index));
+  return questions.map((question, sourceIndex) => {
+    const delivered = settings.randomizeOptions ?
+      randomizeQuestionOptions(question, createSeededRandom(seed, `options:${sourceIndex}`)) : question;
+    const entry = { sourceIndex, optionOrder: delivered.optionOrder || null };
+    if (sections.length > 0) {
+      entry.section = sectionOf[sourceIndex];
+    }
+    return entry;
+  });
+}
+
+function isSameLayout(first, second) {
+  const normalize = layout => JSON.stringify(layout.map(entry => [
+    entry.questionId || null, entry.sourceIndex, entry.optionOrder || null, entry.section === undefined ? null : entry.section
+  ]));
+  return normalize(first) === normalize(second);
+}
+
+// The paper as the candidate saw it: questions and options in delivery order, with their
+// answer and the answer key mapped to the option positions they were shown
+function buildAttemptPaper(attempt, quiz, layout, breakdown) {
+  const questions = getAttemptQuestions(attempt, quiz);
+  const storedAnswers = safeJSONParse(attempt.answers, {});
+  const sections = getSectionState(attempt);
+  const graded = {};
+  (Array.isArray(breakdown) ? breakdown : []).forEach(item => {
+    graded[item.questionId || item.questionIndex] = item;
+  });
+  
+  return resolveLayout(layout, questions).map((entry, position) => {
+    const question = questions[entry.sourceIndex];
+    const item = graded[getAnswerKey(entry)] || {};
+    const answer = item.answer !== undefined ? item.answer : storedAnswers[getAnswerKey(entry)];
+    return {
+      position,
+      section: entry.section !== undefined && sections[entry.section] ? sections[entry.section].name : null,
+      questionIndex: entry.sourceIndex,
+      questionId: entry.questionId || null,
+      question: question.question,
+      type: getQuestionType(question),
+      options: entry.optionOrder && Array.isArray(question.options) ?
+        entry.optionOrder.map(index => question.options[index]) : question.options || [],
+      answer: toDeliveredAnswer(entry, answer, question),
+      correct: isBlankAnswer(question.correct) ? null : toDeliveredAnswer(entry, question.correct, question),
+      tolerance: question.tolerance === undefined ? null : question.tolerance,
+      status: item.status || null,
+      points: item.points === undefined ? question.points || quiz.points_per_question || 1 : item.points,
+      awarded: item.awarded === undefined ? null : item.awarded,
+      // Answers a re-grade also accepted
+      accepted: item.acceptedAnswers ? toDeliveredAnswer(entry, item.acceptedAnswers, question) : null,
+      explanation: question.explanation || '',
+      versionId: item.versionId || null
+    };
+  });
+}
+
+// Time an answer was given, as reported by the client. Missing, invalid or
+// future timestamps fall back to the server clock.
+function parseAnswerTime(value, now) {
+  const answeredAt = value ? new Date(value) : null;
+  if (!answeredAt || isNaN(answeredAt.getTime()) || answeredAt > now) {
+    return now;
+  }
+  return answeredAt;
+}
+
+// Whether the candidate can still see and answer a question: only the current section of
+// a sectioned attempt, and only the latest question of an adaptive attempt
+function isPositionOpen(attempt, entry, position, layout) {
+  if (entry.section !== undefined) {
+    return entry.section === (attempt.current_section || 0);
+  }
+  if (attempt.adaptive_state) {
+    return position === layout.length - 1;
+  }
+  return true;
+}
+
+// Merge answers sent by position (array or [{ position, answer, answeredAt }]) into the
+// stored answers. Every stored answer keeps the time it was given, so an update older than
+// the saved one (e.g. a retried autosave arriving late) does not overwrite it.
+function mergeAttemptAnswers(attempt, questions, submitted) {
+  const layout = getLiveLayout(attempt, questions);
+  const storedAnswers = safeJSONParse(attempt.answers, {});
+  const answerTimes = safeJSONParse(attempt.answer_times, {});
+  const now = new Date();
+  let merged = 0;
+  let skipped = 0;
+  
+  if (!Array.isArray(submitted)) {
+    return { answers: storedAnswers, answerTimes, merged, skipped };
+  }
+  
+  submitted.forEach((item, index) => {
+    // Multiple-select answers are arrays, so only plain objects are { position, answer } entries
+    const isEntry = item !== null && typeof item === 'object' && !Array.isArray(item);
+    const position = isEntry ? parseInt(item.position) : index;
+    const entry = layout[position];
+    if (!entry) return;
+    
+    if (!isPositionOpen(attempt, entry, position, layout)) {
+      if (!isBlankAnswer(isEntry ? item.answer : item)) skipped++;
+      return;
+    }
     
-    const challengeId = result.insertId;
+    const key = getAnswerKey(entry);
+    const answer = toStoredAnswer(entry, isEntry ? item.answer : item, questions[entry.sourceIndex]);
+    const previous = storedAnswers[key] === undefined ? null : storedAnswers[key];
+    if (JSON.stringify(previous) === JSON.stringify(answer)) return;
     
-    // Insert test cases
-    for (let i = 0; i < challenge.testCases.length; i++) {
-      const testCase = challenge.testCases[i];
-      await connection.execute(`
-        INSERT INTO coding_test_cases (challenge_id, input, expected_output, is_hidden, order_index)
-        VALUES (?, ?, ?, ?, ?)
-      `, [challengeId, testCase.input, testCase.expectedOutput, testCase.isHidden, i]);
+    const answeredAt = parseAnswerTime(isEntry ? item.answeredAt : null, now);
+    const savedAt = answerTimes[key];
+    if (savedAt && new Date(savedAt) > answeredAt) {
+      skipped++;
+      return;
     }
+    
+    storedAnswers[key] = answer;
+    answerTimes[key] = answeredAt.toISOString();
+    merged++;
+  });
+  
+  return { answers: storedAnswers, answerTimes, merged, skipped };
+}
+
+// True once the deadline plus the quiz's grace period has passed
+function isAttemptExpired(attempt, quiz) {
+  // A sectioned attempt ends when its last section runs out of time
+  if (getSectionState(attempt).length > 0 && isLastSection(attempt) && isSectionExpired(attempt, quiz)) {
+    return true;
+  }
+  if (!attempt.deadline_at) {
+    return false;
   }
+  const { graceSeconds } = getAssessmentSettings(quiz);
+  return Date.now() > new Date(attempt.deadline_at).getTime() + (Number(graceSeconds) || 0) * 1000;
 }
 
-// Insert default question buckets and migrate existing quiz questions
-async function insertDefaultQuestionBuckets(connection) {
-  const defaultBuckets = [
-    {
-      name: 'JavaScript Fundamentals',
-      description: 'Basic JavaScript concepts, syntax, and core features',
-      subject: 'Programming'
-    },
-    {
-      name: 'Python Basics',
-      description: 'Python fundamentals, data structures, and syntax',
-      subject: 'Programming'
-    },
-    {
-      name: 'Data Structures',
-      description: 'Arrays, objects, stacks, queues, and basic algorithms',
-      subject: 'Computer Science'
-    },
-    {
-      name: 'Web Development',
-      description: 'HTML, CSS, DOM manipulation, and web technologies',
-      subject: 'Programming'
-    },
-    {
-      name: 'Database Concepts',
-      description: 'SQL, database design, and data management',
-      subject: 'Database'
+// True when an untimed attempt has had no activity for the quiz's abandonment period.
+// Timed attempts are closed by their deadline instead.
+function isAttemptAbandoned(attempt, quiz) {
+  const { abandonAfterMinutes } = getAssessmentSettings(quiz);
+  const section = getSectionState(attempt)[attempt.current_section || 0];
+  if (attempt.deadline_at || (section && section.deadlineAt) || !(Number(abandonAfterMinutes) > 0)) {
+    return false;
+  }
+  const lastActivity = new Date(attempt.last_activity_at || attempt.started_at).getTime();
+  return Date.now() > lastActivity + Number(abandonAfterMinutes) * 60 * 1000;
+}
+
+// The candidate page queues its submission in the browser and retries until the server
+// answers. Each submission carries an idempotency key, how many times it has been sent and
+// when the candidate submitted. Returns { key, attempts, queuedAt } or { error }.
+const SUBMISSION_KEY_PATTERN = /^[A-Za-z0-9_-]{8,64}$/;
+
+function parseSubmissionDelivery(body, now = new Date()) {
+  const { submissionKey, deliveryAttempt, queuedAt } = body;
+  if (submissionKey === undefined || submissionKey === null) {
+    return { key: null, attempts: null, queuedAt: null };
+  }
+  if (typeof submissionKey !== 'string' || !SUBMISSION_KEY_PATTERN.test(submissionKey)) {
+    return { error: 'Submission key must be 8 to 64 letters, digits, dashes or underscores' };
+  }
+  
+  const attempts = parseInt(deliveryAttempt);
+  return {
+    key: submissionKey,
+    attempts: Number.isInteger(attempts) && attempts > 0 ? attempts : 1,
+    queuedAt: queuedAt ? parseAnswerTime(queuedAt, now) : null
+  };
+}
+
+// How a result reached the server; null for results that were not sent through the queue
+function formatSubmissionDelivery(result) {
+  if (!result.submission_key && !result.late_submission_at) {
+    return null;
+  }
+  return {
+    deliveryAttempts: result.delivery_attempts,
+    queuedAt: result.queued_at,
+    receivedAt: result.created_at,
+    lateSubmissionAt: result.late_submission_at,
+    retried: result.delivery_attempts > 1 || !!result.late_submission_at
+  };
+}
+
+// Grade an attempt and store its result. Answers arriving after the deadline plus grace
+// are discarded and the attempt is closed from its last saved state; abandoned attempts
+// are graded the same way. Returns null when the attempt was already finalized.
+async function finalizeAttempt(attempt, quiz, submission = {}) {
+  const { answers, achievedScore, maxScore } = submission;
+  const delivery = submission.delivery || {};
+  const timeExpired = isAttemptExpired(attempt, quiz);
+  const abandoned = !timeExpired && !!submission.abandoned;
+  
+  const questions = getAttemptQuestions(attempt, quiz);
+  const merged = timeExpired || isSectionExpired(attempt, quiz) ?
+    mergeAttemptAnswers(attempt, questions, null) :
+    mergeAttemptAnswers(attempt, questions, answers);
+  const layout = getLiveLayout(attempt, questions);
+  const entries = layout.map(entry => ({
+    questionIndex: entry.sourceIndex,
+    questionId: entry.questionId,
+    answer: merged.answers[getAnswerKey(entry)] === undefined ? null : merged.answers[getAnswerKey(entry)],
+    answeredAt: merged.answerTimes[getAnswerKey(entry)] || null
+  }));
+  const adaptiveState = getAdaptiveState(attempt);
+  let graded = gradeAnswers(questions, entries, quiz.points_per_question, getScoringPolicy(quiz));
+  if (adaptiveState) {
+    graded = applyAdaptiveRemainder(graded, adaptiveState, quiz);
+  }
+  const scoring = getScoringSummary(graded);
+  // Kept with the result so re-grades work out the outcome under the same pass mark
+  scoring.gradingScheme = getGradingScheme(quiz);
+  const outcome = getResultOutcome(graded.achievedScore, graded.maxScore, scoring.gradingScheme);
+  if (adaptiveState) {
+    // The difficulty path shows how the weighted score was reached
+    scoring.adaptive = {
+      questionCount: adaptiveState.questionCount,
+      served: adaptiveState.served.length,
+      path: layout.map(entry => questions[entry.sourceIndex].difficulty)
+    };
+  }
+  const sections = getSectionState(attempt);
+  const sectionScores = sections.length > 0 ?
+    getSectionScores(sections, layout, graded.breakdown) : null;
+  
+  // Flag submissions whose self-reported score disagrees with the server
+  const clientScore = achievedScore === undefined || achievedScore === null ? null : Number(achievedScore);
+  const clientMaxScore = maxScore === undefined || maxScore === null ? null : Number(maxScore);
+  const scoreFlagged = (clientScore !== null && clientScore !== graded.achievedScore) ||
+    (clientMaxScore !== null && clientMaxScore !== graded.maxScore);
+  
+  if (scoreFlagged) {
+    console.warn(`⚠️ Score mismatch for ${attempt.email} on ${quiz.id}: client ${clientScore}/${clientMaxScore}, server ${graded.achievedScore}/${graded.maxScore}`);
+  }
+  if (timeExpired) {
+    console.log(`⏰ Attempt ${attempt.id} for ${attempt.email} closed after its deadline`);
+  }
+  if (abandoned) {
+    console.log(`💤 Attempt ${attempt.id} for ${attempt.email} closed after inactivity`);
+  }
+  if (delivery.attempts > 1) {
+    console.log(`📶 Attempt ${attempt.id} for ${attempt.email} submitted on delivery attempt ${delivery.attempts}`);
+  }
+  
+  const startedAt = new Date(attempt.started_at);
+  const deadline = attempt.deadline_at || (sections.length > 0 ? sections[sections.length - 1].deadlineAt : null);
+  const completionTime = timeExpired ? new Date(deadline) :
+    abandoned ? new Date(attempt.last_activity_at || attempt.started_at) : new Date();
+  const duration = Math.max(0, Math.floor((completionTime - startedAt) / 1000));
+  
+  // Claim the attempt and store the result together so a double submit cannot store two results
+  let resultId;
+  const connection = await pool.getConnection();
+  try {
+    await connection.beginTransaction();
+    
+    const [claimed] = await connection.execute(`
+      UPDATE assessment_attempts SET status = 'submitted', submitted_at = NOW(), answers = ?, answer_times = ?
+      WHERE id = ? AND status = 'in_progress'
+    `, [JSON.stringify(merged.answers), JSON.stringify(merged.answerTimes), attempt.id]);
+    
+    if (claimed.affectedRows === 0) {
+      await connection.rollback();
+      return null;
+    }
+    
+    // The question version each answer was graded against
+    const versionIds = await resolveQuestionVersions(connection, quiz.id, questions, layout);
+    
+    const [inserted] = await connection.execute(`
+      INSERT INTO assessment_results (
+        name, email, assessment_track, track_id, login_date_time, 
+        completion_time, max_score, achieved_score, total_questions, 
+        duration_seconds, answers, client_reported_score, score_flagged, attempt_id, time_expired, abandoned, scoring,
+        section_scores, random_seed, percentage, outcome, grade, submission_key, delivery_attempts, queued_at
+      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `, [
+      attempt.name, attempt.email, quiz.name, quiz.id, 
+      startedAt, completionTime,
+      graded.maxScore, graded.achievedScore, graded.totalQuestions, duration,
+      // Per-question breakdown: answer, status, points earned, penalty, points awarded and question version
+      JSON.stringify(graded.breakdown.map((item, index) => ({
+        ...item,
+        answeredAt: entries[index].answeredAt,
+        versionId: versionIds[index]
+      }))),
+      isNaN(clientScore) ? null : clientScore,
+      scoreFlagged,
+      attempt.id,
+      timeExpired,
+      abandoned,
+      JSON.stringify(scoring),
+      sectionScores ? JSON.stringify(sectionScores) : null,
+      attempt.random_seed || null,
+      outcome.percentage,
+      outcome.outcome,
+      outcome.grade,
+      delivery.key || null,
+      delivery.attempts || null,
+      delivery.queuedAt || null
+    ]);
+    resultId = inserted.insertId;
+    
+    await connection.execute(
+      'UPDATE assessment_attempts SET result_id = ? WHERE id = ?',
+      [resultId, attempt.id]
+    );
+    
+    await connection.commit();
+  } catch (error) {
+    await connection.rollback();
+    throw error;
+  } finally {
+    connection.release();
+  }
+  
+  return {
+    resultId,
+    achievedScore: graded.achievedScore,
+    maxScore: graded.maxScore,
+    correctAnswers: graded.correctCount,
+    totalQuestions: graded.totalQuestions,
+    duration,
+    scoreFlagged,
+    timeExpired,
+    abandoned,
+    scoring,
+    sectionScores,
+    ...outcome
+  };
+}
+
+// Score summary of an attempt that has already been finalized
+// The result of a closed attempt, waiting first for any delivery still grading it: grading
+// holds the attempt row lock until its result is committed. Returns null when there is none.
+async function waitForAttemptResult(attempt) {
+  const connection = await pool.getConnection();
+  try {
+    await connection.beginTransaction();
+    await connection.execute('SELECT id FROM assessment_attempts WHERE id = ? FOR UPDATE', [attempt.id]);
+    await connection.commit();
+  } catch (error) {
+    await connection.rollback();
+    throw error;
+  } finally {
+    connection.release();
+  }
+  return getAttemptResultSummary(attempt);
+}
+
+async function getAttemptResultSummary(attempt) {
+  const [results] = await pool.execute(`
+    SELECT id, achieved_score, max_score, total_questions, duration_seconds, time_expired, abandoned, scoring,
+           section_scores, percentage, outcome, grade
+    FROM assessment_results WHERE attempt_id = ? ORDER BY id DESC LIMIT 1
+  `, [attempt.id]);
+  
+  if (results.length === 0) {
+    return null;
+  }
+  
+  return {
+    resultId: results[0].id,
+    achievedScore: results[0].achieved_score,
+    maxScore: results[0].max_score,
+    totalQuestions: results[0].total_questions,
+    duration: results[0].duration_seconds,
+    timeExpired: !!results[0].time_expired,
+    abandoned: !!results[0].abandoned,
+    scoring: safeJSONParse(results[0].scoring, null),
+    sectionScores: safeJSONParse(results[0].section_scores, null),
+    percentage: results[0].percentage === null ? null : Number(results[0].percentage),
+    outcome: results[0].outcome,
+    grade: results[0].grade
+  };
+}
+
+// Close attempts that ran out of time or were left idle, grading them from their
+// last saved answers so the candidate still gets a result
+async function closeStaleAttempts() {
+  const [attempts] = await pool.execute(
+    "SELECT * FROM assessment_attempts WHERE status = 'in_progress'"
+  );
+  const quizzes = {};
+  let closed = 0;
+  
+  for (let attempt of attempts) {
+    if (!(attempt.quiz_id in quizzes)) {
+      const [rows] = await pool.execute('SELECT * FROM quizzes WHERE id = ?', [attempt.quiz_id]);
+      quizzes[attempt.quiz_id] = rows[0] ? await withQuizQuestions(rows[0]) : null;
     }
-  ];
+    const quiz = quizzes[attempt.quiz_id];
+    if (!quiz) continue;
+    
+    attempt = await refreshAttemptSections(attempt, quiz);
+    let result = null;
+    if (isAttemptExpired(attempt, quiz)) {
+      result = await finalizeAttempt(attempt, quiz);
+    } else if (isAttemptAbandoned(attempt, quiz)) {
+      result = await finalizeAttempt(attempt, quiz, { abandoned: true });
+    }
+    if (result) closed++;
+  }
+  
+  if (closed > 0) {
+    console.log(`🧹 Closed ${closed} expired or abandoned attempt(s)`);
+  }
+  return closed;
+}
 
-  // Create default buckets
-  for (let bucket of defaultBuckets) {
-    const [result] = await connection.execute(`
-      INSERT INTO question_buckets (name, description, subject)
-      VALUES (?, ?, ?)
-    `, [bucket.name, bucket.description, bucket.subject]);
-    
-    const bucketId = result.insertId;
-    
-    // Migrate questions from existing quizzes to appropriate buckets
-    await migrateQuizQuestionsToQuestions(connection, bucketId, bucket.subject);
+// Store merged answers and the candidate's position for an attempt in progress
+async function saveAttemptDraft(attempt, merged, currentIndex) {
+  const index = parseInt(currentIndex);
+  await pool.execute(`
+    UPDATE assessment_attempts 
+    SET answers = ?, answer_times = ?, current_index = ?, last_activity_at = NOW()
+    WHERE id = ? AND status = 'in_progress'
+  `, [
+    JSON.stringify(merged.answers),
+    JSON.stringify(merged.answerTimes),
+    isNaN(index) ? attempt.current_index : index,
+    attempt.id
+  ]);
+}
+
+// Attempt history for every stored result, keyed by result id:
+// { attemptNumber, attemptCount, counted, countedScore } under each quiz's retake rules
+async function getAttemptHistory() {
+  const [results] = await pool.execute(`
+    SELECT id, track_id, email, achieved_score, max_score
+    FROM assessment_results
+    ORDER BY completion_time, id
+  `);
+  const [quizzes] = await pool.execute('SELECT id, assessment_settings FROM quizzes');
+  const policies = {};
+  quizzes.forEach(quiz => { policies[quiz.id] = getRetakePolicy(quiz); });
+  
+  const groups = {};
+  results.forEach(result => {
+    const key = `${result.track_id}\n${result.email.toLowerCase()}`;
+    (groups[key] = groups[key] || []).push(result);
+  });
+  
+  const history = {};
+  Object.values(groups).forEach(group => {
+    const policy = policies[group[0].track_id] || DEFAULT_RETAKE_POLICY;
+    const counted = getCountedScore(group, policy.countedAttempt);
+    group.forEach((result, index) => {
+      history[result.id] = {
+        attemptNumber: index + 1,
+        attemptCount: group.length,
+        counted: result.id === counted.resultId,
+        countedScore: {
+          achievedScore: counted.achievedScore,
+          maxScore: counted.maxScore,
+          countedAttempt: policy.countedAttempt
+        }
+      };
+    });
+  });
+  return history;
+}
+
+// Check a quiz's retake rules before a new attempt starts.
+// Returns null when the candidate may start, otherwise an error payload.
+async function checkRetakePolicy(quiz, email) {
+  const policy = getRetakePolicy(quiz);
+  const [results] = await pool.execute(`
+    SELECT completion_time FROM assessment_results
+    WHERE track_id = ? AND email = ?
+    ORDER BY completion_time DESC
+  `, [quiz.id, email]);
+  
+  if (policy.maxAttempts !== null && results.length >= policy.maxAttempts) {
+    return {
+      error: `You have used all ${policy.maxAttempts} attempt(s) allowed for this assessment`,
+      attemptsUsed: results.length,
+      maxAttempts: policy.maxAttempts
+    };
+  }
+  
+  if (results.length > 0 && policy.cooldownMinutes > 0) {
+    const retryAt = new Date(new Date(results[0].completion_time).getTime() + policy.cooldownMinutes * 60 * 1000);
+    if (retryAt > new Date()) {
+      return {
+        error: `You can retake this assessment after ${retryAt.toISOString()}`,
+        attemptsUsed: results.length,
+        maxAttempts: policy.maxAttempts,
+        retryAt: retryAt.toISOString()
+      };
+    }
   }
+  
+  return null;
 }
 
-// Migrate existing quiz questions to new question system
-async function migrateQuizQuestionsToQuestions(connection, bucketId, subject) {
+// Start an attempt, or resume the candidate's unfinished attempt for the same quiz.
+// Resuming needs the attempt token the attempt was started with, not just the email.
+app.post('/api/attempts', async (req, res) => {
   try {
-    const [quizzes] = await connection.execute('SELECT id, name, questions FROM quizzes WHERE is_custom = FALSE');
+    const { quizId, name, attemptToken: resumeToken } = req.body;
+    const email = req.body.email ? normalizeEmail(req.body.email) : '';
     
-    for (let quiz of quizzes) {
-      if (!quiz.questions) continue;
-      
-      let questions;
-      try {
-        questions = typeof quiz.questions === 'string' ? JSON.parse(quiz.questions) : quiz.questions;
-      } catch (e) {
-        console.log(`Skipping quiz ${quiz.id} due to invalid questions format`);
-        continue;
+    if (!quizId || !name || !email) {
+      return res.status(400).json({ error: 'Quiz ID, name and email are required' });
+    }
+    
+    const [quizzes] = await pool.execute('SELECT * FROM quizzes WHERE id = ?', [quizId]);
+    if (quizzes.length === 0) {
+      return res.status(404).json({ error: 'Quiz not found' });
+    }
+    const quiz = await withQuizQuestions(quizzes[0]);
+    
+    // Email domain allow-list and invitation-only quizzes
+    const accessDenied = await checkCandidateAccess(quiz, email);
+    if (accessDenied) {
+      const { status, ...body } = accessDenied;
+      return res.status(status).json(body);
+    }
+    
+    const [existing] = await pool.execute(`
+      SELECT * FROM assessment_attempts 
+      WHERE quiz_id = ? AND email = ? AND status = 'in_progress'
+      ORDER BY started_at DESC LIMIT 1
+    `, [quizId, email]);
+    
+    if (existing.length > 0) {
+      const resumable = await refreshAttemptSections(existing[0], quiz);
+      if (!isAttemptExpired(resumable, quiz)) {
+        if (resumeToken !== resumable.attempt_token) {
+          return res.status(409).json({
+            error: 'An attempt for this email is already in progress. Resume it from the browser it was started in, or wait for it to close.',
+            attemptInProgress: true
+          });
+        }
+        console.log(`🔁 Resuming attempt ${resumable.id} for ${email} on ${quizId}`);
+        return res.json({ ...formatAttempt(resumable, quiz), resumed: true });
       }
+      // The previous attempt ran out of time while the candidate was away
+      await finalizeAttempt(resumable, quiz);
+    }
+    
+    // Unfinished attempts can still be resumed after the close time; new ones cannot start
+    const unavailable = getAvailabilityError(getQuizAvailability(quiz));
+    if (unavailable) {
+      return res.status(403).json(unavailable);
+    }
+    const [invitations] = await pool.execute(
+      'SELECT start_by FROM quiz_participants WHERE quiz_id = ? AND email = ? AND start_by IS NOT NULL',
+      [quizId, email]
+    );
+    if (invitations.length > 0 && new Date(invitations[0].start_by) < new Date()) {
+      return res.status(403).json({
+        error: `Your window to start this assessment ended at ${new Date(invitations[0].start_by).toISOString()}`,
+        startBy: new Date(invitations[0].start_by).toISOString()
+      });
+    }
+    
+    const retakeBlocked = await checkRetakePolicy(quiz, email);
+    if (retakeBlocked) {
+      return res.status(403).json(retakeBlocked);
+    }
+    
+    const attemptToken = crypto.randomBytes(24).toString('hex');
+    const seed = generateAttemptSeed();
+    const startedAt = new Date();
+    const sections = await getQuizSections(quizId);
+    const adaptiveSettings = getAdaptiveSettings(quiz);
+    let randomizationSettings = getRandomizationSettings(quiz);
+    let layout, questionSet = null, sectionState = null, adaptiveState = null, deadlineAt = null;
+    
+    if (sections.length > 0) {
+      // Sectioned quizzes draw each section from its bucket; each section has its own timer
+      randomizationSettings = { ...randomizationSettings, randomizeQuestions: false, questionLimit: null };
+      const built = await buildSectionedAttempt(sections, randomizationSettings, seed);
+      if (built.error) {
+        return res.status(400).json({ error: `${built.error}.` });
+      }
+      if (built.layout.length === 0) {
+        return res.status(400).json({ error: 'This quiz has no questions yet' });
+      }
+      layout = built.layout;
+      questionSet = built.questionSet;
+      sectionState = built.sectionState;
+      startSection(sectionState[0], startedAt);
+    } else {
+      let questions = getQuizQuestions(quiz);
       
-      if (!Array.isArray(questions)) continue;
-      
-      // Determine bucket based on quiz name/id
-      let targetBucketId = bucketId;
-      if (quiz.id.includes('javascript') || quiz.name.toLowerCase().includes('javascript')) {
-        const [jsBucket] = await connection.execute('SELECT id FROM question_buckets WHERE name = "JavaScript Fundamentals"');
-        if (jsBucket.length > 0) targetBucketId = jsBucket[0].id;
-      } else if (quiz.id.includes('python') || quiz.name.toLowerCase().includes('python')) {
-        const [pythonBucket] = await connection.execute('SELECT id FROM question_buckets WHERE name = "Python Basics"');
-        if (pythonBucket.length > 0) targetBucketId = pythonBucket[0].id;
+      if (adaptiveSettings.enabled) {
+        // Adaptive attempts start with one question; the rest are picked as the candidate answers
+        const questionPool = await getAdaptivePool(quiz);
+        const first = pickAdaptiveQuestion(questionPool, [], adaptiveSettings.startDifficulty,
+          createSeededRandom(seed, 'pick:0'));
+        if (!first) {
+          return res.status(400).json({ error: 'This quiz has no questions yet' });
+        }
+        questions = [toAdaptiveQuestion(first, adaptiveSettings, quiz)];
+        questionSet = questions;
+        adaptiveState = {
+          questionCount: Math.min(adaptiveSettings.questionCount, questionPool.length),
+          difficulty: first.difficulty,
+          served: [first.poolKey]
+        };
+        randomizationSettings = { ...randomizationSettings, randomizeQuestions: false, questionLimit: null };
+      } else if (isBlueprintQuiz(quiz)) {
+        // Draw a fresh set for this attempt; the blueprint already decides how many questions
+        const drawn = await drawBlueprintQuestions(await getQuizBlueprint(quizId), seed);
+        if (drawn.error) {
+          return res.status(400).json({ error: `${drawn.error}.` });
+        }
+        questions = drawn.questions;
+        questionSet = drawn.questions;
+        randomizationSettings = { ...randomizationSettings, questionLimit: null };
       }
       
-      // Insert questions with difficulty assignment
-      for (let i = 0; i < questions.length; i++) {
-        const q = questions[i];
-        
-        // Auto-assign difficulty based on position (demo logic)
-        let difficulty = 'easy';
-        if (i >= Math.floor(questions.length * 0.6)) difficulty = 'hard';
-        else if (i >= Math.floor(questions.length * 0.3)) difficulty = 'medium';
-        
-        await connection.execute(`
-          INSERT INTO questions (bucket_id, question_text, options, correct_answer, difficulty, points)
-          VALUES (?, ?, ?, ?, ?, ?)
-        `, [
-          targetBucketId,
-          q.question,
-          JSON.stringify(q.options),
-          q.correct,
-          difficulty,
-          1
-        ]);
+      if (questions.length === 0) {
+        return res.status(400).json({ error: 'This quiz has no questions yet' });
       }
+      // Freeze the questions too, so edits made during the attempt do not change what
+      // the candidate sees or is graded against
+      questionSet = questionSet || questions;
       
-      // Update bucket counts
-      const [counts] = await connection.execute(`
-        SELECT 
-          COUNT(*) as total,
-          SUM(CASE WHEN difficulty = 'easy' THEN 1 ELSE 0 END) as easy,
-          SUM(CASE WHEN difficulty = 'medium' THEN 1 ELSE 0 END) as medium,
-          SUM(CASE WHEN difficulty = 'hard' THEN 1 ELSE 0 END) as hard
-        FROM questions WHERE bucket_id = ?
-      `, [targetBucketId]);
+      layout = buildAttemptLayout(questions, randomizationSettings, seed);
       
-      if (counts.length > 0) {
-        await connection.execute(`
-          UPDATE question_buckets 
-          SET total_questions = ?, easy_count = ?, medium_count = ?, hard_count = ?
-          WHERE id = ?
-        `, [counts[0].total, counts[0].easy, counts[0].medium, counts[0].hard, targetBucketId]);
-      }
+      // The deadline is fixed when the attempt starts; later settings changes do not move it
+      const { timeLimitMinutes } = getAssessmentSettings(quiz);
+      deadlineAt = Number(timeLimitMinutes) > 0 ?
+        new Date(startedAt.getTime() + Number(timeLimitMinutes) * 60 * 1000) : null;
     }
+    
+    // in_progress_key is unique, so of two concurrent starts for the same quiz and email only one inserts
+    await pool.execute(`
+      INSERT INTO assessment_attempts (
+        attempt_token, quiz_id, name, email, question_layout, question_set, section_state, adaptive_state,
+        random_seed, randomization, answers, started_at, deadline_at, last_activity_at
+      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, NOW())
+    `, [
+      attemptToken, quizId, name, email, JSON.stringify(layout),
+      questionSet ? JSON.stringify(questionSet) : null,
+      sectionState ? JSON.stringify(sectionState) : null,
+      adaptiveState ? JSON.stringify(adaptiveState) : null,
+      seed,
+      JSON.stringify({
+        randomizeQuestions: !!randomizationSettings.randomizeQuestions,
+        randomizeOptions: !!randomizationSettings.randomizeOptions,
+        questionLimit: parseInt(randomizationSettings.questionLimit) || null
+      }),
+      JSON.stringify({}), startedAt, deadlineAt
+    ]);
+    
+    const [attempts] = await pool.execute('SELECT * FROM assessment_attempts WHERE attempt_token = ?', [attemptToken]);
+    console.log(`📝 Started attempt ${attempts[0].id} for ${email} on ${quizId} with ${layout.length} questions`);
+    
+    res.status(201).json({ ...formatAttempt(attempts[0], quiz), resumed: false });
   } catch (error) {
-    console.error('Error migrating quiz questions:', error);
+    if (error.code === 'ER_DUP_ENTRY') {
+      return res.status(409).json({
+        error: 'An attempt for this email is already in progress. Resume it from the browser it was started in, or wait for it to close.',
+        attemptInProgress: true
+      });
+    }
+    console.error('Start attempt error:', error);
+    res.status(500).json({ error: 'Failed to start attempt' });
   }
-}
+});
 
-// Create participants table
-async function createParticipantsTable() {
+// Get an attempt's frozen questions and saved answers (used to resume after a refresh)
+app.get('/api/attempts/:attemptId', async (req, res) => {
   try {
-    await pool.execute(`
-      CREATE TABLE IF NOT EXISTS quiz_participants (
-        id INT AUTO_INCREMENT PRIMARY KEY,
-        quiz_id VARCHAR(50) NOT NULL,
-        name VARCHAR(255) NOT NULL,
-        email VARCHAR(255) NOT NULL,
-        department VARCHAR(255),
-        access_token VARCHAR(255) UNIQUE NOT NULL,
-        invited_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-        expires_at TIMESTAMP DEFAULT (CURRENT_TIMESTAMP + INTERVAL 7 DAY),
-        accessed_at TIMESTAMP NULL,
-        completed_at TIMESTAMP NULL,
-        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-        FOREIGN KEY (quiz_id) REFERENCES quizzes(id) ON DELETE CASCADE,
-        INDEX idx_quiz_id (quiz_id),
-        INDEX idx_email (email),
-        INDEX idx_access_token (access_token),
-        INDEX idx_expires_at (expires_at),
-        UNIQUE KEY unique_quiz_participant (quiz_id, email)
-      )
-    `);
-    console.log('📋 Quiz participants table created/verified');
+    const found = await getAttemptWithQuiz(req.params.attemptId);
+    if (!found) {
+      return res.status(404).json({ error: 'Attempt not found' });
+    }
+    
+    const { quiz } = found;
+    let attempt = found.attempt;
+    if (attempt.status === 'in_progress') {
+      attempt = await refreshAttemptSections(attempt, quiz);
+      if (isAttemptExpired(attempt, quiz)) {
+        await finalizeAttempt(attempt, quiz);
+        attempt.status = 'submitted';
+      }
+    }
+    
+    res.json(formatAttempt(attempt, quiz));
   } catch (error) {
-    console.error('Error creating participants table:', error);
+    console.error('Get attempt error:', error);
+    res.status(500).json({ error: 'Failed to get attempt' });
   }
-}
+});
 
-// =================== ROUTES ===================
+// Review a graded attempt: each question as the candidate saw it, with their answer, the
+// correct answer and the explanation. Only served while the quiz's review policy allows it.
+app.get('/api/attempts/:attemptId/review', async (req, res) => {
+  try {
+    const found = await getAttemptWithQuiz(req.params.attemptId);
+    if (!found) {
+      return res.status(404).json({ error: 'Attempt not found' });
+    }
+    
+    const { attempt, quiz } = found;
+    if (attempt.status === 'in_progress' || !attempt.result_id) {
+      return res.status(409).json({ error: 'Answers can be reviewed once the attempt has been submitted' });
+    }
+    const review = getReviewAvailability(quiz);
+    if (!review.available) {
+      return res.status(403).json({ error: review.message, review });
+    }
+    
+    const [results] = await pool.execute('SELECT * FROM assessment_results WHERE id = ?', [attempt.result_id]);
+    if (results.length === 0) {
+      return res.status(404).json({ error: 'The result of this attempt is no longer available' });
+    }
+    
+    const result = results[0];
+    const paper = buildAttemptPaper(attempt, quiz, safeJSONParse(attempt.question_layout, []), safeJSONParse(result.answers, []));
+    res.json({
+      attemptId: attempt.attempt_token,
+      quizName: result.assessment_track,
+      achievedScore: result.achieved_score,
+      maxScore: result.max_score,
+      questions: paper.map(({ questionIndex, questionId, versionId, ...question }) => question)
+    });
+  } catch (error) {
+    console.error('Review attempt error:', error);
+    res.status(500).json({ error: 'Failed to load attempt review' });
+  }
+});
 
-// Health check endpoint
-app.get('/api/health', (req, res) => {
-  res.json({ status: 'OK', timestamp: new Date().toISOString() });
+// Save answers for an attempt in progress
+app.put('/api/attempts/:attemptId/answers', async (req, res) => {
+  try {
+    const { answers, currentIndex } = req.body;
+    
+    const found = await getAttemptWithQuiz(req.params.attemptId);
+    if (!found) {
+      return res.status(404).json({ error: 'Attempt not found' });
+    }
+    
+    const { quiz } = found;
+    if (found.attempt.status !== 'in_progress') {
+      return res.status(409).json({ error: 'Attempt has already been submitted' });
+    }
+    
+    const attempt = await refreshAttemptSections(found.attempt, quiz);
+    if (isAttemptExpired(attempt, quiz)) {
+      await finalizeAttempt(attempt, quiz);
+      return res.status(409).json({ error: 'Time limit exceeded. The attempt has been closed.', timeExpired: true });
+    }
+    
+    const merged = mergeAttemptAnswers(attempt, getAttemptQuestions(attempt, quiz), answers);
+    await saveAttemptDraft(attempt, merged, currentIndex);
+    
+    res.json({ message: 'Answers saved', saved: merged.merged });
+  } catch (error) {
+    console.error('Save attempt answers error:', error);
+    res.status(500).json({ error: 'Failed to save answers' });
+  }
 });
 
-// Admin login
-app.post('/api/admin/login', async (req, res) => {
+// Autosave individual answers as the candidate works.
+// Body: { updates: [{ position, answer, answeredAt }], currentIndex }
+// Updates older than the answer already saved for a question are skipped.
+app.post('/api/attempts/:attemptId/autosave', async (req, res) => {
   try {
-    const { username, password } = req.body;
+    const { updates = [], currentIndex } = req.body;
     
-    const [users] = await pool.execute(
-      'SELECT * FROM admin_users WHERE username = ?',
-      [username]
-    );
+    if (!Array.isArray(updates)) {
+      return res.status(400).json({ error: 'Updates must be an array of { position, answer, answeredAt }' });
+    }
+    if (updates.some(update => update === null || typeof update !== 'object' || isNaN(parseInt(update.position)))) {
+      return res.status(400).json({ error: 'Each update needs a question position' });
+    }
     
-    if (users.length === 0) {
-      return res.status(401).json({ error: 'Invalid credentials' });
+    const found = await getAttemptWithQuiz(req.params.attemptId);
+    if (!found) {
+      return res.status(404).json({ error: 'Attempt not found' });
     }
     
-    const user = users[0];
-    const validPassword = await bcrypt.compare(password, user.password_hash);
+    const { quiz } = found;
+    if (found.attempt.status !== 'in_progress') {
+      return res.status(409).json({
+        error: 'Attempt has already been submitted',
+        result: await getAttemptResultSummary(found.attempt)
+      });
+    }
     
-    if (!validPassword) {
-      return res.status(401).json({ error: 'Invalid credentials' });
+    const attempt = await refreshAttemptSections(found.attempt, quiz);
+    if (isAttemptExpired(attempt, quiz)) {
+      const result = await finalizeAttempt(attempt, quiz);
+      return res.status(409).json({
+        error: 'Time limit exceeded. The attempt has been closed.',
+        timeExpired: true,
+        result: result || await getAttemptResultSummary(attempt)
+      });
     }
     
-    const token = jwt.sign(
-      { id: user.id, username: user.username },
-      JWT_SECRET,
-      { expiresIn: '24h' }
-    );
+    const questions = getAttemptQuestions(attempt, quiz);
+    const merged = mergeAttemptAnswers(attempt, questions, updates);
+    await saveAttemptDraft(attempt, merged, currentIndex);
     
-    res.json({ token, username: user.username });
+    res.json({
+      message: 'Draft saved',
+      saved: merged.merged,
+      skipped: merged.skipped,
+      currentSection: getSectionState(attempt).length > 0 ? attempt.current_section : null,
+      savedAt: new Date().toISOString(),
+      answeredAt: getLiveLayout(attempt, questions).map(entry => merged.answerTimes[getAnswerKey(entry)] || null)
+    });
   } catch (error) {
-    console.error('Admin login error:', error);
-    res.status(500).json({ error: 'Internal server error' });
+    console.error('Autosave error:', error);
+    res.status(500).json({ error: 'Failed to autosave answers' });
   }
 });
 
-// Enhanced Get all quizzes endpoint - FIXED VERSION
-app.get('/api/quizzes', async (req, res) => {
+// Close the current section (saving its answers) and open the next one.
+// A closed section cannot be reopened.
+app.post('/api/attempts/:attemptId/sections/next', async (req, res) => {
   try {
-    const [quizzes] = await pool.execute('SELECT * FROM quizzes ORDER BY created_at DESC');
-    console.log(`📊 Found ${quizzes.length} quizzes in database`);
+    const { answers } = req.body;
     
-    const formattedQuizzes = {};
+    const found = await getAttemptWithQuiz(req.params.attemptId);
+    if (!found) {
+      return res.status(404).json({ error: 'Attempt not found' });
+    }
+    
+    const { quiz } = found;
+    if (found.attempt.status !== 'in_progress') {
+      return res.status(409).json({ error: 'Attempt has already been submitted' });
+    }
+    if (getSectionState(found.attempt).length === 0) {
+      return res.status(400).json({ error: 'This assessment has no sections' });
+    }
+    
+    let attempt = found.attempt;
+    const requestedSection = attempt.current_section;
+    attempt = await refreshAttemptSections(attempt, quiz);
+    if (isAttemptExpired(attempt, quiz)) {
+      const result = await finalizeAttempt(attempt, quiz);
+      return res.status(409).json({
+        error: 'Time limit exceeded. The attempt has been closed.',
+        timeExpired: true,
+        result: result || await getAttemptResultSummary(attempt)
+      });
+    }
     
-    for (let i = 0; i < quizzes.length; i++) {
-      const quiz = quizzes[i];
-      console.log(`\n🔄 Processing quiz ${i + 1}/${quizzes.length}: ${quiz.id} - ${quiz.name}`);
+    // The section already closed on its timer; answers sent for it are too late
+    if (attempt.current_section === requestedSection) {
+      if (isLastSection(attempt)) {
+        return res.status(400).json({ error: 'This is the last section. Submit the assessment to finish.' });
+      }
       
-      try {
-        let questions = [];
-        
-        console.log(`📋 Raw questions for ${quiz.id}:`);
-        console.log(`  Type: ${typeof quiz.questions}`);
-        console.log(`  Length: ${quiz.questions ? quiz.questions.length : 'null'}`);
-        
-        if (quiz.questions) {
-          if (typeof quiz.questions === 'string') {
-            console.log(`  First 100 chars: ${quiz.questions.substring(0, 100)}`);
-            try {
-              questions = JSON.parse(quiz.questions);
-              if (!Array.isArray(questions)) {
-                console.log(`⚠️ Parsed questions is not an array for ${quiz.id}:`, questions);
-                questions = [];
-              }
-            } catch (parseError) {
-              console.error(`❌ JSON parse error for ${quiz.id}:`, parseError.message);
-              questions = [];
-            }
-          } else if (Array.isArray(quiz.questions)) {
-            questions = quiz.questions;
-          } else if (typeof quiz.questions === 'object') {
-            console.log(`⚠️ Questions is object (not array) for ${quiz.id}:`, quiz.questions);
-            questions = [];
-          }
-        }
-        
-        console.log(`📋 Final questions count for ${quiz.id}: ${questions.length}`);
-        
-        formattedQuizzes[quiz.id] = {
-          name: quiz.name,
-          description: quiz.description,
-          questions: questions,
-          pointsPerQuestion: quiz.points_per_question || 1,
-          isCustom: quiz.is_custom,
-          questionCount: questions.length, // Add explicit count
-          createdAt: quiz.created_at,
-          updatedAt: quiz.updated_at
-        };
-        
-        console.log(`✅ Successfully processed quiz: ${quiz.id} with ${questions.length} questions`);
-        
-      } catch (error) {
-        console.error(`❌ Error processing quiz ${quiz.id}:`, error);
-        
-        // Add quiz with empty questions but mark the error
-        formattedQuizzes[quiz.id] = {
-          name: quiz.name,
-          description: quiz.description,
-          questions: [],
-          pointsPerQuestion: quiz.points_per_question || 1,
-          isCustom: quiz.is_custom,
-          questionCount: 0,
-          hasError: true,
-          errorMessage: error.message,
-          createdAt: quiz.created_at,
-          updatedAt: quiz.updated_at
-        };
-        
-        console.log(`⚠️ Added quiz ${quiz.id} with error flag due to processing error`);
+      if (answers) {
+        const merged = mergeAttemptAnswers(attempt, getAttemptQuestions(attempt, quiz), answers);
+        await saveAttemptDraft(attempt, merged);
+        attempt.answers = JSON.stringify(merged.answers);
+        attempt.answer_times = JSON.stringify(merged.answerTimes);
       }
+      attempt = await advanceSection(attempt);
     }
     
-    console.log(`\n📤 Returning ${Object.keys(formattedQuizzes).length} formatted quizzes`);
-    console.log('📊 Final quiz summary:');
-    Object.entries(formattedQuizzes).forEach(([id, quiz]) => {
-      console.log(`  ${id}: ${quiz.name} - ${quiz.questionCount} questions ${quiz.hasError ? '(ERROR)' : ''}`);
-    });
+    res.json(formatAttempt(attempt, quiz));
+  } catch (error) {
+    console.error('Next section error:', error);
+    res.status(500).json({ error: 'Failed to move to the next section' });
+  }
+});
+
+// Adaptive attempts: record the answer to the current question and serve the next one,
+// one step harder after a correct answer and one step easier after a miss.
+// Earlier questions cannot be revisited. Responds with the attempt; adaptive.complete
+// is set once the last question has been answered and the attempt can be submitted.
+app.post('/api/attempts/:attemptId/adaptive/next', async (req, res) => {
+  try {
+    const { answer } = req.body;
     
-    res.json(formattedQuizzes);
+    const found = await getAttemptWithQuiz(req.params.attemptId);
+    if (!found) {
+      return res.status(404).json({ error: 'Attempt not found' });
+    }
+    
+    const { attempt, quiz } = found;
+    const state = getAdaptiveState(attempt);
+    if (attempt.status !== 'in_progress') {
+      return res.status(409).json({ error: 'Attempt has already been submitted' });
+    }
+    if (!state) {
+      return res.status(400).json({ error: 'This assessment is not adaptive' });
+    }
+    if (isAttemptExpired(attempt, quiz)) {
+      const result = await finalizeAttempt(attempt, quiz);
+      return res.status(409).json({
+        error: 'Time limit exceeded. The attempt has been closed.',
+        timeExpired: true,
+        result: result || await getAttemptResultSummary(attempt)
+      });
+    }
+    if (state.served.length >= state.questionCount) {
+      return res.status(400).json({ error: 'This was the last question. Submit the assessment to finish.' });
+    }
+    
+    const questions = getAttemptQuestions(attempt, quiz);
+    const layout = getLiveLayout(attempt, questions);
+    const position = layout.length - 1;
+    const merged = mergeAttemptAnswers(attempt, questions, [{ position, answer }]);
+    
+    const current = layout[position];
+    const stored = merged.answers[getAnswerKey(current)];
+    const fraction = isBlankAnswer(stored) ? 0 : scoreAnswer(questions[current.sourceIndex], stored);
+    const settings = getAdaptiveSettings(quiz);
+    const difficulty = nextAdaptiveDifficulty(questions[current.sourceIndex].difficulty || state.difficulty, fraction);
+    
+    const picked = pickAdaptiveQuestion(await getAdaptivePool(quiz), state.served, difficulty,
+      getRandomSource(attempt.random_seed, `pick:${state.served.length}`));
+    const nextState = {
+      ...state,
+      difficulty,
+      // A pool that ran dry ends the attempt early
+      questionCount: picked ? state.questionCount : state.served.length,
+      served: picked ? [...state.served, picked.poolKey] : state.served
+    };
+    
+    const questionSet = [...questions];
+    const nextLayout = [...safeJSONParse(attempt.question_layout, [])];
+    if (picked) {
+      const question = toAdaptiveQuestion(picked, settings, quiz);
+      const delivered = getAttemptRandomization(attempt, quiz).randomizeOptions ?
+        randomizeQuestionOptions(question, getRandomSource(attempt.random_seed, `options:${questionSet.length}`)) : question;
+      nextLayout.push({ sourceIndex: questionSet.length, optionOrder: delivered.optionOrder || null });
+      questionSet.push(question);
+    }
+    
+    // Guard on the number of served questions so a double click cannot skip a question
+    const [updated] = await pool.execute(`
+      UPDATE assessment_attempts
+      SET answers = ?, answer_times = ?, question_set = ?, question_layout = ?, adaptive_state = ?,
+          current_index = 0, last_activity_at = NOW()
+      WHERE id = ? AND status = 'in_progress' AND JSON_LENGTH(question_layout) = ?
+    `, [
+      JSON.stringify(merged.answers),
+      JSON.stringify(merged.answerTimes),
+      JSON.stringify(questionSet),
+      JSON.stringify(nextLayout),
+      JSON.stringify(nextState),
+      attempt.id,
+      layout.length
+    ]);
+    if (updated.affectedRows === 0) {
+      return res.status(409).json({ error: 'The next question was already served. Reload the attempt.', reload: true });
+    }
+    
+    const [attempts] = await pool.execute('SELECT * FROM assessment_attempts WHERE id = ?', [attempt.id]);
+    res.json(formatAttempt(attempts[0], quiz));
+  } catch (error) {
+    console.error('Adaptive next question error:', error);
+    res.status(500).json({ error: 'Failed to load the next question' });
+  }
+});
+
+// Rebuild the paper a candidate received from the seed stored with their result, so a
+// disputed question can be reviewed against exactly what they were shown
+app.get('/api/admin/results/:id/paper', authenticateAdmin, async (req, res) => {
+  try {
+    const [results] = await pool.execute('SELECT * FROM assessment_results WHERE id = ?', [req.params.id]);
+    if (results.length === 0) {
+      return res.status(404).json({ error: 'Result not found' });
+    }
+    
+    const result = results[0];
+    const [attempts] = await pool.execute('SELECT * FROM assessment_attempts WHERE id = ?', [result.attempt_id]);
+    const [quizzes] = await pool.execute('SELECT * FROM quizzes WHERE id = ?', [result.track_id]);
+    if (attempts.length === 0 || quizzes.length === 0) {
+      return res.status(404).json({ error: 'The attempt behind this result is no longer available, so its paper cannot be rebuilt' });
+    }
+    
+    const attempt = attempts[0];
+    const quiz = await withQuizQuestions(quizzes[0]);
+    const recorded = safeJSONParse(attempt.question_layout, []);
+    const regenerated = regenerateAttemptLayout(attempt, quiz);
+    const reproduced = !!regenerated && isSameLayout(regenerated, recorded);
+    let warning = null;
+    if (!regenerated) {
+      warning = 'This attempt was started before seeds were recorded. Showing the layout stored with the attempt.';
+    } else if (!reproduced) {
+      warning = 'The quiz has changed since this attempt, so its seed no longer reproduces the paper. Showing the layout stored with the attempt.';
+    }
+    const paper = buildAttemptPaper(attempt, quiz, reproduced ? regenerated : recorded, safeJSONParse(result.answers, []));
+    const versionNumbers = await getVersionNumbers(paper.map(item => item.versionId));
+    
+    res.json({
+      resultId: result.id,
+      attemptId: attempt.id,
+      name: result.name,
+      email: result.email,
+      quizId: quiz.id,
+      quizName: result.assessment_track,
+      completionTime: result.completion_time ? new Date(result.completion_time).toISOString() : null,
+      achievedScore: result.achieved_score,
+      maxScore: result.max_score,
+      seed: attempt.random_seed || null,
+      randomization: getAttemptRandomization(attempt, quiz),
+      reproduced,
+      warning,
+      questions: paper.map(item => ({ ...item, version: versionNumbers[item.versionId] || null }))
+    });
   } catch (error) {
-    console.error('❌ Get quizzes error:', error);
-    res.status(500).json({ error: 'Failed to fetch quizzes', details: error.message });
+    console.error('Rebuild paper error:', error);
+    res.status(500).json({ error: 'Failed to rebuild paper' });
   }
 });
 
-// Get specific quiz by ID with randomization options
-app.get('/api/quizzes/:id', async (req, res) => {
+// Preview or apply a re-grade of a quiz's results after an answer-key correction (Admin).
+// Body: { questionId | bucketQuestionId, action, acceptedOptions, dryRun }. Without a question
+// every question is re-graded against its current key. dryRun defaults to true.
+app.post('/api/admin/quizzes/:id/regrade', authenticateAdmin, async (req, res) => {
   try {
-    const [quizzes] = await pool.execute(
-      'SELECT * FROM quizzes WHERE id = ?',
-      [req.params.id]
-    );
-    
+    const quizId = req.params.id;
+    const dryRun = req.body.dryRun !== false;
+    const [quizzes] = await pool.execute('SELECT id FROM quizzes WHERE id = ?', [quizId]);
     if (quizzes.length === 0) {
       return res.status(404).json({ error: 'Quiz not found' });
     }
     
-    const quiz = quizzes[0];
-    
-    // Get admin-configured randomization settings
-    let randomizationSettings = {
-      randomizeQuestions: false,
-      randomizeOptions: false,
-      questionLimit: null
-    };
-    
-    let proctoringSettings = {
-      enabled: false,
-      level: 'basic',
-      strictMode: false
-    };
-    
-    if (quiz.randomization_settings) {
-      try {
-        randomizationSettings = JSON.parse(quiz.randomization_settings);
-      } catch (e) {
-        console.warn('Failed to parse randomization settings:', e);
-      }
-    }
-    
-    if (quiz.proctoring_settings) {
-      try {
-        proctoringSettings = JSON.parse(quiz.proctoring_settings);
-      } catch (e) {
-        console.warn('Failed to parse proctoring settings:', e);
-      }
+    const target = await resolveRegradeTarget(quizId, req.body);
+    if (target.error) {
+      return res.status(target.status).json({ error: target.error });
     }
+    const details = {
+      questionKey: target.questionKey,
+      action: target.action,
+      acceptedAnswers: target.acceptedAnswers || null
+    };
     
-    // Use admin settings, but allow override via query parameters for testing
-    const randomizeQuestions = req.query.randomize_questions !== undefined ? 
-      req.query.randomize_questions === 'true' : randomizationSettings.randomizeQuestions;
-    const randomizeOptions = req.query.randomize_options !== undefined ? 
-      req.query.randomize_options === 'true' : randomizationSettings.randomizeOptions;
-    const questionLimit = req.query.question_limit ? 
-      parseInt(req.query.question_limit) : randomizationSettings.questionLimit;
-    const sessionId = req.query.session_id; // For tracking randomized versions
-    
-    console.log(`\n🎲 Quiz ${quiz.id} requested with randomization options:`);
-    console.log(`  Randomize Questions: ${randomizeQuestions}`);
-    console.log(`  Randomize Options: ${randomizeOptions}`);
-    console.log(`  Question Limit: ${questionLimit}`);
-    console.log(`  Session ID: ${sessionId}`);
-    
-    console.log(`\n🔍 Raw quiz data for ${quiz.id}:`);
-    console.log('Questions field type:', typeof quiz.questions);
-    console.log('Questions field length:', quiz.questions ? quiz.questions.length : 'null');
-    
-    // Safe substring check - only if it's a string
-    if (typeof quiz.questions === 'string') {
-      console.log('First 200 chars:', quiz.questions.substring(0, 200));
-    } else {
-      console.log('Questions is not a string:', quiz.questions);
+    if (dryRun) {
+      const plan = await planRegrade(quizId, target);
+      return res.json({
+        dryRun: true,
+        ...details,
+        resultsChecked: plan.resultsChecked,
+        resultsChanged: plan.changes.length,
+        changes: plan.changes.map(formatRegradeChange)
+      });
     }
     
+    let regradeId;
+    let plan;
+    const connection = await pool.getConnection();
     try {
-      let questions;
-      if (typeof quiz.questions === 'string') {
-        questions = JSON.parse(quiz.questions);
-      } else if (Array.isArray(quiz.questions)) {
-        questions = quiz.questions;
-      } else {
-        questions = [];
-      }
-      console.log('✅ Questions processed successfully, count:', questions.length);
-      
-      // Apply randomization if requested
-      if (randomizeQuestions || randomizeOptions || questionLimit) {
-        questions = randomizeQuiz(questions, randomizeQuestions, randomizeOptions, questionLimit);
-        console.log(`🎲 Applied randomization - Final question count: ${questions.length}`);
-        
-        // Log randomization to proctoring system if session_id provided
-        if (sessionId && (randomizeQuestions || randomizeOptions)) {
-          try {
-            // This would be logged to proctoring system
-            console.log(`📹 Logging randomization for session ${sessionId}`);
-          } catch (proctoringError) {
-            console.error('Failed to log randomization:', proctoringError);
-          }
-        }
-      }
+      await connection.beginTransaction();
+      plan = await planRegrade(quizId, target, connection, true);
       
-      res.json({
-        name: quiz.name,
-        description: quiz.description,
-        questions: questions,
-        pointsPerQuestion: quiz.points_per_question,
-        isCustom: quiz.is_custom,
-        randomizationApplied: {
-          questions: randomizeQuestions,
-          options: randomizeOptions,
-          questionLimit: questionLimit,
-          finalQuestionCount: questions.length
-        },
-        proctoringSettings: proctoringSettings
-      });
-    } catch (parseError) {
-      console.error(`❌ Failed to parse questions for quiz ${quiz.id}:`, parseError);
-      console.error('Raw questions data:', quiz.questions);
+      const [inserted] = await connection.execute(`
+        INSERT INTO result_regrades (quiz_id, question_key, action, details, results_changed, regraded_by)
+        VALUES (?, ?, ?, ?, ?, ?)
+      `, [quizId, target.questionKey, target.action, JSON.stringify(details), plan.changes.length, req.admin.username]);
+      regradeId = inserted.insertId;
       
-      // Return quiz with empty questions instead of error
-      console.log(`⚠️ Returning quiz ${quiz.id} with empty questions due to parsing error`);
-      res.json({
-        name: quiz.name,
-        description: quiz.description,
-        questions: [],
-        pointsPerQuestion: quiz.points_per_question || 1,
-        isCustom: quiz.is_custom,
-        randomizationApplied: {
-          questions: false,
-          options: false,
-          questionLimit: null,
-          finalQuestionCount: 0
-        },
-        proctoringSettings: proctoringSettings
+      for (const { result, regraded } of plan.changes) {
+        await connection.execute(`
+          INSERT INTO result_regrade_changes (
+            regrade_id, result_id, old_achieved_score, old_max_score, new_achieved_score, new_max_score, old_breakdown
+          ) VALUES (?, ?, ?, ?, ?, ?, ?)
+        `, [regradeId, result.id, result.achieved_score, result.max_score, regraded.achievedScore, regraded.maxScore,
+          JSON.stringify(safeJSONParse(result.answers, []))]);
+        await connection.execute(`
+          UPDATE assessment_results
+          SET achieved_score = ?, max_score = ?, percentage = ?, outcome = ?, grade = ?, answers = ?, scoring = ?,
+              section_scores = ?, regraded_at = NOW()
+          WHERE id = ?
+        `, [
+          regraded.achievedScore,
+          regraded.maxScore,
+          regraded.percentage,
+          regraded.outcome,
+          regraded.grade,
+          JSON.stringify(regraded.breakdown),
+          JSON.stringify(regraded.scoring),
+          regraded.sectionScores ? JSON.stringify(regraded.sectionScores) : null,
+          result.id
+        ]);
+        await revokeResultCertificates(connection, result.id, `Result re-graded (re-grade #${regradeId})`);
+      }
+      await connection.commit();
+    } catch (error) {
+      await connection.rollback();
+      throw error;
+    } finally {
+      connection.release();
+    }
+    
+    console.log(`🔁 Re-graded ${plan.changes.length} results of ${quizId} (${target.action}${target.questionKey ? ` on ${target.questionKey}` : ''})`);
+    res.json({
+      dryRun: false,
+      regradeId,
+      ...details,
+      resultsChecked: plan.resultsChecked,
+      resultsChanged: plan.changes.length,
+      changes: plan.changes.map(formatRegradeChange)
+    });
+  } catch (error) {
+    console.error('Re-grade error:', error);
+    res.status(500).json({ error: 'Failed to re-grade results' });
+  }
+});
+
+// Audit trail of a quiz's re-grades with the old and new score of every result changed (Admin)
+app.get('/api/admin/quizzes/:id/regrades', authenticateAdmin, async (req, res) => {
+  try {
+    const [regrades] = await pool.execute(
+      'SELECT * FROM result_regrades WHERE quiz_id = ? ORDER BY created_at DESC, id DESC',
+      [req.params.id]
+    );
+    const changesByRegrade = {};
+    if (regrades.length > 0) {
+      const [changes] = await pool.query(`
+        SELECT c.*, r.name, r.email FROM result_regrade_changes c
+        LEFT JOIN assessment_results r ON r.id = c.result_id
+        WHERE c.regrade_id IN (?) ORDER BY c.id
+      `, [regrades.map(regrade => regrade.id)]);
+      changes.forEach(change => {
+        (changesByRegrade[change.regrade_id] = changesByRegrade[change.regrade_id] || []).push({
+          resultId: change.result_id,
+          name: change.name,
+          email: change.email,
+          oldScore: { achievedScore: Number(change.old_achieved_score), maxScore: change.old_max_score },
+          newScore: { achievedScore: Number(change.new_achieved_score), maxScore: change.new_max_score }
+        });
       });
     }
+    
+    res.json(regrades.map(regrade => ({
+      id: regrade.id,
+      questionKey: regrade.question_key,
+      action: regrade.action,
+      details: safeJSONParse(regrade.details, {}),
+      resultsChanged: regrade.results_changed,
+      regradedBy: regrade.regraded_by,
+      createdAt: regrade.created_at,
+      changes: changesByRegrade[regrade.id] || []
+    })));
   } catch (error) {
-    console.error('Get quiz error:', error);
-    res.status(500).json({ error: 'Failed to fetch quiz' });
+    console.error('Re-grade history error:', error);
+    res.status(500).json({ error: 'Failed to fetch re-grade history' });
   }
 });
 
 // Submit assessment result
+// Finalizes an attempt: the score is recomputed from the stored answer key against the
+// attempt's frozen layout; client-sent scores are advisory only
 app.post('/api/results', async (req, res) => {
   try {
     const {
-      name,
-      email,
-      assessmentTrack,
+      attemptId,
       trackId,
-      loginDateTime,
-      completionTime,
       maxScore,
       achievedScore,
-      totalQuestions,
-      duration,
       answers
     } = req.body;
     
     // Validate required fields
-    if (!name || !email || !assessmentTrack || !trackId) {
-      return res.status(400).json({ error: 'Missing required fields' });
+    if (!attemptId) {
+      return res.status(400).json({ error: 'Attempt ID is required' });
     }
     
-    // Validate email format (LTIMindtree only)
-    if (!email.endsWith('@ltimindtree.com')) {
-      return res.status(400).json({ error: 'Only LTIMindtree email addresses are allowed' });
+    const found = await getAttemptWithQuiz(attemptId);
+    if (!found) {
+      return res.status(404).json({ error: 'Attempt not found' });
     }
     
-    await pool.execute(`
-      INSERT INTO assessment_results (
-        name, email, assessment_track, track_id, login_date_time, 
-        completion_time, max_score, achieved_score, total_questions, 
-        duration_seconds, answers
-      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
-    `, [
-      name, email, assessmentTrack, trackId, 
-      new Date(loginDateTime), new Date(completionTime),
-      maxScore, achievedScore, totalQuestions, duration,
-      JSON.stringify(answers)
-    ]);
+    const { quiz } = found;
+    if (trackId && trackId !== quiz.id) {
+      return res.status(400).json({ error: 'Attempt does not belong to this assessment track' });
+    }
+    
+    const delivery = parseSubmissionDelivery(req.body);
+    if (delivery.error) {
+      return res.status(400).json({ error: delivery.error });
+    }
+    
+    const attempt = found.attempt.status === 'in_progress' ?
+      await refreshAttemptSections(found.attempt, quiz) : found.attempt;
+    const result = attempt.status === 'in_progress' ?
+      await finalizeAttempt(attempt, quiz, { answers, achievedScore, maxScore, delivery }) : null;
+    
+    if (!result) {
+      const recorded = await waitForAttemptResult(attempt);
+      if (!recorded) {
+        return res.status(409).json({
+          error: 'This attempt was closed without a result. Please contact the assessment coordinator',
+          result: null
+        });
+      }
+      const [stored] = await pool.execute('SELECT submission_key FROM assessment_results WHERE id = ?', [recorded.resultId]);
+      if (delivery.key && stored.length > 0 && stored[0].submission_key === delivery.key) {
+        // A retry of a submission the server already stored
+        return res.json({
+          message: 'Result already saved',
+          duplicate: true,
+          ...recorded,
+          review: getReviewAvailability(quiz)
+        });
+      }
+      if (delivery.key) {
+        // The candidate's own submission arrived after the attempt was closed without it
+        await pool.execute(`
+          UPDATE assessment_results
+          SET late_submission_at = COALESCE(late_submission_at, NOW()), delivery_attempts = COALESCE(delivery_attempts, ?)
+          WHERE id = ?
+        `, [delivery.attempts, recorded.resultId]);
+        console.log(`📶 Late submission for attempt ${attempt.id} (${attempt.email}) after it was closed`);
+      }
+      return res.status(409).json({
+        error: 'Attempt has already been submitted',
+        result: recorded,
+        review: getReviewAvailability(quiz)
+      });
+    }
     
-    res.status(201).json({ message: 'Result saved successfully' });
+    res.status(201).json({
+      message: result.timeExpired ?
+        'Time limit exceeded. Result saved from the last answers received in time.' :
+        'Result saved successfully',
+      ...result,
+      review: getReviewAvailability(quiz)
+    });
   } catch (error) {
     console.error('Save result error:', error);
     res.status(500).json({ error: 'Failed to save result' });
@@ -1207,14 +4938,20 @@ app.post('/api/results', async (req, res) => {
 });
 
 // FIX 2: Update the /api/results endpoint with improved logging and robust parsing
+// Filter with ?quizId=, ?outcome=pass|fail|ungraded and ?grade=
 app.get('/api/results', authenticateAdmin, async (req, res) => {
   try {
+    const filters = getResultFilters(req.query);
+    if (filters.error) {
+      return res.status(400).json({ error: filters.error });
+    }
     const [results] = await pool.execute(`
-      SELECT * FROM assessment_results 
+      SELECT * FROM assessment_results ${filters.where}
       ORDER BY completion_time DESC
-    `);
+    `, filters.params);
     
     console.log(`📊 Processing ${results.length} results from database`);
+    const history = await getAttemptHistory();
     
     const formattedResults = results.map((result, index) => {
       console.log(`🔄 Processing result ${index + 1}/${results.length} for ${result.email}`);
@@ -1226,6 +4963,7 @@ app.get('/api/results', authenticateAdmin, async (req, res) => {
         console.log(`  Parsed answers count: ${Array.isArray(answers) ? answers.length : 'Invalid'}`);
       }
       return {
+        id: result.id,
         name: result.name,
         email: result.email,
         assessmentTrack: result.assessment_track,
@@ -1242,12 +4980,28 @@ app.get('/api/results', authenticateAdmin, async (req, res) => {
         achievedScore: result.achieved_score,
         totalQuestions: result.total_questions,
         duration: result.duration_seconds,
-        answers: answers
+        answers: answers,
+        clientReportedScore: result.client_reported_score,
+        scoreFlagged: !!result.score_flagged,
+        timeExpired: !!result.time_expired,
+        abandoned: !!result.abandoned,
+        scoring: safeJSONParse(result.scoring, null),
+        sectionScores: safeJSONParse(result.section_scores, null),
+        randomSeed: result.random_seed || null,
+        regradedAt: result.regraded_at || null,
+        percentage: result.percentage === null ? null : Number(result.percentage),
+        outcome: result.outcome,
+        grade: result.grade,
+        delivery: formatSubmissionDelivery(result),
+        ...(history[result.id] || {})
       };
     });
     
     console.log(`✅ Successfully processed ${formattedResults.length} results`);
-    res.json(formattedResults);
+    
+    // ?counted=true keeps one row per candidate and quiz: the attempt that counts
+    res.json(req.query.counted === 'true' ?
+      formattedResults.filter(result => result.counted) : formattedResults);
   } catch (error) {
     console.error('❌ Get results error:', error);
     res.status(500).json({ error: 'Failed to fetch results', details: error.message });
@@ -1258,13 +5012,18 @@ app.get('/api/results', authenticateAdmin, async (req, res) => {
 app.get('/api/results/recent', authenticateAdmin, async (req, res) => {
   try {
     const twoHoursAgo = new Date(Date.now() - (2 * 60 * 60 * 1000));
+    const filters = getResultFilters(req.query);
+    if (filters.error) {
+      return res.status(400).json({ error: filters.error });
+    }
     const [results] = await pool.execute(`
       SELECT * FROM assessment_results 
-      WHERE completion_time >= ?
+      ${filters.where ? `${filters.where} AND` : 'WHERE'} completion_time >= ?
       ORDER BY completion_time DESC
-    `, [twoHoursAgo]);
+    `, [...filters.params, twoHoursAgo]);
     
     console.log(`📊 Processing ${results.length} recent results from database`);
+    const history = await getAttemptHistory();
     
     const formattedResults = results.map((result, index) => {
       console.log(`🔄 Processing recent result ${index + 1}/${results.length} for ${result.email}`);
@@ -1276,6 +5035,7 @@ app.get('/api/results/recent', authenticateAdmin, async (req, res) => {
         console.log(`  Parsed answers count: ${Array.isArray(answers) ? answers.length : 'Invalid'}`);
       }
       return {
+        id: result.id,
         name: result.name,
         email: result.email,
         assessmentTrack: result.assessment_track,
@@ -1292,7 +5052,20 @@ app.get('/api/results/recent', authenticateAdmin, async (req, res) => {
         achievedScore: result.achieved_score,
         totalQuestions: result.total_questions,
         duration: result.duration_seconds,
-        answers: answers
+        answers: answers,
+        clientReportedScore: result.client_reported_score,
+        scoreFlagged: !!result.score_flagged,
+        timeExpired: !!result.time_expired,
+        abandoned: !!result.abandoned,
+        scoring: safeJSONParse(result.scoring, null),
+        sectionScores: safeJSONParse(result.section_scores, null),
+        randomSeed: result.random_seed || null,
+        regradedAt: result.regraded_at || null,
+        percentage: result.percentage === null ? null : Number(result.percentage),
+        outcome: result.outcome,
+        grade: result.grade,
+        delivery: formatSubmissionDelivery(result),
+        ...(history[result.id] || {})
       };
     });
     
@@ -1353,14 +5126,22 @@ async function cleanupCorruptedData() {
 }
 
 // Get statistics
+// Takes the same filters as GET /api/results and breaks results down by outcome and grade
 app.get('/api/stats', authenticateAdmin, async (req, res) => {
   try {
+    const filters = getResultFilters(req.query);
+    if (filters.error) {
+      return res.status(400).json({ error: filters.error });
+    }
+    
     const [participantCount] = await pool.execute(
-      'SELECT COUNT(DISTINCT email) as count FROM assessment_results'
+      `SELECT COUNT(DISTINCT email) as count FROM assessment_results ${filters.where}`,
+      filters.params
     );
     
     const [assessmentCount] = await pool.execute(
-      'SELECT COUNT(*) as count FROM assessment_results'
+      `SELECT COUNT(*) as count FROM assessment_results ${filters.where}`,
+      filters.params
     );
     
     const [quizCount] = await pool.execute(
@@ -1370,14 +5151,34 @@ app.get('/api/stats', authenticateAdmin, async (req, res) => {
     const [avgScore] = await pool.execute(`
       SELECT AVG((achieved_score / max_score) * 100) as avg_score 
       FROM assessment_results 
-      WHERE max_score > 0
-    `);
+      ${filters.where ? `${filters.where} AND` : 'WHERE'} max_score > 0
+    `, filters.params);
+    
+    const [outcomeRows] = await pool.execute(
+      `SELECT outcome, COUNT(*) as count FROM assessment_results ${filters.where} GROUP BY outcome`,
+      filters.params
+    );
+    const outcomes = { pass: 0, fail: 0, ungraded: 0 };
+    outcomeRows.forEach(row => {
+      outcomes[row.outcome || 'ungraded'] += row.count;
+    });
+    
+    const [gradeRows] = await pool.execute(`
+      SELECT grade, COUNT(*) as count, MIN(percentage) as min_percentage FROM assessment_results
+      ${filters.where ? `${filters.where} AND` : 'WHERE'} grade IS NOT NULL
+      GROUP BY grade ORDER BY min_percentage DESC
+    `, filters.params);
     
     res.json({
       totalParticipants: participantCount[0].count,
       totalAssessments: assessmentCount[0].count,
       totalQuizzes: quizCount[0].count,
-      averageScore: Math.round(avgScore[0].avg_score || 0)
+      averageScore: Math.round(avgScore[0].avg_score || 0),
+      outcomes,
+      // Share of results with an outcome that passed
+      passRate: outcomes.pass + outcomes.fail > 0 ?
+        Math.round((outcomes.pass / (outcomes.pass + outcomes.fail)) * 100) : null,
+      grades: gradeRows.map(row => ({ grade: row.grade, count: row.count }))
     });
   } catch (error) {
     console.error('Get stats error:', error);
@@ -1385,57 +5186,311 @@ app.get('/api/stats', authenticateAdmin, async (req, res) => {
   }
 });
 
-// Database health check and repair endpoint
-app.post('/api/admin/repair-database', authenticateAdmin, async (req, res) => {
+// =================== CERTIFICATES ===================
+// Passing results can be issued a certificate. Its details are copied from the result and
+// signed when it is issued, so verification can tell a genuine, unaltered certificate from
+// an edited one. Re-grading a result revokes its certificate; a new one can then be issued
+// if the result still passes.
+
+const CERTIFICATE_SECRET = process.env.CERTIFICATE_SECRET || JWT_SECRET;
+const CERTIFICATE_ID_PATTERN = /^CERT-[0-9A-F]{4}-[0-9A-F]{4}-[0-9A-F]{4}$/;
+
+function generateCertificateId() {
+  const hex = crypto.randomBytes(6).toString('hex').toUpperCase();
+  return `CERT-${hex.slice(0, 4)}-${hex.slice(4, 8)}-${hex.slice(8)}`;
+}
+
+// DATETIME columns keep whole seconds, so signed dates do too
+function toCertificateDate(value) {
+  const date = new Date(value);
+  date.setMilliseconds(0);
+  return date.toISOString();
+}
+
+// The signed content of a certificate row
+function fromCertificateRow(row) {
+  return {
+    certificateId: row.certificate_id,
+    resultId: row.result_id,
+    name: row.candidate_name,
+    email: row.email,
+    quizId: row.quiz_id,
+    quizName: row.quiz_name,
+    achievedScore: Number(row.achieved_score),
+    maxScore: row.max_score,
+    percentage: Number(row.percentage),
+    grade: row.grade || null,
+    completedAt: toCertificateDate(row.completed_at),
+    issuedAt: toCertificateDate(row.issued_at)
+  };
+}
+
+function signCertificate(row) {
+  return crypto.createHmac('sha256', CERTIFICATE_SECRET)
+    .update(stableStringify(fromCertificateRow(row)))
+    .digest('hex');
+}
+
+function isCertificateUnaltered(row) {
+  const expected = Buffer.from(signCertificate(row), 'hex');
+  const actual = Buffer.from(row.signature || '', 'hex');
+  return actual.length === expected.length && crypto.timingSafeEqual(actual, expected);
+}
+
+// What a certificate shows; the email address is left out of public responses
+function formatCertificate(row) {
+  const { email, resultId, ...certificate } = fromCertificateRow(row);
+  return {
+    ...certificate,
+    downloadPath: `/certificates/${row.certificate_id}`,
+    verifyPath: `/certificates/${row.certificate_id}/verify`
+  };
+}
+
+async function getCertificate(certificateId) {
+  const [rows] = await pool.execute('SELECT * FROM certificates WHERE certificate_id = ?', [certificateId]);
+  return rows[0] || null;
+}
+
+// The certificate of a passing result, issued on first request
+async function issueCertificate(result) {
+  // Read the result again under its row lock, so the check and the insert are atomic: two
+  // requests at once, or a re-grade revoking certificates, cannot leave two valid certificates
+  const connection = await pool.getConnection();
   try {
-    console.log('🔧 Starting database repair...');
-    let repairLog = [];
+    await connection.beginTransaction();
+    const [locked] = await connection.execute('SELECT * FROM assessment_results WHERE id = ? FOR UPDATE', [result.id]);
+    if (locked.length === 0) {
+      await connection.rollback();
+      return { status: 404, error: 'Result not found' };
+    }
+    const current = locked[0];
+    if (current.outcome !== 'pass') {
+      await connection.rollback();
+      return { status: 409, error: 'Certificates are only issued for passing results' };
+    }
     
-    // Check and fix NULL or empty JSON fields in assessment_results
-    const [invalidResults] = await pool.execute(`
-      SELECT id, answers FROM assessment_results 
-      WHERE answers IS NULL OR answers = '' OR answers = 'null'
-    `);
+    const [existing] = await connection.execute(
+      'SELECT * FROM certificates WHERE result_id = ? AND revoked_at IS NULL ORDER BY id DESC LIMIT 1',
+      [current.id]
+    );
+    if (existing.length > 0) {
+      await connection.commit();
+      return { certificate: existing[0] };
+    }
     
-    if (invalidResults.length > 0) {
-      repairLog.push(`Found ${invalidResults.length} results with invalid answers JSON`);
-      
-      // Fix them by setting to empty array
-      await pool.execute(`
-        UPDATE assessment_results 
-        SET answers = '[]' 
-        WHERE answers IS NULL OR answers = '' OR answers = 'null'
-      `);
-      
-      repairLog.push(`Fixed ${invalidResults.length} invalid answers fields`);
+    const row = {
+      certificate_id: generateCertificateId(),
+      result_id: current.id,
+      candidate_name: current.name,
+      email: current.email,
+      quiz_id: current.track_id,
+      quiz_name: current.assessment_track,
+      achieved_score: current.achieved_score,
+      max_score: current.max_score,
+      percentage: current.percentage,
+      grade: current.grade || null,
+      completed_at: new Date(toCertificateDate(current.completion_time)),
+      issued_at: new Date(toCertificateDate(new Date()))
+    };
+    row.signature = signCertificate(row);
+    
+    await connection.execute(`
+      INSERT INTO certificates (
+        certificate_id, result_id, candidate_name, email, quiz_id, quiz_name, achieved_score, max_score,
+        percentage, grade, completed_at, issued_at, signature
+      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `, [
+      row.certificate_id, row.result_id, row.candidate_name, row.email, row.quiz_id, row.quiz_name,
+      row.achieved_score, row.max_score, row.percentage, row.grade, row.completed_at, row.issued_at, row.signature
+    ]);
+    await connection.commit();
+    console.log(`🎓 Issued certificate ${row.certificate_id} for result ${current.id}`);
+    return { certificate: row };
+  } catch (error) {
+    await connection.rollback();
+    throw error;
+  } finally {
+    connection.release();
+  }
+}
+
+async function revokeResultCertificates(connection, resultId, reason) {
+  await connection.execute(`
+    UPDATE certificates SET revoked_at = NOW(), revoke_reason = ?
+    WHERE result_id = ? AND revoked_at IS NULL
+  `, [reason, resultId]);
+}
+
+function escapeHtml(value) {
+  return String(value === null || value === undefined ? '' : value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+function renderCertificate(certificate, verifyUrl) {
+  const completed = new Date(certificate.completedAt).toLocaleDateString('en-GB', {
+    day: 'numeric', month: 'long', year: 'numeric', timeZone: 'UTC'
+  });
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="UTF-8">
+  <title>Certificate ${escapeHtml(certificate.certificateId)}</title>
+  <style>
+    @page { size: A4 landscape; margin: 0; }
+    body { margin: 0; font-family: Georgia, 'Times New Roman', serif; background: #f0f2f5; color: #1f2937; }
+    .certificate { box-sizing: border-box; width: 297mm; height: 210mm; margin: 20px auto; padding: 24mm;
+      background: white; border: 12px solid #1e3a8a; outline: 2px solid #c9a227; outline-offset: -24px;
+      display: flex; flex-direction: column; align-items: center; justify-content: center; text-align: center; }
+    .issuer { letter-spacing: 4px; text-transform: uppercase; color: #1e3a8a; font-size: 14px; }
+    h1 { font-size: 44px; margin: 12px 0 28px; color: #1e3a8a; }
+    .name { font-size: 36px; font-style: italic; border-bottom: 1px solid #c9a227; padding: 0 40px 6px; margin: 12px 0 20px; }
+    .quiz { font-size: 26px; font-weight: bold; margin: 10px 0 20px; }
+    .score { font-size: 18px; }
+    .footer { margin-top: 40px; display: flex; gap: 60px; font-size: 13px; color: #4b5563; }
+    .footer strong { display: block; color: #1f2937; font-family: monospace; font-size: 15px; }
+    .actions { text-align: center; margin: 20px; font-family: sans-serif; }
+    .actions button { padding: 10px 24px; font-size: 15px; cursor: pointer; }
+    @media print {
+      body { background: white; }
+      .certificate { margin: 0; }
+      .actions { display: none; }
+    }
+  </style>
+</head>
+<body>
+  <div class="actions"><button onclick="window.print()">🖨️ Print / Save as PDF</button></div>
+  <div class="certificate">
+    <div class="issuer">LTIMindtree Assessments</div>
+    <h1>Certificate of Completion</h1>
+    <div>This certifies that</div>
+    <div class="name">${escapeHtml(certificate.name)}</div>
+    <div>has successfully passed</div>
+    <div class="quiz">${escapeHtml(certificate.quizName)}</div>
+    <div class="score">
+      with a score of ${escapeHtml(certificate.achievedScore)}/${escapeHtml(certificate.maxScore)}
+      (${escapeHtml(certificate.percentage)}%)${certificate.grade ? ` — ${escapeHtml(certificate.grade)}` : ''}
+    </div>
+    <div class="footer">
+      <div>Completed<strong>${escapeHtml(completed)}</strong></div>
+      <div>Certificate ID<strong>${escapeHtml(certificate.certificateId)}</strong></div>
+      <div>Verify at<strong>${escapeHtml(verifyUrl)}</strong></div>
+    </div>
+  </div>
+</body>
+</html>`;
+}
+
+// Issue (or fetch) the certificate of a passed attempt
+app.post('/api/attempts/:attemptId/certificate', async (req, res) => {
+  try {
+    const found = await getAttemptWithQuiz(req.params.attemptId);
+    if (!found) {
+      return res.status(404).json({ error: 'Attempt not found' });
     }
     
-    // Check for any other JSON field issues
-    const [invalidQuizzes] = await pool.execute(`
-      SELECT id, questions FROM quizzes 
-      WHERE questions IS NULL OR questions = '' OR questions = 'null'
-    `);
+    const { attempt } = found;
+    if (attempt.status === 'in_progress' || !attempt.result_id) {
+      return res.status(409).json({ error: 'A certificate can be issued once the attempt has been submitted' });
+    }
     
-    if (invalidQuizzes.length > 0) {
-      repairLog.push(`Found ${invalidQuizzes.length} quizzes with invalid questions JSON`);
-      
-      await pool.execute(`
-        UPDATE quizzes 
-        SET questions = '[]' 
-        WHERE questions IS NULL OR questions = '' OR questions = 'null'
-      `);
-      
-      repairLog.push(`Fixed ${invalidQuizzes.length} invalid questions fields`);
+    const [results] = await pool.execute('SELECT * FROM assessment_results WHERE id = ?', [attempt.result_id]);
+    if (results.length === 0) {
+      return res.status(404).json({ error: 'The result of this attempt is no longer available' });
     }
     
-    console.log('✅ Database repair completed');
-    res.json({ 
-      message: 'Database repair completed',
-      repairLog: repairLog
-    });
+    const issued = await issueCertificate(results[0]);
+    if (issued.error) {
+      return res.status(issued.status).json({ error: issued.error });
+    }
+    res.json({ certificate: formatCertificate(issued.certificate) });
+  } catch (error) {
+    console.error('Issue certificate error:', error);
+    res.status(500).json({ error: 'Failed to issue certificate' });
+  }
+});
+
+// Issue (or fetch) the certificate of a passing result (Admin)
+app.post('/api/admin/results/:id/certificate', authenticateAdmin, async (req, res) => {
+  try {
+    const [results] = await pool.execute('SELECT * FROM assessment_results WHERE id = ?', [req.params.id]);
+    if (results.length === 0) {
+      return res.status(404).json({ error: 'Result not found' });
+    }
+    
+    const issued = await issueCertificate(results[0]);
+    if (issued.error) {
+      return res.status(issued.status).json({ error: issued.error });
+    }
+    res.json({ certificate: { ...formatCertificate(issued.certificate), email: issued.certificate.email } });
+  } catch (error) {
+    console.error('Admin issue certificate error:', error);
+    res.status(500).json({ error: 'Failed to issue certificate' });
+  }
+});
+
+// Printable certificate; the ID printed on it is what grants access
+app.get('/api/certificates/:certificateId', async (req, res) => {
+  try {
+    const certificateId = req.params.certificateId.toUpperCase();
+    const row = CERTIFICATE_ID_PATTERN.test(certificateId) ? await getCertificate(certificateId) : null;
+    if (!row) {
+      return res.status(404).json({ error: 'Certificate not found' });
+    }
+    if (row.revoked_at) {
+      return res.status(410).json({ error: 'This certificate has been revoked' });
+    }
+    if (!isCertificateUnaltered(row)) {
+      return res.status(409).json({ error: 'This certificate failed verification' });
+    }
+    
+    const verifyUrl = `${req.protocol}://${req.get('host')}/api/certificates/${certificateId}/verify`;
+    res.type('html').send(renderCertificate(formatCertificate(row), verifyUrl));
+  } catch (error) {
+    console.error('Download certificate error:', error);
+    res.status(500).json({ error: 'Failed to load certificate' });
+  }
+});
+
+// Public check that a certificate ID is genuine, unaltered and still valid
+app.get('/api/certificates/:certificateId/verify', async (req, res) => {
+  try {
+    const certificateId = req.params.certificateId.toUpperCase();
+    if (!CERTIFICATE_ID_PATTERN.test(certificateId)) {
+      return res.status(400).json({ valid: false, status: 'invalid', error: 'Not a valid certificate ID' });
+    }
+    
+    const row = await getCertificate(certificateId);
+    if (!row) {
+      return res.status(404).json({ valid: false, status: 'not_found', error: 'No certificate was issued with this ID' });
+    }
+    if (!isCertificateUnaltered(row)) {
+      console.warn(`⚠️ Certificate ${certificateId} failed its signature check`);
+      return res.json({
+        valid: false,
+        status: 'altered',
+        message: 'The stored certificate details do not match what was issued'
+      });
+    }
+    
+    const certificate = formatCertificate(row);
+    if (row.revoked_at) {
+      return res.json({
+        valid: false,
+        status: 'revoked',
+        message: row.revoke_reason || 'This certificate has been revoked',
+        revokedAt: row.revoked_at,
+        certificate
+      });
+    }
+    res.json({ valid: true, status: 'valid', certificate });
   } catch (error) {
-    console.error('Database repair error:', error);
-    res.status(500).json({ error: 'Database repair failed', details: error.message });
+    console.error('Verify certificate error:', error);
+    res.status(500).json({ error: 'Failed to verify certificate' });
   }
 });
 
@@ -1484,6 +5539,7 @@ app.get('/api/admin/buckets/:id', authenticateAdmin, async (req, res) => {
       questions: questions.map(q => ({
         ...q,
         options: safeJSONParse(q.options, []),
+        answer_key: getBucketAnswerKey(q),
         tags: q.tags ? safeJSONParse(q.tags, []) : []
       }))
     });
@@ -1549,28 +5605,28 @@ app.put('/api/admin/buckets/:id', authenticateAdmin, async (req, res) => {
 app.post('/api/admin/buckets/:id/questions', authenticateAdmin, async (req, res) => {
   try {
     const bucketId = req.params.id;
-    let { question_text, options, correct_answer, difficulty, points, explanation, tags } = req.body;
+    let { question_text, difficulty, points, explanation, tags } = req.body;
     if (!question_text || typeof question_text !== 'string' || !question_text.trim()) {
       return res.status(400).json({ error: 'Question text is required and must be a non-empty string.' });
     }
-    if (!Array.isArray(options) || options.length < 2) {
-      return res.status(400).json({ error: 'Options must be an array with at least 2 items.' });
-    }
-    if (typeof correct_answer !== 'number' || correct_answer < 0 || correct_answer >= options.length) {
-      return res.status(400).json({ error: 'Correct answer index is invalid.' });
+    const answer = toBucketAnswerColumns(req.body);
+    if (answer.error) {
+      return res.status(400).json({ error: `${answer.error}.` });
     }
     if (!difficulty || !['easy', 'medium', 'hard'].includes(difficulty)) {
       return res.status(400).json({ error: 'Difficulty must be one of: easy, medium, hard.' });
     }
     if (!Array.isArray(tags)) tags = [];
     const [result] = await pool.execute(`
-      INSERT INTO questions (bucket_id, question_text, options, correct_answer, difficulty, points, explanation, tags)
-      VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+      INSERT INTO questions (bucket_id, question_text, question_type, options, correct_answer, answer_key, difficulty, points, explanation, tags)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
     `, [
       bucketId,
       question_text.trim(),
-      JSON.stringify(options),
-      correct_answer,
+      answer.question_type,
+      answer.options,
+      answer.correct_answer,
+      answer.answer_key,
       difficulty,
       points || 1,
       explanation ? explanation.trim() : '',
@@ -1590,16 +5646,23 @@ app.post('/api/admin/buckets/:id/questions', authenticateAdmin, async (req, res)
 app.put('/api/admin/questions/:id', authenticateAdmin, async (req, res) => {
   try {
     const questionId = req.params.id;
-    const { question_text, options, correct_answer, difficulty, points, explanation, tags, is_active } = req.body;
+    const { question_text, difficulty, points, explanation, tags, is_active } = req.body;
+    const [existing] = await pool.execute('SELECT * FROM questions WHERE id = ?', [questionId]);
+    const answer = toBucketAnswerColumns(req.body, existing[0] || null);
+    if (answer.error) {
+      return res.status(400).json({ error: `${answer.error}.` });
+    }
     const [result] = await pool.execute(`
       UPDATE questions 
-      SET question_text = ?, options = ?, correct_answer = ?, difficulty = ?, 
+      SET question_text = ?, question_type = ?, options = ?, correct_answer = ?, answer_key = ?, difficulty = ?, 
           points = ?, explanation = ?, tags = ?, is_active = ?
       WHERE id = ?
     `, [
       question_text,
-      JSON.stringify(options),
-      correct_answer,
+      answer.question_type,
+      answer.options,
+      answer.correct_answer,
+      answer.answer_key,
       difficulty,
       points || 1,
       explanation || '',
@@ -1610,8 +5673,10 @@ app.put('/api/admin/questions/:id', authenticateAdmin, async (req, res) => {
     if (result.affectedRows === 0) {
       return res.status(404).json({ error: 'Question not found' });
     }
-    const [question] = await pool.execute('SELECT bucket_id FROM questions WHERE id = ?', [questionId]);
+    const [question] = await pool.execute('SELECT * FROM questions WHERE id = ?', [questionId]);
     if (question.length > 0) {
+      await recordQuestionEdit(pool, `bucket:${questionId}`, bucketQuestionToQuizQuestion(existing[0]),
+        bucketQuestionToQuizQuestion(question[0]), req.admin.username);
       await updateBucketCounts(question[0].bucket_id);
     }
     res.json({ message: 'Question updated successfully' });
@@ -1621,11 +5686,45 @@ app.put('/api/admin/questions/:id', authenticateAdmin, async (req, res) => {
   }
 });
 
-// Delete question from bucket
+// Version history of a bucket question (Admin)
+app.get('/api/admin/questions/:id/versions', authenticateAdmin, async (req, res) => {
+  try {
+    const questionKey = `bucket:${req.params.id}`;
+    const [rows] = await pool.execute('SELECT * FROM questions WHERE id = ?', [req.params.id]);
+    // Questions never edited since versioning started get their current content as a first version
+    if (rows.length > 0) {
+      await recordQuestionVersion(pool, questionKey, bucketQuestionToQuizQuestion(rows[0]));
+    }
+    const versions = await getQuestionHistory(questionKey);
+    if (versions.length === 0) {
+      return res.status(404).json({ error: 'Question not found' });
+    }
+    res.json({ questionKey, versions });
+  } catch (error) {
+    console.error('Question history error:', error);
+    res.status(500).json({ error: 'Failed to fetch question history' });
+  }
+});
+
+// Delete question from bucket. Questions still linked from quizzes cannot be deleted;
+// deactivate them instead.
 app.delete('/api/admin/questions/:id', authenticateAdmin, async (req, res) => {
   try {
     const questionId = req.params.id;
     const [question] = await pool.execute('SELECT bucket_id FROM questions WHERE id = ?', [questionId]);
+    const [linkedQuizzes] = await pool.execute(`
+      SELECT DISTINCT qz.id, qz.name
+      FROM quiz_questions qq
+      JOIN quizzes qz ON qz.id = qq.quiz_id
+      WHERE qq.bucket_question_id = ?
+      ORDER BY qz.name
+    `, [questionId]);
+    if (linkedQuizzes.length > 0) {
+      return res.status(409).json({
+        error: `This question is used by ${linkedQuizzes.length} quiz(zes). Remove it from them or deactivate it instead.`,
+        quizzes: linkedQuizzes
+      });
+    }
     const [result] = await pool.execute('DELETE FROM questions WHERE id = ?', [questionId]);
     if (result.affectedRows === 0) {
       return res.status(404).json({ error: 'Question not found' });
@@ -1635,6 +5734,10 @@ app.delete('/api/admin/questions/:id', authenticateAdmin, async (req, res) => {
     }
     res.json({ message: 'Question deleted successfully' });
   } catch (error) {
+    // Linked by a quiz between the check and the delete
+    if (error.code === 'ER_ROW_IS_REFERENCED_2') {
+      return res.status(409).json({ error: 'This question is used by a quiz. Remove it from the quiz or deactivate it instead.' });
+    }
     console.error('Delete question error:', error);
     res.status(500).json({ error: 'Failed to delete question' });
   }
@@ -1657,42 +5760,97 @@ app.post('/api/admin/quizzes/from-bucket', authenticateAdmin, async (req, res) =
       selectedQuestions
     } = req.body;
 
-    // ...existing code to select questions from bucket...
-    // (Assume selectedQuestions and quizQuestions are prepared above)
-
-    // Prepare quizQuestions array if not already
-    const quizQuestions = (selectedQuestions || []).map(q => ({
-      ...q,
-      options: JSON.parse(q.options),
-      correct: q.correct_answer,
-      points: q.points
-    }));
+    // Without a hand-picked selection the quiz keeps the counts as a blueprint and
+    // draws a fresh set of questions for every attempt
+    const liveDraw = !Array.isArray(selectedQuestions) || selectedQuestions.length === 0;
+    const draw = validateBucketDraw({
+      bucketId, easyCount, mediumCount, hardCount,
+      questionCount: totalQuestions || (liveDraw ? 0 : selectedQuestions.length)
+    }, 'The quiz');
+    if (draw.error) {
+      return res.status(400).json({ error: `${draw.error}.` });
+    }
+    
+    if (liveDraw) {
+      const [buckets] = await pool.execute('SELECT name FROM question_buckets WHERE id = ?', [draw.bucketId]);
+      if (buckets.length === 0) {
+        return res.status(404).json({ error: 'Bucket not found' });
+      }
+      const drawn = await drawBucketQuestions({
+        bucket_id: draw.bucketId,
+        bucket_name: buckets[0].name,
+        easy_count: draw.easyCount,
+        medium_count: draw.mediumCount,
+        hard_count: draw.hardCount,
+        total_questions: draw.totalQuestions
+      });
+      if (drawn.error) {
+        return res.status(400).json({ error: `${drawn.error}.` });
+      }
+    }
 
-    // Create the quiz
-    await pool.execute(`
-      INSERT INTO quizzes (id, name, description, questions, points_per_question, is_custom, randomization_settings, proctoring_settings)
-      VALUES (?, ?, ?, ?, ?, ?, ?, ?)
-    `, [
-      quizId,
-      quizName,
-      description,
-      JSON.stringify(quizQuestions),
-      1, // Default points per question
-      true,
-      JSON.stringify(randomization_settings || {}),
-      JSON.stringify(proctoring_settings || {})
-    ]);
+    // Hand-picked questions that belong to the bucket are linked, so later fixes to the
+    // bucket question reach the quiz; anything else is copied into the quiz
+    let quizQuestions = [];
+    if (!liveDraw) {
+      const [bucketRows] = await pool.execute('SELECT id FROM questions WHERE bucket_id = ?', [draw.bucketId]);
+      const bucketQuestionIds = new Set(bucketRows.map(row => row.id));
+      quizQuestions = assignQuestionIds(selectedQuestions.map(q => {
+        const bucketQuestionId = parseInt(q.bucketQuestionId || q.id) || null;
+        return {
+          ...q,
+          // The row ID of a bucket question is not a quiz question ID
+          id: null,
+          bucketQuestionId,
+          linked: bucketQuestionIds.has(bucketQuestionId),
+          question: q.question || q.question_text,
+          options: safeJSONParse(q.options, []),
+          ...getBucketAnswerKey(q),
+          points: q.points
+        };
+      }));
+    }
 
-    // Record the bucket mapping
-    await pool.execute(`
-      INSERT INTO quiz_bucket_mappings (quiz_id, bucket_id, easy_count, medium_count, hard_count, total_questions)
-      VALUES (?, ?, ?, ?, ?, ?)
-    `, [quizId, bucketId, easyCount, mediumCount, hardCount, totalQuestions]);
+    // Create the quiz, its questions and the bucket mapping (the blueprint of a live-draw quiz)
+    const connection = await pool.getConnection();
+    try {
+      await connection.beginTransaction();
+      await connection.execute(`
+        INSERT INTO quizzes (
+          id, name, description, points_per_question, is_custom,
+          randomization_settings, proctoring_settings, assessment_settings
+        )
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+      `, [
+        quizId,
+        quizName,
+        description,
+        1, // Default points per question
+        true,
+        JSON.stringify(randomization_settings || {}),
+        JSON.stringify(proctoring_settings || {}),
+        JSON.stringify({ questionSource: liveDraw ? 'blueprint' : 'quiz' })
+      ]);
+      await saveQuizQuestions(connection, quizId, quizQuestions);
+      await connection.execute(`
+        INSERT INTO quiz_bucket_mappings (quiz_id, bucket_id, easy_count, medium_count, hard_count, total_questions)
+        VALUES (?, ?, ?, ?, ?, ?)
+      `, [quizId, draw.bucketId, draw.easyCount, draw.mediumCount, draw.hardCount, draw.totalQuestions]);
+      await connection.commit();
+    } catch (error) {
+      await connection.rollback();
+      throw error;
+    } finally {
+      connection.release();
+    }
 
     res.json({ 
-      message: 'Quiz created successfully from bucket',
+      message: liveDraw ?
+        'Quiz created successfully from bucket. Questions are drawn for each attempt.' :
+        'Quiz created successfully from bucket',
       quizId,
-      questionsSelected: selectedQuestions ? selectedQuestions.length : 0
+      liveDraw,
+      questionsSelected: liveDraw ? draw.totalQuestions : selectedQuestions.length
     });
   } catch (error) {
     console.error('Create quiz from bucket error:', error);
@@ -1782,27 +5940,35 @@ app.post('/api/admin/send-invitations', authenticateAdmin, async (req, res) => {
     if (!quizId || !participants || !Array.isArray(participants)) {
       return res.status(400).json({ error: 'Quiz ID and participants array are required' });
     }
-    const [quiz] = await pool.execute('SELECT name FROM quizzes WHERE id = ?', [quizId]);
+    const [quiz] = await pool.execute('SELECT name, assessment_settings FROM quizzes WHERE id = ?', [quizId]);
     if (quiz.length === 0) {
       return res.status(404).json({ error: 'Quiz not found' });
     }
     const quizName = quiz[0].name;
+    const { startWindowMinutes } = getQuizSchedule(quiz[0]);
     const results = [];
     for (const participant of participants) {
       try {
         const accessToken = generateAccessToken(participant.email, quizId);
         const personalizedLink = `${assessmentLink}&token=${accessToken}`;
+        // "Must start by": set per participant, or the quiz's start window from now
+        const startBy = participant.startBy ? new Date(participant.startBy) :
+          startWindowMinutes ? new Date(Date.now() + startWindowMinutes * 60 * 1000) : null;
+        if (startBy && isNaN(startBy)) {
+          throw new Error('Invalid start-by time');
+        }
         await pool.execute(`
-          INSERT INTO quiz_participants (quiz_id, name, email, department, access_token, invited_at)
-          VALUES (?, ?, ?, ?, ?, NOW())
-          ON DUPLICATE KEY UPDATE access_token = VALUES(access_token), invited_at = NOW()
-        `, [quizId, participant.name, participant.email, participant.department || '', accessToken]);
+          INSERT INTO quiz_participants (quiz_id, name, email, department, access_token, invited_at, start_by)
+          VALUES (?, ?, ?, ?, ?, NOW(), ?)
+          ON DUPLICATE KEY UPDATE access_token = VALUES(access_token), invited_at = NOW(), start_by = VALUES(start_by)
+        `, [quizId, participant.name, participant.email, participant.department || '', accessToken, startBy]);
         // Simulate email sending
         results.push({
           email: participant.email,
           status: 'sent',
           accessToken: accessToken,
-          personalizedLink: personalizedLink
+          personalizedLink: personalizedLink,
+          startBy: startBy ? startBy.toISOString() : null
         });
       } catch (error) {
         results.push({
@@ -1833,14 +5999,45 @@ app.post('/api/admin/send-invitations', authenticateAdmin, async (req, res) => {
 app.get('/api/admin/quizzes/:id/participants', authenticateAdmin, async (req, res) => {
   try {
     const quizId = req.params.id;
+    const [quizzes] = await pool.execute('SELECT * FROM quizzes WHERE id = ?', [quizId]);
+    if (quizzes.length === 0) {
+      return res.status(404).json({ error: 'Quiz not found' });
+    }
+    const policy = getRetakePolicy(quizzes[0]);
+    
     const [participants] = await pool.execute(`
-      SELECT qp.*, ar.completion_time, ar.achieved_score, ar.max_score
-      FROM quiz_participants qp
-      LEFT JOIN assessment_results ar ON qp.email = ar.email AND qp.quiz_id = ar.track_id
-      WHERE qp.quiz_id = ?
-      ORDER BY qp.invited_at DESC
+      SELECT * FROM quiz_participants
+      WHERE quiz_id = ?
+      ORDER BY invited_at DESC
     `, [quizId]);
-    res.json(participants);
+    const [results] = await pool.execute(`
+      SELECT id, email, completion_time, achieved_score, max_score, outcome, grade
+      FROM assessment_results
+      WHERE track_id = ?
+      ORDER BY completion_time, id
+    `, [quizId]);
+    
+    // One row per participant with the score that counts under the quiz's retake rules.
+    // An average of attempts is not a stored result, so its outcome uses the current pass mark.
+    res.json(participants.map(participant => {
+      const attempts = results.filter(result => result.email.toLowerCase() === participant.email.toLowerCase());
+      const counted = attempts.length > 0 ? getCountedScore(attempts, policy.countedAttempt) : null;
+      const countedResult = counted && policy.countedAttempt !== 'average' ?
+        attempts.find(result => result.id === counted.resultId) :
+        counted && getResultOutcome(counted.achievedScore, counted.maxScore, getGradingScheme(quizzes[0]));
+      return {
+        ...participant,
+        completion_time: attempts.length > 0 ? attempts[attempts.length - 1].completion_time : null,
+        achieved_score: counted ? counted.achievedScore : null,
+        max_score: counted ? counted.maxScore : null,
+        outcome: countedResult ? countedResult.outcome : null,
+        grade: countedResult ? countedResult.grade : null,
+        attempts_used: attempts.length,
+        attempts_remaining: policy.maxAttempts === null ? null : Math.max(0, policy.maxAttempts - attempts.length),
+        counted_attempt: policy.countedAttempt,
+        attempt_scores: attempts.map(result => ({ achievedScore: result.achieved_score, maxScore: result.max_score }))
+      };
+    }));
   } catch (error) {
     console.error('Get participants error:', error);
     res.status(500).json({ error: 'Failed to get participants' });
@@ -1852,7 +6049,8 @@ app.get('/api/verify-access/:token', async (req, res) => {
   try {
     const token = req.params.token;
     const [participants] = await pool.execute(`
-      SELECT qp.*, q.name as quiz_name, q.questions, q.proctoring_settings, q.randomization_settings
+      SELECT qp.*, q.name as quiz_name, q.points_per_question, q.proctoring_settings, q.randomization_settings,
+             q.assessment_settings
       FROM quiz_participants qp
       JOIN quizzes q ON qp.quiz_id = q.id
       WHERE qp.access_token = ? AND qp.expires_at > NOW()
@@ -1861,20 +6059,38 @@ app.get('/api/verify-access/:token', async (req, res) => {
       return res.status(404).json({ error: 'Invalid or expired access token' });
     }
     const participant = participants[0];
+    const availability = getQuizAvailability(participant);
+    if (availability.status === 'closed') {
+      return res.status(403).json({ error: 'This assessment has closed', availability });
+    }
+    if (participant.start_by && new Date(participant.start_by) < new Date()) {
+      return res.status(403).json({
+        error: `Your window to start this assessment ended at ${new Date(participant.start_by).toISOString()}`,
+        startBy: new Date(participant.start_by).toISOString()
+      });
+    }
+    // Only a summary: the questions come from the attempt the candidate starts, which
+    // starts the timer and fixes the question order
+    const delivery = (await getQuizDeliverySummaries([{ ...participant, id: participant.quiz_id }]))[participant.quiz_id];
     res.json({
       valid: true,
+      availability,
       participant: {
         name: participant.name,
         email: participant.email,
         quizId: participant.quiz_id,
-        quizName: participant.quiz_name
+        quizName: participant.quiz_name,
+        startBy: participant.start_by ? new Date(participant.start_by).toISOString() : null
       },
       quiz: {
         id: participant.quiz_id,
         name: participant.quiz_name,
-        questions: JSON.parse(participant.questions || '[]'),
-        proctoringSettings: JSON.parse(participant.proctoring_settings || '{}'),
-        randomizationSettings: JSON.parse(participant.randomization_settings || '{}')
+        questionCount: delivery.questionCount,
+        pointsPerQuestion: participant.points_per_question || 1,
+        timeLimitMinutes: delivery.timeLimitMinutes,
+        sections: delivery.sections,
+        proctoringSettings: safeJSONParse(participant.proctoring_settings, {}),
+        randomizationSettings: safeJSONParse(participant.randomization_settings, {})
       }
     });
   } catch (error) {
@@ -1901,19 +6117,34 @@ app.post('/api/quizzes', authenticateAdmin, async (req, res) => {
       return res.status(400).json({ error: 'Quiz ID, name, and questions array are required' });
     }
     
-    await pool.execute(`
-      INSERT INTO quizzes (id, name, description, questions, points_per_question, is_custom, randomization_settings, proctoring_settings)
-      VALUES (?, ?, ?, ?, ?, ?, ?, ?)
-    `, [
-      id,
-      name,
-      description || '',
-      JSON.stringify(questions),
-      pointsPerQuestion || 1,
-      true,
-      randomizationSettings ? JSON.stringify(randomizationSettings) : null,
-      proctoringSettings ? JSON.stringify(proctoringSettings) : null
-    ]);
+    const normalized = normalizeQuizQuestions(questions);
+    if (normalized.error) {
+      return res.status(400).json({ error: normalized.error });
+    }
+    
+    const connection = await pool.getConnection();
+    try {
+      await connection.beginTransaction();
+      await connection.execute(`
+        INSERT INTO quizzes (id, name, description, points_per_question, is_custom, randomization_settings, proctoring_settings)
+        VALUES (?, ?, ?, ?, ?, ?, ?)
+      `, [
+        id,
+        name,
+        description || '',
+        pointsPerQuestion || 1,
+        true,
+        randomizationSettings ? JSON.stringify(randomizationSettings) : null,
+        proctoringSettings ? JSON.stringify(proctoringSettings) : null
+      ]);
+      await saveQuizQuestions(connection, id, normalized.questions.map(({ linked, ...question }) => question));
+      await connection.commit();
+    } catch (error) {
+      await connection.rollback();
+      throw error;
+    } finally {
+      connection.release();
+    }
     
     res.status(201).json({ message: 'Quiz created successfully', quizId: id });
   } catch (error) {
@@ -1932,29 +6163,423 @@ app.put('/api/quizzes/:id', authenticateAdmin, async (req, res) => {
     const quizId = req.params.id;
     const { name, description, questions, pointsPerQuestion, randomizationSettings, proctoringSettings } = req.body;
     
-    const [result] = await pool.execute(`
+    if (!Array.isArray(questions)) {
+      return res.status(400).json({ error: 'Questions array is required' });
+    }
+    
+    const result = await withQuizLock(quizId, async connection => {
+      const current = await loadQuizQuestions(quizId, connection);
+      const normalized = normalizeQuizQuestions(questions, current);
+      if (normalized.error) {
+        return { status: 400, error: normalized.error };
+      }
+      
+      // A question stays linked to its bucket question only if it already was
+      const linkedIds = new Set(current.filter(question => question.linked).map(question => question.id));
+      const saved = normalized.questions.map(({ linked, ...question }) =>
+        linked && linkedIds.has(question.id) ? { ...question, linked } : question);
+      await saveQuizQuestions(connection, quizId, saved);
+      
+      // Quiz-local questions whose content changed get a new version
+      const currentById = new Map(current.map(question => [question.id, question]));
+      for (const question of saved) {
+        const before = currentById.get(question.id);
+        if (!question.linked && before && !isSameQuestionContent(before, question)) {
+          await recordQuestionEdit(connection, getQuizQuestionVersionKey(quizId, question.id), before, question,
+            req.admin.username);
+        }
+      }
+      await connection.execute(`
+        UPDATE quizzes 
+        SET name = ?, description = ?, points_per_question = ?, 
+            randomization_settings = ?, proctoring_settings = ?
+        WHERE id = ?
+      `, [
+        name,
+        description,
+        pointsPerQuestion,
+        randomizationSettings ? JSON.stringify(randomizationSettings) : null,
+        proctoringSettings ? JSON.stringify(proctoringSettings) : null,
+        quizId
+      ]);
+      return {};
+    });
+    if (result.error) {
+      return res.status(result.status).json({ error: result.error });
+    }
+    
+    res.json({ message: 'Quiz updated successfully' });
+  } catch (error) {
+    console.error('Update quiz error:', error);
+    res.status(500).json({ error: 'Failed to update quiz' });
+  }
+});
+
+// Update quiz settings from the admin settings modal (Admin)
+app.put('/api/quizzes/:id/settings', authenticateAdmin, async (req, res) => {
+  try {
+    const quizId = req.params.id;
+    const {
+      randomizeQuestions,
+      randomizeOptions,
+      questionLimit,
+      proctoringEnabled,
+      proctoringLevel,
+      strictMode,
+      timeLimitMinutes,
+      scoringPolicy,
+      adaptive,
+      retakePolicy,
+      schedule,
+      reviewPolicy,
+      gradingScheme,
+      accessPolicy
+    } = req.body;
+    
+    const [quizzes] = await pool.execute('SELECT assessment_settings FROM quizzes WHERE id = ?', [quizId]);
+    if (quizzes.length === 0) {
+      return res.status(404).json({ error: 'Quiz not found' });
+    }
+    
+    const timeLimit = timeLimitMinutes === null || timeLimitMinutes === '' || timeLimitMinutes === undefined ?
+      null : Number(timeLimitMinutes);
+    if (timeLimit !== null && (!Number.isInteger(timeLimit) || timeLimit < 1 || timeLimit > 600)) {
+      return res.status(400).json({ error: 'Time limit must be a whole number of minutes between 1 and 600, or empty for no limit' });
+    }
+    
+    const currentSettings = safeJSONParse(quizzes[0].assessment_settings, {});
+    const scoring = validateScoringPolicy(scoringPolicy || currentSettings.scoringPolicy);
+    if (scoring.error) {
+      return res.status(400).json({ error: scoring.error });
+    }
+    const adaptiveMode = validateAdaptiveSettings(adaptive || currentSettings.adaptive);
+    if (adaptiveMode.error) {
+      return res.status(400).json({ error: adaptiveMode.error });
+    }
+    const retakes = validateRetakePolicy(retakePolicy || currentSettings.retakePolicy);
+    if (retakes.error) {
+      return res.status(400).json({ error: retakes.error });
+    }
+    const availabilityWindow = validateSchedule(schedule || currentSettings.schedule);
+    if (availabilityWindow.error) {
+      return res.status(400).json({ error: availabilityWindow.error });
+    }
+    const review = validateReviewPolicy(reviewPolicy || currentSettings.reviewPolicy, availabilityWindow.schedule);
+    if (review.error) {
+      return res.status(400).json({ error: review.error });
+    }
+    const grading = validateGradingScheme(gradingScheme || currentSettings.gradingScheme);
+    if (grading.error) {
+      return res.status(400).json({ error: grading.error });
+    }
+    const access = validateAccessPolicy(accessPolicy || currentSettings.accessPolicy);
+    if (access.error) {
+      return res.status(400).json({ error: access.error });
+    }
+    
+    const randomizationSettings = {
+      randomizeQuestions: !!randomizeQuestions,
+      randomizeOptions: !!randomizeOptions,
+      questionLimit: questionLimit ? parseInt(questionLimit) : null
+    };
+    const proctoringSettings = {
+      enabled: !!proctoringEnabled,
+      level: proctoringLevel || 'basic',
+      strictMode: !!strictMode
+    };
+    const assessmentSettings = {
+      ...currentSettings,
+      timeLimitMinutes: timeLimit,
+      scoringPolicy: scoring.policy,
+      adaptive: adaptiveMode.adaptive,
+      retakePolicy: retakes.policy,
+      schedule: availabilityWindow.schedule,
+      reviewPolicy: review.policy,
+      gradingScheme: grading.scheme,
+      accessPolicy: access.policy
+    };
+    
+    await pool.execute(`
       UPDATE quizzes 
-      SET name = ?, description = ?, questions = ?, points_per_question = ?, 
-          randomization_settings = ?, proctoring_settings = ?, updated_at = CURRENT_TIMESTAMP
+      SET randomization_settings = ?, proctoring_settings = ?, assessment_settings = ?, updated_at = CURRENT_TIMESTAMP
       WHERE id = ?
     `, [
-      name,
-      description,
-      JSON.stringify(questions),
-      pointsPerQuestion,
-      randomizationSettings ? JSON.stringify(randomizationSettings) : null,
-      proctoringSettings ? JSON.stringify(proctoringSettings) : null,
+      JSON.stringify(randomizationSettings),
+      JSON.stringify(proctoringSettings),
+      JSON.stringify(assessmentSettings),
       quizId
     ]);
     
-    if (result.affectedRows === 0) {
+    res.json({ message: 'Quiz settings updated successfully' });
+  } catch (error) {
+    console.error('Update quiz settings error:', error);
+    res.status(500).json({ error: 'Failed to update quiz settings' });
+  }
+});
+
+// Validate the bucket and question counts of a section or blueprint entry.
+// Returns { bucketId, easyCount, mediumCount, hardCount, totalQuestions } or { error }.
+function validateBucketDraw(entry, label) {
+  const bucketId = parseInt(entry.bucketId);
+  if (isNaN(bucketId)) {
+    return { error: `${label} needs a source bucket` };
+  }
+  
+  const counts = {};
+  for (const field of ['easyCount', 'mediumCount', 'hardCount', 'questionCount']) {
+    const value = entry[field] === undefined || entry[field] === null || entry[field] === '' ? 0 : Number(entry[field]);
+    if (!Number.isInteger(value) || value < 0) {
+      return { error: `${label}: ${field} must be a whole number` };
+    }
+    counts[field] = value;
+  }
+  const difficultyTotal = counts.easyCount + counts.mediumCount + counts.hardCount;
+  const totalQuestions = difficultyTotal > 0 ? difficultyTotal : counts.questionCount;
+  if (totalQuestions < 1) {
+    return { error: `${label} needs at least one question` };
+  }
+  
+  return {
+    bucketId,
+    easyCount: counts.easyCount,
+    mediumCount: counts.mediumCount,
+    hardCount: counts.hardCount,
+    totalQuestions
+  };
+}
+
+// Validate a sections payload from the admin editor.
+// Returns { sections } ready to store, or { error }.
+function validateQuizSections(input) {
+  if (!Array.isArray(input)) {
+    return { error: 'Sections must be an array' };
+  }
+  
+  const sections = [];
+  const bucketIds = new Set();
+  
+  for (let index = 0; index < input.length; index++) {
+    const section = input[index] || {};
+    const label = `Section ${index + 1}`;
+    const name = typeof section.name === 'string' ? section.name.trim() : '';
+    
+    if (!name) {
+      return { error: `${label} needs a name` };
+    }
+    
+    const draw = validateBucketDraw(section, label);
+    if (draw.error) {
+      return draw;
+    }
+    if (bucketIds.has(draw.bucketId)) {
+      return { error: `${label} uses a bucket that another section already uses` };
+    }
+    bucketIds.add(draw.bucketId);
+    
+    const timeLimit = section.timeLimitMinutes === null || section.timeLimitMinutes === '' || section.timeLimitMinutes === undefined ?
+      null : Number(section.timeLimitMinutes);
+    if (timeLimit !== null && (!Number.isInteger(timeLimit) || timeLimit < 1 || timeLimit > 600)) {
+      return { error: `${label}: time limit must be a whole number of minutes between 1 and 600, or empty for no limit` };
+    }
+    
+    sections.push({
+      name,
+      ...draw,
+      instructions: typeof section.instructions === 'string' ? section.instructions.trim() : '',
+      timeLimitMinutes: timeLimit
+    });
+  }
+  
+  return { sections };
+}
+
+// Get quiz sections (Admin)
+app.get('/api/quizzes/:id/sections', authenticateAdmin, async (req, res) => {
+  try {
+    const sections = await getQuizSections(req.params.id);
+    res.json(sections.map(formatSection));
+  } catch (error) {
+    console.error('Get quiz sections error:', error);
+    res.status(500).json({ error: 'Failed to fetch quiz sections' });
+  }
+});
+
+// Replace quiz sections (Admin). Sections are taken in the order given; an empty
+// array turns the quiz back into a flat question list. Attempts already started
+// keep the sections they were built with.
+app.put('/api/quizzes/:id/sections', authenticateAdmin, async (req, res) => {
+  const quizId = req.params.id;
+  const validated = validateQuizSections(req.body.sections);
+  if (validated.error) {
+    return res.status(400).json({ error: `${validated.error}.` });
+  }
+  
+  let connection;
+  try {
+    const [quizzes] = await pool.execute('SELECT id FROM quizzes WHERE id = ?', [quizId]);
+    if (quizzes.length === 0) {
       return res.status(404).json({ error: 'Quiz not found' });
     }
     
-    res.json({ message: 'Quiz updated successfully' });
+    const bucketIds = validated.sections.map(section => section.bucketId);
+    if (bucketIds.length > 0) {
+      const [buckets] = await pool.query('SELECT id FROM question_buckets WHERE id IN (?)', [bucketIds]);
+      if (buckets.length !== bucketIds.length) {
+        return res.status(400).json({ error: 'One or more section buckets do not exist.' });
+      }
+    }
+    
+    connection = await pool.getConnection();
+    await connection.beginTransaction();
+    
+    // Plain bucket mappings (from-bucket quizzes) are kept unless a section takes over their bucket
+    await connection.execute(
+      'DELETE FROM quiz_bucket_mappings WHERE quiz_id = ? AND section_order IS NOT NULL',
+      [quizId]
+    );
+    
+    for (let index = 0; index < validated.sections.length; index++) {
+      const section = validated.sections[index];
+      await connection.execute(`
+        INSERT INTO quiz_bucket_mappings (
+          quiz_id, bucket_id, easy_count, medium_count, hard_count, total_questions,
+          section_name, section_order, instructions, time_limit_minutes
+        ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+        ON DUPLICATE KEY UPDATE
+          easy_count = VALUES(easy_count), medium_count = VALUES(medium_count), hard_count = VALUES(hard_count),
+          total_questions = VALUES(total_questions), section_name = VALUES(section_name),
+          section_order = VALUES(section_order), instructions = VALUES(instructions),
+          time_limit_minutes = VALUES(time_limit_minutes)
+      `, [
+        quizId, section.bucketId, section.easyCount, section.mediumCount, section.hardCount, section.totalQuestions,
+        section.name, index + 1, section.instructions, section.timeLimitMinutes
+      ]);
+    }
+    
+    await connection.commit();
+    console.log(`📚 Quiz ${quizId} now has ${validated.sections.length} section(s)`);
+    res.json({ message: 'Quiz sections updated successfully', sections: (await getQuizSections(quizId)).map(formatSection) });
   } catch (error) {
-    console.error('Update quiz error:', error);
-    res.status(500).json({ error: 'Failed to update quiz' });
+    if (connection) await connection.rollback();
+    console.error('Update quiz sections error:', error);
+    res.status(500).json({ error: 'Failed to update quiz sections' });
+  } finally {
+    if (connection) connection.release();
+  }
+});
+
+// Get a quiz's question blueprint (Admin)
+app.get('/api/quizzes/:id/blueprint', authenticateAdmin, async (req, res) => {
+  try {
+    const [quizzes] = await pool.execute('SELECT * FROM quizzes WHERE id = ?', [req.params.id]);
+    if (quizzes.length === 0) {
+      return res.status(404).json({ error: 'Quiz not found' });
+    }
+    
+    const blueprint = await getQuizBlueprint(req.params.id);
+    res.json({
+      enabled: isBlueprintQuiz(quizzes[0]),
+      entries: blueprint.map(entry => ({
+        bucketId: entry.bucket_id,
+        bucketName: entry.bucket_name,
+        questionCount: entry.total_questions,
+        easyCount: entry.easy_count,
+        mediumCount: entry.medium_count,
+        hardCount: entry.hard_count
+      }))
+    });
+  } catch (error) {
+    console.error('Get quiz blueprint error:', error);
+    res.status(500).json({ error: 'Failed to fetch quiz blueprint' });
+  }
+});
+
+// Replace a quiz's question blueprint (Admin).
+// Body: { enabled, entries: [{ bucketId, easyCount, mediumCount, hardCount, questionCount }] }
+// When enabled, every attempt draws a fresh set from the blueprint instead of using the
+// quiz's own questions. Sections, when configured, take precedence over the blueprint.
+app.put('/api/quizzes/:id/blueprint', authenticateAdmin, async (req, res) => {
+  const quizId = req.params.id;
+  const { enabled, entries = [] } = req.body;
+  
+  if (!Array.isArray(entries)) {
+    return res.status(400).json({ error: 'Blueprint entries must be an array.' });
+  }
+  
+  const draws = [];
+  for (let index = 0; index < entries.length; index++) {
+    const draw = validateBucketDraw(entries[index] || {}, `Entry ${index + 1}`);
+    if (draw.error) {
+      return res.status(400).json({ error: `${draw.error}.` });
+    }
+    if (draws.some(existing => existing.bucketId === draw.bucketId)) {
+      return res.status(400).json({ error: `Entry ${index + 1} repeats a bucket; combine its counts into one entry.` });
+    }
+    draws.push(draw);
+  }
+  if (enabled && draws.length === 0) {
+    return res.status(400).json({ error: 'Add at least one bucket to draw questions from.' });
+  }
+  
+  let connection;
+  try {
+    const [quizzes] = await pool.execute('SELECT * FROM quizzes WHERE id = ?', [quizId]);
+    if (quizzes.length === 0) {
+      return res.status(404).json({ error: 'Quiz not found' });
+    }
+    
+    if (draws.length > 0) {
+      const bucketIds = draws.map(draw => draw.bucketId);
+      const [buckets] = await pool.query('SELECT id FROM question_buckets WHERE id IN (?)', [bucketIds]);
+      if (buckets.length !== bucketIds.length) {
+        return res.status(400).json({ error: 'One or more blueprint buckets do not exist.' });
+      }
+      
+      const sectionBuckets = (await getQuizSections(quizId)).map(section => section.bucket_id);
+      if (bucketIds.some(bucketId => sectionBuckets.includes(bucketId))) {
+        return res.status(400).json({ error: 'A bucket used by a section cannot also be part of the blueprint.' });
+      }
+    }
+    
+    const assessmentSettings = {
+      ...safeJSONParse(quizzes[0].assessment_settings, {}),
+      questionSource: enabled ? 'blueprint' : 'quiz'
+    };
+    
+    connection = await pool.getConnection();
+    await connection.beginTransaction();
+    
+    await connection.execute(
+      'DELETE FROM quiz_bucket_mappings WHERE quiz_id = ? AND section_order IS NULL',
+      [quizId]
+    );
+    for (const draw of draws) {
+      await connection.execute(`
+        INSERT INTO quiz_bucket_mappings (quiz_id, bucket_id, easy_count, medium_count, hard_count, total_questions)
+        VALUES (?, ?, ?, ?, ?, ?)
+      `, [quizId, draw.bucketId, draw.easyCount, draw.mediumCount, draw.hardCount, draw.totalQuestions]);
+    }
+    await connection.execute(
+      'UPDATE quizzes SET assessment_settings = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?',
+      [JSON.stringify(assessmentSettings), quizId]
+    );
+    
+    await connection.commit();
+    
+    // Report (but allow) a blueprint the buckets cannot currently satisfy
+    const drawn = enabled ? await drawBlueprintQuestions(await getQuizBlueprint(quizId)) : {};
+    console.log(`🧩 Quiz ${quizId} blueprint updated: ${draws.length} bucket(s), live draw ${enabled ? 'on' : 'off'}`);
+    res.json({
+      message: 'Quiz blueprint updated successfully',
+      questionCount: draws.reduce((sum, draw) => sum + draw.totalQuestions, 0),
+      warning: drawn.error ? `${drawn.error}. Attempts cannot start until more questions are added.` : undefined
+    });
+  } catch (error) {
+    if (connection) await connection.rollback();
+    console.error('Update quiz blueprint error:', error);
+    res.status(500).json({ error: 'Failed to update quiz blueprint' });
+  } finally {
+    if (connection) connection.release();
   }
 });
 
@@ -1980,118 +6605,117 @@ app.delete('/api/quizzes/:id', authenticateAdmin, async (req, res) => {
 app.post('/api/quizzes/:id/questions/single', authenticateAdmin, async (req, res) => {
   try {
     const quizId = req.params.id;
-    const { question, options, correct } = req.body;
-    
-    if (!question || !options || !Array.isArray(options) || correct === undefined) {
-      return res.status(400).json({ error: 'Question, options array, and correct answer are required' });
-    }
+    const built = buildQuizQuestion(req.body);
     
-    // Get current quiz
-    const [quiz] = await pool.execute('SELECT questions FROM quizzes WHERE id = ?', [quizId]);
-    if (quiz.length === 0) {
-      return res.status(404).json({ error: 'Quiz not found' });
+    if (built.error) {
+      return res.status(400).json({ error: built.error });
     }
     
-    // Parse current questions
-    let questions = [];
-    try {
-      questions = JSON.parse(quiz[0].questions || '[]');
-    } catch (e) {
-      questions = [];
+    // New questions always get a new ID
+    const { linked, ...question } = built.question;
+    const result = await withQuizLock(quizId, connection =>
+      appendQuizQuestions(connection, quizId, [{ ...question, id: generateQuestionId() }]));
+    if (result.error) {
+      return res.status(result.status).json({ error: result.error });
     }
     
-    // Add new question
-    questions.push({ question, options, correct });
-    
-    // Update quiz
-    await pool.execute(`
-      UPDATE quizzes SET questions = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?
-    `, [JSON.stringify(questions), quizId]);
-    
-    res.json({ message: 'Question added successfully', questionCount: questions.length });
+    res.json({
+      message: 'Question added successfully',
+      questionId: result.appended[0].id,
+      questionCount: result.questionCount
+    });
   } catch (error) {
     console.error('Add question error:', error);
     res.status(500).json({ error: 'Failed to add question' });
   }
 });
 
-// Update specific question in quiz (Admin)
-app.put('/api/quizzes/:id/questions/:index', authenticateAdmin, async (req, res) => {
+// Update specific question in quiz (Admin). Only that question's row is rewritten; a question
+// linked from a bucket becomes a quiz-local copy, leaving the bucket question unchanged.
+app.put('/api/quizzes/:id/questions/:questionId', authenticateAdmin, async (req, res) => {
   try {
-    const quizId = req.params.id;
-    const questionIndex = parseInt(req.params.index);
-    const { question, options, correct } = req.body;
-    
-    if (!question || !options || !Array.isArray(options) || correct === undefined) {
-      return res.status(400).json({ error: 'Question, options array, and correct answer are required' });
-    }
-    
-    // Get current quiz
-    const [quiz] = await pool.execute('SELECT questions FROM quizzes WHERE id = ?', [quizId]);
-    if (quiz.length === 0) {
-      return res.status(404).json({ error: 'Quiz not found' });
-    }
+    const { id: quizId, questionId } = req.params;
+    const built = buildQuizQuestion(req.body);
     
-    // Parse current questions
-    let questions = [];
-    try {
-      questions = JSON.parse(quiz[0].questions || '[]');
-    } catch (e) {
-      return res.status(400).json({ error: 'Invalid questions format in quiz' });
+    if (built.error) {
+      return res.status(400).json({ error: built.error });
     }
     
-    if (questionIndex < 0 || questionIndex >= questions.length) {
-      return res.status(404).json({ error: 'Question index out of range' });
+    const result = await withQuizLock(quizId, async connection => {
+      const [rows] = await connection.execute(`
+        SELECT ${QUIZ_QUESTION_COLUMNS} ${QUIZ_QUESTION_JOIN} AND qq.question_id = ?
+      `, [quizId, questionId]);
+      const existing = rows.length > 0 ? fromQuizQuestionRow(rows[0]) : null;
+      if (!existing) {
+        return { status: 404, error: 'Question not found in this quiz' };
+      }
+      
+      // Keep fields the editor does not send (points, explanation, ...)
+      const { id, linked, ...content } = buildQuizQuestion(req.body, existing).question;
+      await connection.execute(
+        'UPDATE quiz_questions SET content = ?, bucket_question_id = NULL WHERE id = ?',
+        [JSON.stringify(content), rows[0].row_id]
+      );
+      await recordQuestionEdit(connection, getQuizQuestionVersionKey(quizId, questionId), existing, content,
+        req.admin.username);
+      return { questionId };
+    });
+    if (result.error) {
+      return res.status(result.status).json({ error: result.error });
     }
     
-    // Update question
-    questions[questionIndex] = { question, options, correct };
-    
-    // Update quiz
-    await pool.execute(`
-      UPDATE quizzes SET questions = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?
-    `, [JSON.stringify(questions), quizId]);
-    
-    res.json({ message: 'Question updated successfully' });
+    res.json({ message: 'Question updated successfully', questionId });
   } catch (error) {
     console.error('Update question error:', error);
     res.status(500).json({ error: 'Failed to update question' });
   }
 });
 
-// Delete specific question from quiz (Admin)
-app.delete('/api/quizzes/:id/questions/:index', authenticateAdmin, async (req, res) => {
+// Version history of a quiz question; linked questions share their bucket question's history (Admin)
+app.get('/api/quizzes/:id/questions/:questionId/versions', authenticateAdmin, async (req, res) => {
   try {
-    const quizId = req.params.id;
-    const questionIndex = parseInt(req.params.index);
-    
-    // Get current quiz
-    const [quiz] = await pool.execute('SELECT questions FROM quizzes WHERE id = ?', [quizId]);
-    if (quiz.length === 0) {
-      return res.status(404).json({ error: 'Quiz not found' });
+    const { id: quizId, questionId } = req.params;
+    const [rows] = await pool.execute(`
+      SELECT ${QUIZ_QUESTION_COLUMNS} ${QUIZ_QUESTION_JOIN} AND qq.question_id = ?
+    `, [quizId, questionId]);
+    const question = rows.length > 0 ? fromQuizQuestionRow(rows[0]) : null;
+    
+    // Deleted questions still have the history their results point at
+    const questionKey = question ? getQuestionVersionKey(quizId, question) : getQuizQuestionVersionKey(quizId, questionId);
+    if (question) {
+      await recordQuestionVersion(pool, questionKey, question);
     }
-    
-    // Parse current questions
-    let questions = [];
-    try {
-      questions = JSON.parse(quiz[0].questions || '[]');
-    } catch (e) {
-      return res.status(400).json({ error: 'Invalid questions format in quiz' });
+    const versions = await getQuestionHistory(questionKey);
+    if (versions.length === 0) {
+      return res.status(404).json({ error: 'Question not found in this quiz' });
     }
-    
-    if (questionIndex < 0 || questionIndex >= questions.length) {
-      return res.status(404).json({ error: 'Question index out of range' });
+    res.json({ questionKey, versions });
+  } catch (error) {
+    console.error('Question history error:', error);
+    res.status(500).json({ error: 'Failed to fetch question history' });
+  }
+});
+
+// Delete specific question from quiz (Admin)
+app.delete('/api/quizzes/:id/questions/:questionId', authenticateAdmin, async (req, res) => {
+  try {
+    const { id: quizId, questionId } = req.params;
+    
+    const result = await withQuizLock(quizId, async connection => {
+      const [deleted] = await connection.execute(
+        'DELETE FROM quiz_questions WHERE quiz_id = ? AND question_id = ?',
+        [quizId, questionId]
+      );
+      if (deleted.affectedRows === 0) {
+        return { status: 404, error: 'Question not found in this quiz' };
+      }
+      return { questionCount: (await loadQuizQuestions(quizId, connection)).length };
+    });
+    if (result.error) {
+      return res.status(result.status).json({ error: result.error });
     }
     
-    // Remove question
-    questions.splice(questionIndex, 1);
-    
-    // Update quiz
-    await pool.execute(`
-      UPDATE quizzes SET questions = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?
-    `, [JSON.stringify(questions), quizId]);
-    
-    res.json({ message: 'Question deleted successfully', questionCount: questions.length });
+    res.json({ message: 'Question deleted successfully', questionCount: result.questionCount });
   } catch (error) {
     console.error('Delete question error:', error);
     res.status(500).json({ error: 'Failed to delete question' });
@@ -2108,32 +6732,21 @@ app.post('/api/quizzes/:id/questions', authenticateAdmin, async (req, res) => {
       return res.status(400).json({ error: 'Questions array is required' });
     }
     
-    // Get current quiz
-    const [quiz] = await pool.execute('SELECT questions FROM quizzes WHERE id = ?', [quizId]);
-    if (quiz.length === 0) {
-      return res.status(404).json({ error: 'Quiz not found' });
+    const normalized = normalizeQuizQuestions(questions);
+    if (normalized.error) {
+      return res.status(400).json({ error: normalized.error });
     }
     
-    // Parse current questions
-    let currentQuestions = [];
-    try {
-      currentQuestions = JSON.parse(quiz[0].questions || '[]');
-    } catch (e) {
-      currentQuestions = [];
+    const result = await withQuizLock(quizId, connection =>
+      appendQuizQuestions(connection, quizId, normalized.questions.map(({ linked, ...question }) => question)));
+    if (result.error) {
+      return res.status(result.status).json({ error: result.error });
     }
     
-    // Add new questions
-    currentQuestions.push(...questions);
-    
-    // Update quiz
-    await pool.execute(`
-      UPDATE quizzes SET questions = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?
-    `, [JSON.stringify(currentQuestions), quizId]);
-    
     res.json({ 
       message: 'Questions added successfully', 
       questionsAdded: questions.length,
-      totalQuestions: currentQuestions.length 
+      totalQuestions: result.questionCount 
     });
   } catch (error) {
     console.error('Add questions error:', error);
@@ -2150,20 +6763,14 @@ app.post('/api/admin/initialize-defaults', authenticateAdmin, async (req, res) =
     
     // Check which default quizzes need questions
     const [quizzes] = await pool.execute(`
-      SELECT id, name, questions FROM quizzes WHERE is_custom = FALSE
+      SELECT id, name FROM quizzes WHERE is_custom = FALSE
     `);
+    const questionCounts = await getQuizQuestionCounts();
     
     let updatedCount = 0;
     
     for (const quiz of quizzes) {
-      let questions;
-      try {
-        questions = JSON.parse(quiz.questions || '[]');
-      } catch (e) {
-        questions = [];
-      }
-      
-      if (questions.length === 0) {
+      if (!questionCounts[quiz.id]) {
         // Add sample questions based on quiz type
         let sampleQuestions = [];
         
@@ -2224,10 +6831,10 @@ app.post('/api/admin/initialize-defaults', authenticateAdmin, async (req, res) =
         }
         
         if (sampleQuestions.length > 0) {
-          await pool.execute(`
-            UPDATE quizzes SET questions = ?, updated_at = CURRENT_TIMESTAMP 
-            WHERE id = ?
-          `, [JSON.stringify(sampleQuestions), quiz.id]);
+          await withQuizLock(quiz.id, async connection => {
+            await saveQuizQuestions(connection, quiz.id, assignQuestionIds(sampleQuestions));
+            return {};
+          });
           updatedCount++;
           console.log(`✅ Added ${sampleQuestions.length} questions to ${quiz.name}`);
         }
@@ -2244,107 +6851,45 @@ app.post('/api/admin/initialize-defaults', authenticateAdmin, async (req, res) =
   }
 });
 
-// Repair quiz data (Admin)
-app.post('/api/admin/repair-quiz/:id', authenticateAdmin, async (req, res) => {
+// Global candidate access settings: the email domains every quiz accepts unless it has its own list
+app.get('/api/admin/settings/access', authenticateAdmin, async (req, res) => {
   try {
-    const quizId = req.params.id;
-    
-    // Get quiz
-    const [quiz] = await pool.execute('SELECT * FROM quizzes WHERE id = ?', [quizId]);
-    if (quiz.length === 0) {
-      return res.status(404).json({ error: 'Quiz not found' });
-    }
-    
-    const quizData = quiz[0];
-    let questions = [];
-    let repaired = false;
-    
-    // Try to parse questions
-    try {
-      if (typeof quizData.questions === 'string') {
-        questions = JSON.parse(quizData.questions);
-      } else if (Array.isArray(quizData.questions)) {
-        questions = quizData.questions;
-      }
-    } catch (e) {
-      // Questions are corrupted, use empty array
-      questions = [];
-      repaired = true;
-    }
-    
-    // Ensure questions is an array
-    if (!Array.isArray(questions)) {
-      questions = [];
-      repaired = true;
-    }
-    
-    // Update the quiz with fixed questions
-    if (repaired) {
-      await pool.execute(`
-        UPDATE quizzes SET questions = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?
-      `, [JSON.stringify(questions), quizId]);
+    res.json(await getGlobalAccessSettings());
+  } catch (error) {
+    console.error('Get access settings error:', error);
+    res.status(500).json({ error: 'Failed to fetch access settings' });
+  }
+});
+
+app.put('/api/admin/settings/access', authenticateAdmin, async (req, res) => {
+  try {
+    const allowed = validateAllowedDomains(req.body.allowedDomains);
+    if (allowed.error) {
+      return res.status(400).json({ error: allowed.error });
     }
     
-    res.json({
-      message: `Quiz ${quizId} repair completed`,
-      repaired: repaired,
-      questionsCount: questions.length
-    });
+    const settings = { allowedDomains: allowed.domains };
+    await pool.execute(`
+      INSERT INTO app_settings (setting_key, value, updated_by) VALUES ('candidate_access', ?, ?)
+      ON DUPLICATE KEY UPDATE value = VALUES(value), updated_by = VALUES(updated_by)
+    `, [JSON.stringify(settings), req.admin.username]);
+    
+    console.log(`🔐 ${req.admin.username} set allowed email domains to: ${allowed.domains.join(', ') || 'any'}`);
+    res.json({ message: 'Access settings updated successfully', ...settings });
   } catch (error) {
-    console.error('Repair quiz error:', error);
-    res.status(500).json({ error: 'Failed to repair quiz' });
+    console.error('Update access settings error:', error);
+    res.status(500).json({ error: 'Failed to update access settings' });
   }
 });
 
-// Fix quiz data (Admin)
-app.post('/api/admin/fix-quiz-data', authenticateAdmin, async (req, res) => {
+// Schema migration status (Admin). Migrations are applied at startup or with
+// `npm run migrate`, not over HTTP.
+app.get('/api/admin/migrations', authenticateAdmin, async (req, res) => {
   try {
-    console.log('🔧 Starting quiz data repair...');
-    
-    const [quizzes] = await pool.execute('SELECT id, questions FROM quizzes');
-    let repairedCount = 0;
-    
-    for (const quiz of quizzes) {
-      let needsRepair = false;
-      let questions = [];
-      
-      try {
-        if (quiz.questions === null || quiz.questions === '') {
-          needsRepair = true;
-          questions = [];
-        } else if (typeof quiz.questions === 'string') {
-          questions = JSON.parse(quiz.questions);
-          if (!Array.isArray(questions)) {
-            needsRepair = true;
-            questions = [];
-          }
-        } else if (!Array.isArray(quiz.questions)) {
-          needsRepair = true;
-          questions = [];
-        } else {
-          questions = quiz.questions;
-        }
-      } catch (e) {
-        needsRepair = true;
-        questions = [];
-      }
-      
-      if (needsRepair) {
-        await pool.execute(`
-          UPDATE quizzes SET questions = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?
-        `, [JSON.stringify(questions), quiz.id]);
-        repairedCount++;
-        console.log(`🔧 Repaired quiz: ${quiz.id}`);
-      }
-    }
-    
-    res.json({
-      message: `Quiz data repair completed. Repaired ${repairedCount} quizzes.`,
-      repairedCount
-    });
+    res.json(await getMigrationStatus());
   } catch (error) {
-    console.error('Fix quiz data error:', error);
-    res.status(500).json({ error: 'Failed to fix quiz data' });
+    console.error('Migration status error:', error);
+    res.status(500).json({ error: 'Failed to get migration status' });
   }
 });
 
@@ -2395,9 +6940,18 @@ app.get('/api/admin/health-check', authenticateAdmin, async (req, res) => {
       healthReport.database.error = dbError.message;
     }
     
+    // Check schema version
+    try {
+      const { currentVersion, latestVersion, pending } = await getMigrationStatus();
+      healthReport.database.schema = { currentVersion, latestVersion, pending };
+    } catch (schemaError) {
+      healthReport.database.schemaError = schemaError.message;
+    }
+    
     // Check quizzes
     try {
-      const [quizzes] = await pool.execute('SELECT id, name, questions FROM quizzes');
+      const [quizzes] = await pool.execute('SELECT id, name FROM quizzes');
+      const questionCounts = await getQuizQuestionCounts();
       healthReport.quizzes.totalCount = quizzes.length;
       
       for (const quiz of quizzes) {
@@ -2405,31 +6959,13 @@ app.get('/api/admin/health-check', authenticateAdmin, async (req, res) => {
           id: quiz.id,
           name: quiz.name,
           status: 'OK',
-          issues: []
+          issues: [],
+          questionCount: questionCounts[quiz.id] || 0
         };
         
-        // Check questions
-        try {
-          let questions = [];
-          if (quiz.questions === null || quiz.questions === '') {
-            quizStatus.status = 'WARNING';
-            quizStatus.issues.push('No questions found');
-          } else if (typeof quiz.questions === 'string') {
-            questions = JSON.parse(quiz.questions);
-            if (!Array.isArray(questions)) {
-              quizStatus.status = 'ERROR';
-              quizStatus.issues.push('Questions is not an array');
-            } else if (questions.length === 0) {
-              quizStatus.status = 'WARNING';
-              quizStatus.issues.push('Empty questions array');
-            }
-          } else if (!Array.isArray(quiz.questions)) {
-            quizStatus.status = 'ERROR';
-            quizStatus.issues.push('Questions field is not valid');
-          }
-        } catch (parseError) {
-          quizStatus.status = 'ERROR';
-          quizStatus.issues.push('Invalid JSON in questions field');
+        if (quizStatus.questionCount === 0) {
+          quizStatus.status = 'WARNING';
+          quizStatus.issues.push('No questions found');
         }
         
         healthReport.quizzes.details.push(quizStatus);
@@ -2456,42 +6992,25 @@ app.get('/api/admin/health-check', authenticateAdmin, async (req, res) => {
 // Debug endpoints for quiz data
 app.get('/api/debug/quiz-summary', authenticateAdmin, async (req, res) => {
   try {
-    const [quizzes] = await pool.execute('SELECT id, name, questions FROM quizzes');
-    
-    const summary = quizzes.map(quiz => {
-      let questionCount = 0;
-      let questionsType = typeof quiz.questions;
-      let parseError = null;
-      
-      try {
-        if (quiz.questions === null || quiz.questions === '') {
-          questionCount = 0;
-        } else if (typeof quiz.questions === 'string') {
-          const parsed = JSON.parse(quiz.questions);
-          if (Array.isArray(parsed)) {
-            questionCount = parsed.length;
-          } else {
-            questionCount = -1; // Invalid format
-          }
-        } else if (Array.isArray(quiz.questions)) {
-          questionCount = quiz.questions.length;
-        } else {
-          questionCount = -1; // Invalid format
-        }
-      } catch (e) {
-        parseError = e.message;
-        questionCount = -1;
-      }
-      
-      return {
-        id: quiz.id,
-        name: quiz.name,
-        questionCount,
-        questionsType,
-        parseError
-      };
+    const [quizzes] = await pool.execute('SELECT id, name FROM quizzes');
+    const questionCounts = await getQuizQuestionCounts();
+    const [linkedCounts] = await pool.execute(`
+      SELECT quiz_id, COUNT(*) AS linked_count
+      FROM quiz_questions WHERE bucket_question_id IS NOT NULL
+      GROUP BY quiz_id
+    `);
+    const linked = {};
+    linkedCounts.forEach(row => {
+      linked[row.quiz_id] = Number(row.linked_count);
     });
     
+    const summary = quizzes.map(quiz => ({
+      id: quiz.id,
+      name: quiz.name,
+      questionCount: questionCounts[quiz.id] || 0,
+      linkedQuestionCount: linked[quiz.id] || 0
+    }));
+    
     res.json(summary);
   } catch (error) {
     console.error('Debug quiz summary error:', error);
@@ -2508,31 +7027,24 @@ app.get('/api/debug/quiz-detailed/:id', authenticateAdmin, async (req, res) => {
     }
     
     const quizData = quiz[0];
+    const [rows] = await pool.execute(`
+      SELECT qq.bucket_question_id, qq.content, q.is_active
+      FROM quiz_questions qq
+      LEFT JOIN questions q ON q.id = qq.bucket_question_id
+      WHERE qq.quiz_id = ?
+    `, [quizData.id]);
+    const linkedRows = rows.filter(row => row.bucket_question_id);
     const debug = {
       id: quizData.id,
       name: quizData.name,
-      questionsType: typeof quizData.questions,
-      questionsLength: quizData.questions ? quizData.questions.length : null,
-      isString: typeof quizData.questions === 'string',
-      isArray: Array.isArray(quizData.questions),
-      isObject: typeof quizData.questions === 'object' && !Array.isArray(quizData.questions),
-      isNull: quizData.questions === null
+      storedRows: rows.length,
+      linkedQuestions: linkedRows.length,
+      inactiveLinkedQuestions: linkedRows.filter(row => !row.is_active).length,
+      localQuestions: rows.length - linkedRows.length,
+      unreadableLocalQuestions: rows.filter(row => !row.bucket_question_id && !safeJSONParse(row.content, null)).length,
+      deliveredQuestions: (await loadQuizQuestions(quizData.id)).length
     };
     
-    // Try to parse if string
-    if (typeof quizData.questions === 'string') {
-      try {
-        const parsed = JSON.parse(quizData.questions);
-        debug.parseSuccess = true;
-        debug.parsedType = typeof parsed;
-        debug.parsedIsArray = Array.isArray(parsed);
-        debug.parsedLength = Array.isArray(parsed) ? parsed.length : null;
-      } catch (e) {
-        debug.parseSuccess = false;
-        debug.parseError = e.message;
-      }
-    }
-    
     res.json(debug);
   } catch (error) {
     console.error('Debug quiz detailed error:', error);
@@ -2540,136 +7052,362 @@ app.get('/api/debug/quiz-detailed/:id', authenticateAdmin, async (req, res) => {
   }
 });
 
+// =================== CSV IMPORT ===================
+// Question imports read CSV as RFC 4180 describes it: quoted fields may hold commas, line
+// breaks and "" for a literal quote. Columns are matched by their header names, so optional
+// columns can be left out. Every row is validated and duplicates are reported; a dry run
+// returns the same report without writing anything.
+
+const CSV_OPTION_COLUMNS = ['option_a', 'option_b', 'option_c', 'option_d', 'option_e', 'option_f'];
+const CSV_COLUMN_ALIASES = {
+  option1: 'option_a', option2: 'option_b', option3: 'option_c',
+  option4: 'option_d', option5: 'option_e', option6: 'option_f',
+  correct: 'correct_answer'
+};
+
+// Split CSV text into records, each with the line it starts on. A malformed record keeps an
+// error instead of being dropped, so the import report can point at it.
+function parseCSV(text) {
+  const input = text.replace(/^\uFEFF/, '');
+  const records = [];
+  let fields = [];
+  let field = '';
+  let quoted = false;
+  let closedQuote = false;
+  let error = null;
+  let line = 1;
+  let recordLine = 1;
+  
+  const endField = () => {
+    fields.push(field);
+    field = '';
+    closedQuote = false;
+  };
+  const endRecord = () => {
+    endField();
+    records.push({ line: recordLine, fields, error });
+    fields = [];
+    error = null;
+  };
+  
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+    
+    if (quoted) {
+      if (char === '"' && input[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+        closedQuote = true;
+      } else if (char === '\r' || char === '\n') {
+        // Line breaks inside a quoted field are part of the value
+        if (char === '\r' && input[i + 1] === '\n') i++;
+        field += '\n';
+        line++;
+      } else {
+        field += char;
+      }
+    } else if (char === ',') {
+      endField();
+    } else if (char === '\r' || char === '\n') {
+      if (char === '\r' && input[i + 1] === '\n') i++;
+      endRecord();
+      line++;
+      recordLine = line;
+    } else if (char === '"' && !closedQuote && field.trim() === '') {
+      // Spaces before an opening quote are tolerated
+      field = '';
+      quoted = true;
+    } else if (closedQuote) {
+      if (char !== ' ' && char !== '\t') {
+        error = error || `Field ${fields.length + 1} has text after its closing quote`;
+        field += char;
+      }
+    } else {
+      if (char === '"') {
+        error = error || `Field ${fields.length + 1} contains a quote; wrap the field in quotes and double the quote ("")`;
+      }
+      field += char;
+    }
+  }
+  
+  if (quoted) {
+    error = `Field ${fields.length + 1} opens a quote that is never closed`;
+  }
+  if (quoted || closedQuote || field !== '' || fields.length > 0) {
+    endRecord();
+  }
+  return records;
+}
+
+function normalizeCSVHeader(name) {
+  const key = name.trim().toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/^_+|_+$/g, '');
+  return CSV_COLUMN_ALIASES[key.replace(/_/g, '')] || key;
+}
+
+// Parse an import file and check its header and field counts. Returns
+// { rows, rowErrors, blankRows, ignoredColumns } where each row has its line and a
+// value(column) reader, or { error } when the file itself cannot be used.
+function readCSVImportRows(csvData, required, optional = []) {
+  const records = parseCSV(csvData);
+  const isBlank = record => !record.error && record.fields.every(field => field.trim() === '');
+  const header = records.find(record => !isBlank(record));
+  if (!header) {
+    return { error: 'The CSV file is empty' };
+  }
+  if (header.error) {
+    return { error: `The header row (line ${header.line}) is malformed: ${header.error}` };
+  }
+  
+  const columns = {};
+  const ignoredColumns = [];
+  header.fields.forEach((name, index) => {
+    const column = normalizeCSVHeader(name);
+    if ((required.includes(column) || optional.includes(column)) && columns[column] === undefined) {
+      columns[column] = index;
+    } else if (name.trim()) {
+      ignoredColumns.push(name.trim());
+    }
+  });
+  const missing = required.filter(column => columns[column] === undefined);
+  if (missing.length > 0) {
+    return { error: `The header row is missing required columns: ${missing.join(', ')}` };
+  }
+  
+  const rows = [];
+  const rowErrors = [];
+  let blankRows = 0;
+  records.slice(records.indexOf(header) + 1).forEach(record => {
+    if (isBlank(record)) {
+      blankRows++;
+    } else if (record.error) {
+      rowErrors.push({ line: record.line, error: record.error });
+    } else if (record.fields.length !== header.fields.length) {
+      rowErrors.push({
+        line: record.line,
+        error: `Row has ${record.fields.length} fields but the header has ${header.fields.length}`
+      });
+    } else {
+      rows.push({
+        line: record.line,
+        value: column => columns[column] === undefined ? '' : record.fields[columns[column]].trim()
+      });
+    }
+  });
+  
+  return { rows, rowErrors, blankRows, ignoredColumns };
+}
+
+// Single-choice question content from an import row. The correct answer is an option
+// letter (A-F) or a 0-based option index.
+function readImportedQuestion(value) {
+  const question = value('question');
+  if (!question) {
+    return { error: 'Question text is required' };
+  }
+  
+  const values = CSV_OPTION_COLUMNS.map(value);
+  const lastFilled = values.reduce((last, option, index) => option ? index : last, -1);
+  const options = values.slice(0, lastFilled + 1);
+  if (options.length < 2) {
+    return { error: 'At least two options are required' };
+  }
+  const gap = options.findIndex(option => !option);
+  if (gap !== -1) {
+    return { error: `Option ${String.fromCharCode(65 + gap)} is empty but later options are filled` };
+  }
+  
+  const answer = value('correct_answer').toUpperCase();
+  const correct = /^[A-F]$/.test(answer) ? answer.charCodeAt(0) - 65 :
+    /^\d+$/.test(answer) ? Number(answer) : NaN;
+  if (!(correct >= 0 && correct < options.length)) {
+    return {
+      error: `Correct answer "${value('correct_answer')}" must be an option letter (A-${String.fromCharCode(64 + options.length)}) ` +
+        `or index (0-${options.length - 1})`
+    };
+  }
+  
+  const explanation = value('explanation');
+  return { question, options, correct, ...(explanation ? { explanation } : {}) };
+}
+
+// Questions count as duplicates when their text matches, ignoring case and spacing
+function getQuestionTextKey(text) {
+  return String(text || '').trim().toLowerCase().replace(/\s+/g, ' ');
+}
+
 // Import quiz pool from CSV (Admin)
+// Columns: Quiz Code, Quiz Name, Question, Option A, Option B, [Option C-F], Correct Answer, [Explanation].
+// Rows for a new quiz code create the quiz; rows for an existing quiz add questions to it.
 app.post('/api/admin/import-quiz-pool', authenticateAdmin, async (req, res) => {
   try {
     const { csvData } = req.body;
+    const dryRun = req.body.dryRun === true;
     
-    if (!csvData) {
+    if (!csvData || typeof csvData !== 'string') {
       return res.status(400).json({ error: 'CSV data is required' });
     }
     
-    const lines = csvData.trim().split('\n');
-    const results = [];
-    const summary = {
-      totalQuizzes: 0,
-      createdQuizzes: 0,
-      updatedQuizzes: 0,
-      processedQuestions: 0,
-      skippedLines: 0,
-      errors: 0
-    };
+    const parsed = readCSVImportRows(csvData,
+      ['quiz_code', 'quiz_name', 'question', 'option_a', 'option_b', 'correct_answer'],
+      [...CSV_OPTION_COLUMNS.slice(2), 'explanation']);
+    if (parsed.error) {
+      return res.status(400).json({ error: parsed.error });
+    }
+    
+    const rowErrors = [...parsed.rowErrors];
+    const duplicates = [];
+    const plans = new Map();
     
-    // Skip header line
-    for (let i = 1; i < lines.length; i++) {
-      const line = lines[i].trim();
-      if (!line) {
-        summary.skippedLines++;
+    for (const row of parsed.rows) {
+      const quizCode = row.value('quiz_code');
+      const quizName = row.value('quiz_name');
+      if (!quizCode || !quizName) {
+        rowErrors.push({ line: row.line, error: 'Quiz code and quiz name are required' });
+        continue;
+      }
+      if (quizCode.length > 50) {
+        rowErrors.push({ line: row.line, quizCode, error: 'Quiz code must be at most 50 characters' });
         continue;
       }
       
-      try {
-        // Parse CSV line: Quiz Code, Quiz Name, Question, Option A, Option B, Option C, Option D, Correct Answer
-        const fields = parseCSVLine(line);
-        
-        if (fields.length < 8) {
-          summary.skippedLines++;
-          continue;
-        }
-        
-        const [quizCode, quizName, question, optionA, optionB, optionC, optionD, correctAnswer] = fields;
-        const options = [optionA.trim(), optionB.trim(), optionC.trim(), optionD.trim()];
-        const correct = parseInt(correctAnswer.trim());
-        
-        if (isNaN(correct) || correct < 0 || correct > 3) {
-          summary.skippedLines++;
-          continue;
-        }
-        
-        // Check if quiz exists
-        const [existingQuiz] = await pool.execute('SELECT questions FROM quizzes WHERE id = ?', [quizCode]);
-        
-        let currentQuestions = [];
-        let action = 'created';
-        
-        if (existingQuiz.length > 0) {
-          // Quiz exists, add to existing questions
-          try {
-            currentQuestions = JSON.parse(existingQuiz[0].questions || '[]');
-          } catch (e) {
-            currentQuestions = [];
-          }
-          action = 'updated';
-        } else {
-          // New quiz
-          summary.totalQuizzes++;
-        }
-        
-        // Add new question
-        currentQuestions.push({
-          question: question.trim(),
-          options: options,
-          correct: correct
+      const imported = readImportedQuestion(row.value);
+      const built = imported.error ? imported : buildQuizQuestion(imported);
+      if (built.error) {
+        rowErrors.push({ line: row.line, quizCode, error: built.error });
+        continue;
+      }
+      
+      let plan = plans.get(quizCode);
+      if (!plan) {
+        const [existing] = await pool.execute('SELECT id, name FROM quizzes WHERE id = ?', [quizCode]);
+        const existingQuestions = existing.length > 0 ? await loadQuizQuestions(quizCode) : [];
+        plan = {
+          quizCode,
+          name: existing.length > 0 ? existing[0].name : quizName,
+          action: existing.length > 0 ? 'updated' : 'created',
+          existingQuestions: existingQuestions.length,
+          seen: new Map(existingQuestions.map(question => [getQuestionTextKey(question.question), null])),
+          questions: []
+        };
+        plans.set(quizCode, plan);
+      }
+      if (quizName !== plan.name) {
+        rowErrors.push({
+          line: row.line,
+          quizCode,
+          error: plan.action === 'created' ?
+            `Quiz "${quizCode}" is named "${plan.name}" on an earlier row` :
+            `Quiz "${quizCode}" already exists and is named "${plan.name}"`
         });
-        
-        // Update or create quiz
-        if (existingQuiz.length > 0) {
-          await pool.execute(`
-            UPDATE quizzes SET questions = ?, updated_at = CURRENT_TIMESTAMP 
-            WHERE id = ?
-          `, [JSON.stringify(currentQuestions), quizCode]);
-        } else {
-          await pool.execute(`
-            INSERT INTO quizzes (id, name, description, questions, points_per_question, is_custom)
-            VALUES (?, ?, ?, ?, ?, ?)
-          `, [
-            quizCode,
-            quizName.trim(),
-            `Imported quiz: ${quizName.trim()}`,
-            JSON.stringify(currentQuestions),
-            1,
-            true
-          ]);
-        }
-        
-        // Update results tracking
-        const existingResult = results.find(r => r.quizCode === quizCode);
-        if (existingResult) {
-          existingResult.questionsAdded++;
-          existingResult.totalQuestions = currentQuestions.length;
-        } else {
-          results.push({
-            quizCode,
-            name: quizName.trim(),
-            action: action,
-            questionsAdded: 1,
-            totalQuestions: currentQuestions.length
-          });
-          
-          if (action === 'created') {
-            summary.createdQuizzes++;
+        continue;
+      }
+      
+      const key = getQuestionTextKey(built.question.question);
+      if (plan.seen.has(key)) {
+        const firstLine = plan.seen.get(key);
+        duplicates.push({
+          line: row.line,
+          quizCode,
+          question: built.question.question,
+          duplicateOf: firstLine === null ? 'existing question' : `line ${firstLine}`
+        });
+        continue;
+      }
+      plan.seen.set(key, row.line);
+      plan.questions.push({ line: row.line, question: built.question });
+    }
+    
+    const planned = [...plans.values()].filter(plan => plan.questions.length > 0);
+    planned.forEach(plan => {
+      plan.totalQuestions = plan.existingQuestions + plan.questions.length;
+    });
+    
+    if (!dryRun && planned.length > 0) {
+      // Every quiz is created and filled in one transaction, so a failure imports nothing
+      const connection = await pool.getConnection();
+      try {
+        await connection.beginTransaction();
+        for (const plan of planned) {
+          if (plan.action === 'created') {
+            await connection.execute(`
+              INSERT INTO quizzes (id, name, description, points_per_question, is_custom)
+              VALUES (?, ?, ?, ?, ?)
+            `, [plan.quizCode, plan.name, `Imported quiz: ${plan.name}`, 1, true]);
           } else {
-            summary.updatedQuizzes++;
+            const [locked] = await connection.execute('SELECT id FROM quizzes WHERE id = ? FOR UPDATE', [plan.quizCode]);
+            if (locked.length === 0) {
+              await connection.rollback();
+              return res.status(409).json({
+                error: `Quiz "${plan.quizCode}" was deleted during the import. Nothing was imported; please run the import again.`
+              });
+            }
+            // Check for duplicates again under the quiz lock, against questions added meanwhile
+            const current = new Set((await loadQuizQuestions(plan.quizCode, connection))
+              .map(question => getQuestionTextKey(question.question)));
+            plan.questions = plan.questions.filter(({ line, question }) => {
+              if (!current.has(getQuestionTextKey(question.question))) return true;
+              duplicates.push({ line, quizCode: plan.quizCode, question: question.question, duplicateOf: 'existing question' });
+              return false;
+            });
+            if (plan.questions.length === 0) continue;
+            await connection.execute('UPDATE quizzes SET updated_at = CURRENT_TIMESTAMP WHERE id = ?', [plan.quizCode]);
           }
+          const appended = await appendQuizQuestions(connection, plan.quizCode,
+            plan.questions.map(({ question }) => ({ ...question, id: generateQuestionId() })));
+          plan.totalQuestions = appended.questionCount;
         }
-        
-        summary.processedQuestions++;
-        
+        await connection.commit();
       } catch (error) {
-        console.error('Error processing line:', error);
-        summary.errors++;
-        results.push({
-          line: i + 1,
-          action: 'error',
-          error: error.message
-        });
+        await connection.rollback();
+        if (error.code === 'ER_DUP_ENTRY') {
+          return res.status(409).json({
+            error: 'A quiz in this file was created by someone else during the import. Nothing was imported; please run the import again.'
+          });
+        }
+        throw error;
+      } finally {
+        connection.release();
       }
     }
     
+    const results = planned.filter(plan => plan.questions.length > 0).map(plan => ({
+      quizCode: plan.quizCode,
+      name: plan.name,
+      action: plan.action,
+      questionsAdded: plan.questions.length,
+      totalQuestions: plan.totalQuestions,
+      questions: plan.questions.map(({ line, question }) => ({
+        line,
+        question: question.question,
+        options: question.options,
+        correct: question.correct
+      }))
+    }));
+    
+    const summary = {
+      totalRows: parsed.rows.length + parsed.rowErrors.length,
+      totalQuizzes: results.length,
+      createdQuizzes: results.filter(result => result.action === 'created').length,
+      updatedQuizzes: results.filter(result => result.action === 'updated').length,
+      processedQuestions: results.reduce((sum, result) => sum + result.questionsAdded, 0),
+      duplicateRows: duplicates.length,
+      skippedLines: parsed.blankRows,
+      errors: rowErrors.length
+    };
+    if (!dryRun) {
+      console.log(`📥 Imported ${summary.processedQuestions} questions into ${summary.totalQuizzes} quizzes (${summary.errors} rows rejected, ${summary.duplicateRows} duplicates)`);
+    }
+    
     res.json({
-      message: 'Quiz pool import completed',
+      message: dryRun ? 'Dry run: nothing was imported' : 'Quiz pool import completed',
+      dryRun,
       summary,
-      results
+      results,
+      rowErrors: rowErrors.sort((a, b) => a.line - b.line),
+      duplicates: duplicates.sort((a, b) => a.line - b.line),
+      ignoredColumns: parsed.ignoredColumns
     });
   } catch (error) {
     console.error('Import quiz pool error:', error);
@@ -2677,29 +7415,266 @@ app.post('/api/admin/import-quiz-pool', authenticateAdmin, async (req, res) => {
   }
 });
 
-// Helper function to parse CSV line with proper quote handling
-function parseCSVLine(line) {
-  const result = [];
-  let current = '';
-  let inQuotes = false;
+// Import questions into a bucket from CSV (Admin)
+// Columns: Question, Option A, Option B, [Option C-F], Correct Answer, Difficulty, [Points], [Explanation], [Tags].
+// Tags are separated with semicolons.
+app.post('/api/admin/buckets/:id/import', authenticateAdmin, async (req, res) => {
+  try {
+    const bucketId = req.params.id;
+    const { csvData } = req.body;
+    const dryRun = req.body.dryRun === true;
+    
+    if (!csvData || typeof csvData !== 'string') {
+      return res.status(400).json({ error: 'CSV data is required' });
+    }
+    const [buckets] = await pool.execute('SELECT id, name FROM question_buckets WHERE id = ?', [bucketId]);
+    if (buckets.length === 0) {
+      return res.status(404).json({ error: 'Bucket not found' });
+    }
+    
+    const parsed = readCSVImportRows(csvData,
+      ['question', 'option_a', 'option_b', 'correct_answer', 'difficulty'],
+      [...CSV_OPTION_COLUMNS.slice(2), 'points', 'explanation', 'tags']);
+    if (parsed.error) {
+      return res.status(400).json({ error: parsed.error });
+    }
+    
+    const [existing] = await pool.execute('SELECT question_text FROM questions WHERE bucket_id = ?', [bucketId]);
+    const seen = new Map(existing.map(row => [getQuestionTextKey(row.question_text), null]));
+    const rowErrors = [...parsed.rowErrors];
+    const duplicates = [];
+    const questions = [];
+    
+    for (const row of parsed.rows) {
+      const imported = readImportedQuestion(row.value);
+      if (imported.error) {
+        rowErrors.push({ line: row.line, error: imported.error });
+        continue;
+      }
+      const difficulty = row.value('difficulty').toLowerCase();
+      if (!DIFFICULTY_LEVELS.includes(difficulty)) {
+        rowErrors.push({ line: row.line, error: `Difficulty must be one of: ${DIFFICULTY_LEVELS.join(', ')}` });
+        continue;
+      }
+      const points = row.value('points') === '' ? 1 : Number(row.value('points'));
+      if (!Number.isInteger(points) || points < 1) {
+        rowErrors.push({ line: row.line, error: 'Points must be a whole number of at least 1' });
+        continue;
+      }
+      const answer = toBucketAnswerColumns({ question_type: 'single', options: imported.options, correct_answer: imported.correct });
+      if (answer.error) {
+        rowErrors.push({ line: row.line, error: answer.error });
+        continue;
+      }
+      
+      const key = getQuestionTextKey(imported.question);
+      if (seen.has(key)) {
+        const firstLine = seen.get(key);
+        duplicates.push({
+          line: row.line,
+          question: imported.question,
+          duplicateOf: firstLine === null ? 'existing question' : `line ${firstLine}`
+        });
+        continue;
+      }
+      seen.set(key, row.line);
+      
+      const tags = row.value('tags').split(';').map(tag => tag.trim()).filter(Boolean);
+      questions.push({ line: row.line, imported, difficulty, points, tags, answer });
+    }
+    
+    if (!dryRun && questions.length > 0) {
+      const connection = await pool.getConnection();
+      try {
+        await connection.beginTransaction();
+        for (const { imported, difficulty, points, tags, answer } of questions) {
+          await connection.execute(`
+            INSERT INTO questions (bucket_id, question_text, question_type, options, correct_answer, answer_key, difficulty, points, explanation, tags)
+            VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+          `, [
+            bucketId,
+            imported.question,
+            answer.question_type,
+            answer.options,
+            answer.correct_answer,
+            answer.answer_key,
+            difficulty,
+            points,
+            imported.explanation || '',
+            tags.length > 0 ? JSON.stringify(tags) : null
+          ]);
+        }
+        await connection.commit();
+      } catch (error) {
+        await connection.rollback();
+        throw error;
+      } finally {
+        connection.release();
+      }
+      await updateBucketCounts(bucketId);
+      console.log(`📥 Imported ${questions.length} questions into bucket ${buckets[0].name}`);
+    }
+    
+    const byDifficulty = Object.fromEntries(DIFFICULTY_LEVELS.map(level =>
+      [level, questions.filter(question => question.difficulty === level).length]));
+    res.json({
+      message: dryRun ? 'Dry run: nothing was imported' : 'Bucket import completed',
+      dryRun,
+      bucket: { id: buckets[0].id, name: buckets[0].name },
+      summary: {
+        totalRows: parsed.rows.length + parsed.rowErrors.length,
+        processedQuestions: questions.length,
+        byDifficulty,
+        duplicateRows: duplicates.length,
+        skippedLines: parsed.blankRows,
+        errors: rowErrors.length
+      },
+      questions: questions.map(({ line, imported, difficulty, points }) => ({
+        line,
+        question: imported.question,
+        options: imported.options,
+        correct: imported.correct,
+        difficulty,
+        points
+      })),
+      rowErrors: rowErrors.sort((a, b) => a.line - b.line),
+      duplicates,
+      ignoredColumns: parsed.ignoredColumns
+    });
+  } catch (error) {
+    console.error('Import bucket questions error:', error);
+    res.status(500).json({ error: 'Failed to import bucket questions' });
+  }
+});
+
+// Columns of a single quiz's question file: Question, Option A, Option B, [Option C-F],
+// Correct Answer, [Explanation]
+const QUIZ_QUESTION_CSV_COLUMNS = ['question', 'option_a', 'option_b', 'correct_answer'];
+const QUIZ_QUESTION_CSV_OPTIONAL = [...CSV_OPTION_COLUMNS.slice(2), 'explanation'];
+
+// Check the rows of a single quiz's question file against each other and the quiz's
+// existing questions. Returns { questions, rowErrors, duplicates }.
+function planQuizQuestionImport(parsed, existingQuestions = []) {
+  const seen = new Map(existingQuestions.map(question => [getQuestionTextKey(question.question), null]));
+  const rowErrors = [...parsed.rowErrors];
+  const duplicates = [];
+  const questions = [];
   
-  for (let i = 0; i < line.length; i++) {
-    const char = line[i];
+  for (const row of parsed.rows) {
+    const imported = readImportedQuestion(row.value);
+    const built = imported.error ? imported : buildQuizQuestion(imported);
+    if (built.error) {
+      rowErrors.push({ line: row.line, error: built.error });
+      continue;
+    }
     
-    if (char === '"') {
-      inQuotes = !inQuotes;
-    } else if (char === ',' && !inQuotes) {
-      result.push(current);
-      current = '';
-    } else {
-      current += char;
+    const key = getQuestionTextKey(imported.question);
+    if (seen.has(key)) {
+      const firstLine = seen.get(key);
+      duplicates.push({
+        line: row.line,
+        question: imported.question,
+        duplicateOf: firstLine === null ? 'existing question' : `line ${firstLine}`
+      });
+      continue;
     }
+    seen.set(key, row.line);
+    questions.push({ line: row.line, imported, question: built.question });
   }
   
-  result.push(current);
-  return result.map(field => field.replace(/"/g, '').trim());
+  return { questions, rowErrors: rowErrors.sort((a, b) => a.line - b.line), duplicates };
+}
+
+function formatQuizQuestionImport(parsed, plan) {
+  return {
+    summary: {
+      totalRows: parsed.rows.length + parsed.rowErrors.length,
+      processedQuestions: plan.questions.length,
+      duplicateRows: plan.duplicates.length,
+      skippedLines: parsed.blankRows,
+      errors: plan.rowErrors.length
+    },
+    questions: plan.questions.map(({ line, imported }) => ({ line, ...imported })),
+    rowErrors: plan.rowErrors,
+    duplicates: plan.duplicates,
+    ignoredColumns: parsed.ignoredColumns
+  };
 }
 
+// Check a question file for a quiz that is still being created (Admin). Nothing is stored;
+// the wizard creates the quiz with the questions returned.
+app.post('/api/admin/questions/import-preview', authenticateAdmin, async (req, res) => {
+  try {
+    const { csvData } = req.body;
+    if (!csvData || typeof csvData !== 'string') {
+      return res.status(400).json({ error: 'CSV data is required' });
+    }
+    
+    const parsed = readCSVImportRows(csvData, QUIZ_QUESTION_CSV_COLUMNS, QUIZ_QUESTION_CSV_OPTIONAL);
+    if (parsed.error) {
+      return res.status(400).json({ error: parsed.error });
+    }
+    
+    res.json({
+      message: 'Dry run: nothing was imported',
+      dryRun: true,
+      ...formatQuizQuestionImport(parsed, planQuizQuestionImport(parsed))
+    });
+  } catch (error) {
+    console.error('Question import preview error:', error);
+    res.status(500).json({ error: 'Failed to check question file' });
+  }
+});
+
+// Import questions into an existing quiz from CSV (Admin)
+app.post('/api/admin/quizzes/:id/import', authenticateAdmin, async (req, res) => {
+  try {
+    const quizId = req.params.id;
+    const { csvData } = req.body;
+    const dryRun = req.body.dryRun === true;
+    
+    if (!csvData || typeof csvData !== 'string') {
+      return res.status(400).json({ error: 'CSV data is required' });
+    }
+    const [quizzes] = await pool.execute('SELECT id, name FROM quizzes WHERE id = ?', [quizId]);
+    if (quizzes.length === 0) {
+      return res.status(404).json({ error: 'Quiz not found' });
+    }
+    
+    const parsed = readCSVImportRows(csvData, QUIZ_QUESTION_CSV_COLUMNS, QUIZ_QUESTION_CSV_OPTIONAL);
+    if (parsed.error) {
+      return res.status(400).json({ error: parsed.error });
+    }
+    
+    const existingQuestions = await loadQuizQuestions(quizId);
+    let plan = planQuizQuestionImport(parsed, existingQuestions);
+    let totalQuestions = existingQuestions.length + plan.questions.length;
+    if (!dryRun && plan.questions.length > 0) {
+      // Check again under the quiz lock, so questions added meanwhile are not duplicated
+      const appended = await withQuizLock(quizId, async connection => {
+        plan = planQuizQuestionImport(parsed, await loadQuizQuestions(quizId, connection));
+        return appendQuizQuestions(connection, quizId,
+          plan.questions.map(({ question }) => ({ ...question, id: generateQuestionId() })));
+      });
+      if (appended.error) {
+        return res.status(appended.status).json({ error: appended.error });
+      }
+      totalQuestions = appended.questionCount;
+      console.log(`📥 Imported ${plan.questions.length} questions into quiz ${quizzes[0].name}`);
+    }
+    
+    res.json({
+      message: dryRun ? 'Dry run: nothing was imported' : 'Quiz import completed',
+      dryRun,
+      quiz: { id: quizzes[0].id, name: quizzes[0].name, totalQuestions },
+      ...formatQuizQuestionImport(parsed, plan)
+    });
+  } catch (error) {
+    console.error('Quiz import error:', error);
+    res.status(500).json({ error: 'Failed to import questions' });
+  }
+});
+
 // Error handling middleware
 app.use((error, req, res, next) => {
   console.error('Unhandled error:', error);
@@ -2727,12 +7702,14 @@ async function startServer() {
     console.log('📹 Step 2: Initializing proctoring module...');
     await initializeProctoringModule();
 
-    // 3. Create participants table
-    console.log('👥 Step 3: Creating participants table...');
-    await createParticipantsTable();
+    // Grade attempts that expired or were abandoned while the server was down, then keep checking
+    await closeStaleAttempts();
+    setInterval(() => {
+      closeStaleAttempts().catch(error => console.error('Attempt sweep error:', error));
+    }, ATTEMPT_SWEEP_INTERVAL_MS);
 
-    // 4. Start the server
-    console.log('🌐 Step 4: Starting HTTP server...');
+    // 3. Start the server
+    console.log('🌐 Step 3: Starting HTTP server...');
     app.listen(PORT, HOST, () => {
       console.log(`🚀 Server running on ${HOST}:${PORT}`);
       console.log(`📊 Health check: http://${HOST}:${PORT}/api/health`);
@@ -2750,17 +7727,39 @@ async function startServer() {
       console.log('  GET  /api/quizzes/:id');
       console.log('  POST /api/quizzes (Admin)');
       console.log('  PUT  /api/quizzes/:id (Admin)');
+      console.log('  PUT  /api/quizzes/:id/settings (Admin)');
+      console.log('  GET  /api/quizzes/:id/sections (Admin)');
+      console.log('  PUT  /api/quizzes/:id/sections (Admin)');
+      console.log('  GET  /api/quizzes/:id/blueprint (Admin)');
+      console.log('  PUT  /api/quizzes/:id/blueprint (Admin)');
       console.log('  DELETE /api/quizzes/:id (Admin)');
       console.log('Question Management:');
       console.log('  POST /api/quizzes/:id/questions/single (Admin)');
       console.log('  POST /api/quizzes/:id/questions (Admin)');
-      console.log('  PUT  /api/quizzes/:id/questions/:index (Admin)');
-      console.log('  DELETE /api/quizzes/:id/questions/:index (Admin)');
+      console.log('  PUT  /api/quizzes/:id/questions/:questionId (Admin)');
+      console.log('  GET  /api/quizzes/:id/questions/:questionId/versions (Admin)');
+      console.log('  DELETE /api/quizzes/:id/questions/:questionId (Admin)');
+      console.log('Attempts:');
+      console.log('  POST /api/attempts');
+      console.log('  GET  /api/attempts/:attemptId');
+      console.log('  GET  /api/attempts/:attemptId/review');
+      console.log('  PUT  /api/attempts/:attemptId/answers');
+      console.log('  POST /api/attempts/:attemptId/autosave');
+      console.log('  POST /api/attempts/:attemptId/sections/next');
+      console.log('  POST /api/attempts/:attemptId/adaptive/next');
       console.log('Results:');
       console.log('  POST /api/results');
       console.log('  GET  /api/results (Admin)');
       console.log('  GET  /api/results/recent (Admin)');
+      console.log('  GET  /api/admin/results/:id/paper (Admin)');
+      console.log('  POST /api/admin/quizzes/:id/regrade (Admin)');
+      console.log('  GET  /api/admin/quizzes/:id/regrades (Admin)');
       console.log('  DELETE /api/results (Admin)');
+      console.log('Certificates:');
+      console.log('  POST /api/attempts/:attemptId/certificate');
+      console.log('  POST /api/admin/results/:id/certificate (Admin)');
+      console.log('  GET  /api/certificates/:certificateId');
+      console.log('  GET  /api/certificates/:certificateId/verify');
       console.log('Statistics:');
       console.log('  GET  /api/stats (Admin)');
       console.log('Bucket Management:');
@@ -2770,8 +7769,12 @@ async function startServer() {
       console.log('  PUT  /api/admin/buckets/:id (Admin)');
       console.log('  POST /api/admin/buckets/:id/questions (Admin)');
       console.log('  PUT  /api/admin/questions/:id (Admin)');
+      console.log('  GET  /api/admin/questions/:id/versions (Admin)');
       console.log('  DELETE /api/admin/questions/:id (Admin)');
       console.log('  POST /api/admin/quizzes/from-bucket (Admin)');
+      console.log('  POST /api/admin/buckets/:id/import (Admin)');
+      console.log('  POST /api/admin/quizzes/:id/import (Admin)');
+      console.log('  POST /api/admin/questions/import-preview (Admin)');
       console.log('Proctoring:');
       console.log('  POST /api/proctoring/start');
       console.log('  POST /api/proctoring/log');
@@ -2781,8 +7784,9 @@ async function startServer() {
       console.log('  GET  /api/proctoring/session/:id');
       console.log('Admin Utilities:');
       console.log('  POST /api/admin/initialize-defaults (Admin)');
-      console.log('  POST /api/admin/fix-quiz-data (Admin)');
-      console.log('  POST /api/admin/repair-quiz/:id (Admin)');
+      console.log('  GET  /api/admin/settings/access (Admin)');
+      console.log('  PUT  /api/admin/settings/access (Admin)');
+      console.log('  GET  /api/admin/migrations (Admin)');
       console.log('  DELETE /api/admin/quizzes/all (Admin)');
       console.log('  GET  /api/admin/health-check (Admin)');
       console.log('  POST /api/admin/import-quiz-pool (Admin)');
@@ -2796,7 +7800,46 @@ async function startServer() {
   }
 }
 
-startServer();
+// `node server.js migrate [status | up [version] | down [steps]]` manages the schema
+// without starting the server
+async function runMigrationCommand([command = 'up', arg]) {
+  try {
+    await connectDatabase();
+    const connection = await pool.getConnection();
+    try {
+      if (command === 'status') {
+        const status = await getMigrationStatus(connection);
+        status.migrations.forEach(migration => {
+          console.log(`${migration.applied ? '✅' : '⏳'} ${migration.version} ${migration.name}`);
+        });
+        status.unknown.forEach(migration => {
+          console.log(`❓ ${migration.version} ${migration.name} (not known to this server)`);
+        });
+        console.log(`Schema version ${status.currentVersion} of ${status.latestVersion}`);
+      } else if (command === 'up') {
+        const applied = await migrateUp(connection, arg ? parseInt(arg) : Infinity);
+        console.log(`Applied ${applied.length} migration(s)`);
+      } else if (command === 'down') {
+        const reverted = await migrateDown(connection, arg ? parseInt(arg) : 1);
+        console.log(`Reverted ${reverted.length} migration(s)`);
+      } else {
+        throw new Error(`Unknown migrate command "${command}" (use status, up or down)`);
+      }
+    } finally {
+      connection.release();
+    }
+    await pool.end();
+  } catch (error) {
+    console.error('❌ Migration failed:', error.message);
+    process.exit(1);
+  }
+}
+
+if (process.argv[2] === 'migrate') {
+  runMigrationCommand(process.argv.slice(3));
+} else {
+  startServer();
+}
 
 // Graceful shutdown
 process.on('SIGINT', async () => {